@@ -0,0 +1,563 @@
+import { REGIONS, randomPointIn, recordRegionActivity, resolveRegion, regionAt } from './map.js';
+import { regionForPath, routePaths } from './region-rules.js';
+
+/**
+ * Typed actions accepted by GameState.dispatch.
+ *
+ * AGENT_EVENT_TYPES are the public AgentEvent schema (docs/BLAZECRAFT.md);
+ * the rest are command bookkeeping and the fine-grained updates bridges emit
+ * while simulating or animating workers. Every action has the shape
+ * `{ type, agentId, timestamp?, source?, data? }`.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {'spawn'|'task_start'|'task_complete'|'error'|'terminate'|'file_op'|'note'|'command_issue'|'command_ack'|'command_nack'|'command_timeout'|'assign'|'arrive'|'move'|'progress'|'status'|'remove'|'ops'|'clear_events'} ActionType
+ * @typedef {{type: ActionType, agentId?: string, timestamp?: number|string, source?: 'command', data?: Record<string, any>}} Action
+ * @typedef {{code: 'invalid_action'|'unknown_type'|'invalid_agent'|'unknown_agent'|'invalid_field'|'unknown_region'|'unknown_command'|'command_pending', message: string}} ActionError
+ * @typedef {'stop'|'hold'|'resume'|'terminate'} AgentCommand
+ * @typedef {{ok: true} | {ok: false, error: ActionError}} DispatchResult
+ */
+
+export const AGENT_EVENT_TYPES = ['spawn', 'task_start', 'task_complete', 'error', 'terminate', 'file_op', 'command_ack', 'command_nack'];
+
+/**
+ * Commands that round-trip to the agent. `status` is applied optimistically
+ * while the command is pending and rolled back on nack or timeout.
+ * @type {Record<AgentCommand, {label: string, status: import('./game-state.js').WorkerStatus, resetProgress?: boolean, done: string}>}
+ */
+export const AGENT_COMMANDS = {
+  stop: { label: 'Stop', status: 'idle', resetProgress: true, done: 'Stopped.' },
+  hold: { label: 'Hold', status: 'hold', done: 'Held.' },
+  resume: { label: 'Resume', status: 'working', done: 'Resumed.' },
+  terminate: { label: 'Terminate', status: 'terminated', done: 'Termination confirmed.' },
+};
+
+/** Actions that settle a pending command */
+const COMMAND_REPLY_TYPES = ['command_ack', 'command_nack', 'command_timeout'];
+
+export const FILE_OPS = ['read', 'edit', 'write', 'create', 'delete'];
+
+/** Operation implied by the tool that touched a file, when `op` isn't given */
+const TOOL_OPS = { Read: 'read', Write: 'write', Edit: 'edit', MultiEdit: 'edit', NotebookEdit: 'edit' };
+
+export const WORKER_STATUSES = ['idle', 'working', 'moving', 'blocked', 'complete', 'terminated', 'hold'];
+
+/** Notes keep at most this many tags, each cut to MAX_TAG_LENGTH characters */
+const MAX_NOTE_TAGS = 8;
+const MAX_TAG_LENGTH = 24;
+
+/** Agent events for an unknown agent spawn it first (console opened mid-session) */
+const IMPLICIT_SPAWN_TYPES = ['task_start', 'task_complete', 'error', 'file_op'];
+
+/** Actions that don't target a worker */
+const WORKERLESS_TYPES = ['ops', 'clear_events'];
+
+const isString = (v) => typeof v === 'string';
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+const isCount = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isPercent = (v) => isCount(v) && v <= 100;
+const isVec2 = (v) => !!v && typeof v === 'object' && Number.isFinite(v.x) && Number.isFinite(v.y);
+const isStatus = (v) => WORKER_STATUSES.includes(v);
+const isPathList = (v) => Array.isArray(v) && v.length > 0 && v.every(isNonEmptyString);
+const isTagList = (v) => Array.isArray(v) && v.every(isString);
+
+/** Known `data` fields and their checks; unknown fields are ignored */
+const FIELD_CHECKS = {
+  name: [isNonEmptyString, 'a non-empty string'],
+  task: [isString, 'a string'],
+  message: [isString, 'a string'],
+  details: [isString, 'a string'],
+  region: [isNonEmptyString, 'a region id or type'],
+  tokens: [isCount, 'a non-negative number'],
+  progress: [isPercent, 'a number between 0 and 100'],
+  files: [isCount, 'a non-negative number'],
+  position: [isVec2, 'an {x, y} point'],
+  status: [isStatus, `one of ${WORKER_STATUSES.join(', ')}`],
+  commandId: [isNonEmptyString, 'a non-empty string'],
+  paths: [isPathList, 'a non-empty array of file paths'],
+  tool: [isNonEmptyString, 'a non-empty string'],
+  op: [(v) => FILE_OPS.includes(v), `one of ${FILE_OPS.join(', ')}`],
+  added: [isCount, 'a non-negative number'],
+  removed: [isCount, 'a non-negative number'],
+  text: [isString, 'a string'],
+  tags: [isTagList, 'an array of strings'],
+  command: [(v) => Object.hasOwn(AGENT_COMMANDS, v), `one of ${Object.keys(AGENT_COMMANDS).join(', ')}`],
+};
+
+/** Fields each action type cannot do without */
+const REQUIRED_FIELDS = {
+  assign: ['region'],
+  move: ['position'],
+  ops: ['details'],
+  file_op: ['paths'],
+  note: ['text'],
+  command_issue: ['commandId', 'command'],
+  command_ack: ['commandId'],
+  command_nack: ['commandId'],
+  command_timeout: ['commandId'],
+};
+
+/**
+ * @param {ActionError['code']} code
+ * @param {string} message
+ * @returns {{ok: false, error: ActionError}}
+ */
+function reject(code, message) {
+  return { ok: false, error: { code, message } };
+}
+
+/**
+ * Check an action's shape against the current state without mutating it.
+ * @param {GameState} state
+ * @param {any} action
+ * @returns {DispatchResult}
+ */
+export function validateAction(state, action) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    return reject('invalid_action', 'Action must be an object.');
+  }
+  if (!Object.hasOwn(REDUCERS, action.type)) {
+    return reject('unknown_type', `Unknown action type "${String(action.type)}".`);
+  }
+  if (action.timestamp !== undefined && parseTimestamp(action.timestamp) === null) {
+    return reject('invalid_field', 'timestamp must be epoch milliseconds or an ISO 8601 string.');
+  }
+  if (action.data !== undefined && (!action.data || typeof action.data !== 'object' || Array.isArray(action.data))) {
+    return reject('invalid_field', 'data must be an object.');
+  }
+
+  const data = action.data || {};
+  for (const field of REQUIRED_FIELDS[action.type] || []) {
+    if (data[field] === undefined) {
+      return reject('invalid_field', `${action.type} requires data.${field}.`);
+    }
+  }
+  for (const [field, value] of Object.entries(data)) {
+    const check = FIELD_CHECKS[field];
+    if (check && value !== undefined && value !== null && !check[0](value)) {
+      return reject('invalid_field', `data.${field} must be ${check[1]}.`);
+    }
+  }
+
+  if (WORKERLESS_TYPES.includes(action.type)) return { ok: true };
+
+  if (!isNonEmptyString(action.agentId)) {
+    return reject('invalid_agent', 'agentId must be a non-empty string.');
+  }
+  // Any action naming a region must name a real one, not fall back to a default
+  if (data.region !== undefined && data.region !== null && !resolveRegion(data.region)) {
+    return reject('unknown_region', `Unknown region "${data.region}".`);
+  }
+  if (action.type !== 'spawn' && !IMPLICIT_SPAWN_TYPES.includes(action.type) && !state.workers.has(action.agentId)) {
+    return reject('unknown_agent', `No worker with id "${action.agentId}".`);
+  }
+
+  const pending = state.workers.get(action.agentId)?.pendingCommand;
+  if (action.type === 'command_issue' && pending) {
+    return reject('command_pending', `Waiting on ${AGENT_COMMANDS[pending.command].label.toLowerCase()} (${pending.id}).`);
+  }
+  if (COMMAND_REPLY_TYPES.includes(action.type) && (!pending || pending.id !== data.commandId)) {
+    return reject('unknown_command', `No pending command "${data.commandId}".`);
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Apply a validated action. Mutates state without notifying; dispatch
+ * notifies once afterwards.
+ * @param {GameState} state
+ * @param {Action} action
+ */
+export function applyAction(state, action) {
+  const ctx = {
+    state,
+    data: action.data || {},
+    timestamp: parseTimestamp(action.timestamp) ?? Date.now(),
+    eventType: action.source === 'command' ? 'command' : null,
+  };
+
+  if (WORKERLESS_TYPES.includes(action.type)) {
+    REDUCERS[action.type](ctx, null);
+    return;
+  }
+
+  let worker = state.workers.get(action.agentId);
+  if (!worker && action.type !== 'spawn') {
+    worker = REDUCERS.spawn(ctx, null, action.agentId);
+  }
+  REDUCERS[action.type](ctx, worker, action.agentId);
+}
+
+/**
+ * @param {number|string|undefined} value
+ * @returns {number|null}
+ */
+function parseTimestamp(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string') {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+/**
+ * Replace a worker with an updated copy.
+ * @param {GameState} state
+ * @param {Worker} worker
+ * @param {Partial<Worker>} patch
+ * @returns {Worker}
+ */
+function patchWorker(state, worker, patch) {
+  const next = { ...worker, ...patch, updatedAt: Date.now() };
+  state.workers.set(next.id, next);
+  return next;
+}
+
+/**
+ * @param {{state: GameState, timestamp: number, eventType: string|null}} ctx
+ * @param {import('./game-state.js').EventType} type
+ * @param {string} workerId
+ * @param {string} details
+ */
+function log(ctx, type, workerId, details) {
+  ctx.state.appendEvent({ type: ctx.eventType || type, timestamp: ctx.timestamp, workerId, details });
+}
+
+/**
+ * @param {Worker} worker
+ * @param {import('./map.js').MapRegion} region
+ */
+function isInside(worker, region) {
+  return regionAt(worker.position.x, worker.position.y) === region;
+}
+
+/**
+ * Where an event sends its worker: an explicit region wins, then the files
+ * it touched (region rules), else nowhere in particular.
+ * @param {Record<string, any>} data
+ * @returns {import('./map.js').MapRegion|null}
+ */
+function targetFor(data) {
+  return resolveRegion(data.region) || (data.paths ? routePaths(data.paths) : null);
+}
+
+/**
+ * Add a file_op's paths to the worker's file list. Line counts only apply
+ * when the event names a single file. Files new to the worker count toward
+ * the session's files stat.
+ * @param {{state: GameState, data: Record<string, any>, timestamp: number}} ctx
+ * @param {Worker} worker
+ */
+function recordFiles(ctx, worker) {
+  const { state, data, timestamp } = ctx;
+  const op = data.op || TOOL_OPS[data.tool] || 'edit';
+  const single = data.paths.length === 1;
+
+  let files = state.files.get(worker.id);
+  if (!files) {
+    files = new Map();
+    state.files.set(worker.id, files);
+  }
+
+  for (const path of new Set(data.paths)) {
+    let entry = files.get(path);
+    if (!entry) {
+      entry = { path, region: regionForPath(path).id, op, touches: 0, added: 0, removed: 0, firstAt: timestamp, lastAt: timestamp };
+      files.set(path, entry);
+      state.stats.files += 1;
+    }
+    // A read doesn't downgrade a file the worker already changed
+    if (op !== 'read' || entry.op === 'read') entry.op = op;
+    entry.touches += 1;
+    entry.lastAt = timestamp;
+    if (single) {
+      entry.added += Math.floor(data.added || 0);
+      entry.removed += Math.floor(data.removed || 0);
+    }
+  }
+}
+
+/**
+ * Token counts are cumulative, so stale or duplicated events never lower them.
+ * @param {Worker} worker
+ * @param {Record<string, any>} data
+ */
+function tokensFrom(worker, data) {
+  return typeof data.tokens === 'number' ? Math.max(worker.tokensUsed, Math.floor(data.tokens)) : worker.tokensUsed;
+}
+
+/**
+ * Undo a pending command's optimistic change, unless the agent has since
+ * reported a different status on its own.
+ * @param {GameState} state
+ * @param {Worker} worker
+ */
+function rollback(state, worker) {
+  const { command, previous } = worker.pendingCommand;
+  const untouched = worker.status === AGENT_COMMANDS[command].status;
+  patchWorker(state, worker, {
+    status: untouched ? previous.status : worker.status,
+    progress: untouched ? previous.progress : worker.progress,
+    pendingCommand: null,
+  });
+}
+
+/**
+ * @param {{state: GameState, timestamp: number}} ctx
+ * @param {Worker} worker
+ * @param {'ack'|'nack'|'timeout'} outcome
+ * @param {string} details
+ */
+function logOutcome(ctx, worker, outcome, details) {
+  ctx.state.appendEvent({
+    type: 'command',
+    timestamp: ctx.timestamp,
+    workerId: worker.id,
+    details,
+    commandId: ctx.data.commandId,
+    outcome,
+  });
+}
+
+const REDUCERS = {
+  spawn(ctx, worker, agentId) {
+    const { state, data } = ctx;
+    const region = targetFor(data);
+
+    if (worker) {
+      return patchWorker(state, worker, {
+        name: data.name || worker.name,
+        tokensUsed: tokensFrom(worker, data),
+      });
+    }
+
+    const town = REGIONS.find((r) => r.id === 'townhall') || REGIONS[0];
+    const start = data.position || randomPointIn(town);
+    const created = {
+      id: agentId,
+      name: data.name || `Agent-${agentId.slice(0, 6)}`,
+      status: region ? 'moving' : 'idle',
+      currentTask: data.task || null,
+      targetRegion: region ? region.id : town.id,
+      position: { x: start.x, y: start.y },
+      spawnedAt: ctx.timestamp,
+      tokensUsed: Math.floor(data.tokens || 0),
+      progress: 0,
+      errorMessage: null,
+      pendingCommand: null,
+      updatedAt: Date.now(),
+    };
+    state.workers.set(agentId, created);
+    log(ctx, 'spawn', agentId, data.message || `${created.name} joined.`);
+    return created;
+  },
+
+  task_start(ctx, worker) {
+    const { state, data } = ctx;
+    const region = targetFor(data);
+    const moving = !!region && !isInside(worker, region);
+    const task = data.task || worker.currentTask || 'Working';
+
+    patchWorker(state, worker, {
+      status: moving ? 'moving' : 'working',
+      currentTask: task,
+      targetRegion: region ? region.id : worker.targetRegion,
+      progress: data.progress ?? 0,
+      errorMessage: null,
+      tokensUsed: tokensFrom(worker, data),
+    });
+    log(ctx, 'task_start', worker.id, data.message || `Started: ${task}`);
+  },
+
+  task_complete(ctx, worker) {
+    const { state, data } = ctx;
+    const task = data.task || worker.currentTask || 'Task';
+
+    patchWorker(state, worker, {
+      status: 'complete',
+      currentTask: task,
+      progress: 100,
+      tokensUsed: tokensFrom(worker, data),
+    });
+    state.stats.completed += 1;
+    state.stats.files += Math.floor(data.files || 0);
+    log(ctx, 'task_complete', worker.id, data.message || `Completed: ${task}`);
+
+    const upgrade = recordRegionActivity(worker.targetRegion);
+    if (upgrade.upgraded) {
+      const region = REGIONS.find((r) => r.id === worker.targetRegion);
+      log(ctx, 'status', worker.id, `${region ? region.name : worker.targetRegion} upgraded to ${upgrade.newType} (level ${upgrade.level}).`);
+    }
+  },
+
+  error(ctx, worker) {
+    const { state, data } = ctx;
+    const message = data.message || 'Agent reported an error.';
+
+    patchWorker(state, worker, {
+      status: 'blocked',
+      errorMessage: message,
+      tokensUsed: tokensFrom(worker, data),
+    });
+    state.stats.failed += 1;
+    log(ctx, 'error', worker.id, `Blocked: ${message}`);
+  },
+
+  terminate(ctx, worker) {
+    patchWorker(ctx.state, worker, { status: 'terminated', tokensUsed: tokensFrom(worker, ctx.data) });
+    log(ctx, 'terminate', worker.id, ctx.data.message || `${worker.name} terminated.`);
+  },
+
+  file_op(ctx, worker) {
+    const { state, data } = ctx;
+    recordFiles(ctx, worker);
+
+    // A stopped or held worker stays put until the command settles
+    if (worker.status === 'terminated' || worker.pendingCommand) return;
+
+    const region = targetFor(data);
+    const moving = !isInside(worker, region);
+    if (region.id === worker.targetRegion && !moving) return;
+
+    patchWorker(state, worker, {
+      status: moving ? 'moving' : worker.status,
+      targetRegion: region.id,
+      tokensUsed: tokensFrom(worker, data),
+    });
+    if (region.id !== worker.targetRegion) {
+      log(ctx, 'status', worker.id, `Heading to ${region.name} (${data.paths[0]}).`);
+    }
+  },
+
+  note(ctx, worker) {
+    const { state, data, timestamp } = ctx;
+    const text = data.text.trim();
+    const tags = Array.from(new Set((data.tags || [])
+      .map((t) => t.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean))).slice(0, MAX_NOTE_TAGS);
+    const existing = state.notes.get(worker.id);
+
+    if (!text && !tags.length) {
+      if (!existing) return;
+      state.notes.delete(worker.id);
+      log(ctx, 'status', worker.id, 'Note cleared.');
+      return;
+    }
+
+    state.notes.set(worker.id, { text, tags, createdAt: existing ? existing.createdAt : timestamp, updatedAt: timestamp });
+    log(ctx, 'status', worker.id, existing ? 'Note updated.' : 'Note added.');
+  },
+
+  command_issue(ctx, worker) {
+    const { commandId, command } = ctx.data;
+    const spec = AGENT_COMMANDS[command];
+
+    patchWorker(ctx.state, worker, {
+      status: spec.status,
+      progress: spec.resetProgress ? 0 : worker.progress,
+      pendingCommand: {
+        id: commandId,
+        command,
+        issuedAt: ctx.timestamp,
+        previous: { status: worker.status, progress: worker.progress },
+      },
+    });
+  },
+
+  command_ack(ctx, worker) {
+    const { command } = worker.pendingCommand;
+    patchWorker(ctx.state, worker, { pendingCommand: null });
+    logOutcome(ctx, worker, 'ack', ctx.data.message || AGENT_COMMANDS[command].done);
+  },
+
+  command_nack(ctx, worker) {
+    const { command } = worker.pendingCommand;
+    rollback(ctx.state, worker);
+    logOutcome(ctx, worker, 'nack', `${AGENT_COMMANDS[command].label} rejected: ${ctx.data.message || 'agent declined.'}`);
+  },
+
+  command_timeout(ctx, worker) {
+    const { command } = worker.pendingCommand;
+    rollback(ctx.state, worker);
+    logOutcome(ctx, worker, 'timeout', `${AGENT_COMMANDS[command].label} timed out; no reply from agent.`);
+  },
+
+  assign(ctx, worker) {
+    const { state, data } = ctx;
+    const region = resolveRegion(data.region);
+
+    patchWorker(state, worker, {
+      status: 'moving',
+      targetRegion: region.id,
+      currentTask: data.task || worker.currentTask,
+      progress: 0,
+      errorMessage: null,
+    });
+    log(ctx, 'status', worker.id, data.message || `Assigned to ${region.name}.`);
+  },
+
+  arrive(ctx, worker) {
+    const { state, data } = ctx;
+    patchWorker(state, worker, {
+      status: data.status || (worker.currentTask ? 'working' : 'idle'),
+      position: data.position ? { x: data.position.x, y: data.position.y } : worker.position,
+    });
+    if (data.message) log(ctx, 'status', worker.id, data.message);
+  },
+
+  move(ctx, worker) {
+    const { position } = ctx.data;
+    patchWorker(ctx.state, worker, { position: { x: position.x, y: position.y } });
+  },
+
+  progress(ctx, worker) {
+    const { state, data } = ctx;
+    patchWorker(state, worker, {
+      progress: data.progress ?? worker.progress,
+      tokensUsed: tokensFrom(worker, data),
+    });
+    state.stats.files += Math.floor(data.files || 0);
+  },
+
+  status(ctx, worker) {
+    const { state, data } = ctx;
+    const status = data.status || worker.status;
+    patchWorker(state, worker, {
+      status,
+      errorMessage: status === 'blocked' ? worker.errorMessage : null,
+    });
+    if (data.message) log(ctx, 'status', worker.id, data.message);
+  },
+
+  remove(ctx, worker) {
+    ctx.state.workers.delete(worker.id);
+    ctx.state.files.delete(worker.id);
+    ctx.state.notes.delete(worker.id);
+    ctx.state.history.delete(worker.id);
+    if (ctx.state.selected.delete(worker.id)) {
+      ctx.state.selectionRevision += 1;
+      ctx.state.selectionChangedAt = Date.now();
+    }
+    ctx.state.dropFromGroups(worker.id);
+  },
+
+  ops(ctx) {
+    const { data } = ctx;
+    const severe = data.severity === 'error' || data.severity === 'critical';
+    ctx.state.appendEvent({
+      ...data,
+      type: severe ? 'error' : 'status',
+      opsType: data.type,
+      timestamp: ctx.timestamp,
+      workerId: data.workerId || '',
+    });
+  },
+
+  /** Empty the event log, e.g. when switching between demo and live feeds */
+  clear_events(ctx) {
+    ctx.state.events = [];
+  },
+};
@@ -142,13 +142,9 @@ export class HandleBlocked extends BTNode {
     const { worker, state } = context;
 
     if (Math.random() < this.recoveryChance) {
-      worker.status = 'working';
-      worker.errorMessage = null;
-      worker.updatedAt = Date.now();
-      state.pushEvent({ type: 'status', workerId: worker.id, details: 'Recovered; resumed.' });
+      state.dispatch({ type: 'status', agentId: worker.id, data: { status: 'working', message: 'Recovered; resumed.' } });
     }
 
-    state.upsertWorker({ ...worker });
     return Status.SUCCESS;
   }
 }
@@ -160,9 +156,8 @@ export class HandleHold extends BTNode {
   tick(context) {
     const { worker, state } = context;
 
-    worker.tokensUsed += 1 + Math.floor(Math.random() * 3);
-    worker.updatedAt = Date.now();
-    state.upsertWorker({ ...worker });
+    const tokens = worker.tokensUsed + 1 + Math.floor(Math.random() * 3);
+    state.dispatch({ type: 'progress', agentId: worker.id, data: { tokens } });
 
     return Status.SUCCESS;
   }
@@ -184,11 +179,7 @@ export class HandleIdle extends BTNode {
 
     if (Math.random() < this.reassignChance) {
       const target = this.pickRegionFn(worker, state);
-      worker.targetRegion = target.id;
-      worker.status = 'moving';
-      worker.currentTask = this.taskSnippets[Math.floor(Math.random() * this.taskSnippets.length)];
-      worker.errorMessage = null;
-      worker.updatedAt = Date.now();
+      const task = this.taskSnippets[Math.floor(Math.random() * this.taskSnippets.length)];
 
       motion.set(worker.id, {
         vx: 0,
@@ -197,10 +188,9 @@ export class HandleIdle extends BTNode {
         speed: 1.6 + Math.random() * 1.6,
       });
 
-      state.pushEvent({ type: 'status', workerId: worker.id, details: 'Re-tasked.' });
+      state.dispatch({ type: 'assign', agentId: worker.id, data: { region: target.id, task, message: 'Re-tasked.' } });
     }
 
-    state.upsertWorker({ ...worker });
     return Status.SUCCESS;
   }
 }
@@ -231,24 +221,21 @@ export class HandleMoving extends BTNode {
       velocity = { x: (dx / d) * m.speed, y: (dy / d) * m.speed };
     }
 
-    worker.position.x += velocity.x;
-    worker.position.y += velocity.y;
-    worker.updatedAt = Date.now();
-
-    const distToGoal = Math.hypot(m.goal.x - worker.position.x, m.goal.y - worker.position.y);
-
-    if (distToGoal < 10) {
-      worker.position.x = m.goal.x;
-      worker.position.y = m.goal.y;
+    let position = { x: worker.position.x + velocity.x, y: worker.position.y + velocity.y };
+    const distToGoal = Math.hypot(m.goal.x - position.x, m.goal.y - position.y);
+    const arrived = distToGoal < 10;
+    if (arrived) {
+      position = { x: m.goal.x, y: m.goal.y };
       motion.delete(worker.id);
+    }
+
+    state.dispatch({ type: 'move', agentId: worker.id, data: { position } });
 
-      // Arrive callback
-      if (this.onArrive) {
-        this.onArrive(context);
-      }
+    // Arrive callback
+    if (arrived && this.onArrive) {
+      this.onArrive(context);
     }
 
-    state.upsertWorker({ ...worker });
     return Status.SUCCESS;
   }
 }
@@ -257,61 +244,48 @@ export class HandleMoving extends BTNode {
  * Handle working workers - progress and potential completion/failure
  */
 export class HandleWorking extends BTNode {
-  constructor(onComplete, onBlocked) {
+  constructor(onComplete, onBlocked, onTouchFile) {
     super();
     this.onComplete = onComplete;
     this.onBlocked = onBlocked;
+    this.onTouchFile = onTouchFile;
   }
 
   tick(context) {
     const { worker, state } = context;
 
-    // Token consumption
-    worker.tokensUsed += 4 + Math.floor(Math.random() * 18);
-
-    // Progress
-    const bump = 0.6 + Math.random() * 2.4;
-    worker.progress = Math.min(100, Math.max(0, worker.progress + bump));
-    worker.updatedAt = Date.now();
-
-    // Files touched trickle
-    if (Math.random() < 0.12) {
-      state.bumpFiles(1);
-    }
-
     // Occasional failure
     if (Math.random() < 0.006) {
-      worker.status = 'blocked';
-      worker.errorMessage = 'Merge conflict in core module.';
-      state.bumpFailed(1);
-      state.pushEvent({ type: 'error', workerId: worker.id, details: `Blocked: ${worker.errorMessage}` });
-
+      state.dispatch({ type: 'error', agentId: worker.id, data: { message: 'Merge conflict in core module.' } });
       if (this.onBlocked) this.onBlocked(context);
-      state.upsertWorker({ ...worker });
       return Status.SUCCESS;
     }
 
-    // Completion
-    if (worker.progress >= 100) {
-      worker.status = 'complete';
-      worker.updatedAt = Date.now();
-      state.bumpCompleted(1);
-      state.pushEvent({ type: 'task_complete', workerId: worker.id, details: `Completed: ${worker.currentTask}` });
+    // Token consumption and progress
+    const tokens = worker.tokensUsed + 4 + Math.floor(Math.random() * 18);
+    const bump = 0.6 + Math.random() * 2.4;
+    const progress = Math.min(100, Math.max(0, worker.progress + bump));
 
+    state.dispatch({ type: 'progress', agentId: worker.id, data: { progress, tokens } });
+
+    // A trickle of touched files
+    if (this.onTouchFile && Math.random() < 0.12) this.onTouchFile(context);
+
+    // Completion
+    if (progress >= 100) {
+      state.dispatch({ type: 'task_complete', agentId: worker.id });
       if (this.onComplete) this.onComplete(context);
     }
 
-    state.upsertWorker({ ...worker });
     return Status.SUCCESS;
   }
 }
 
 /**
- * Handle complete status - just persist
+ * Handle complete status - nothing to do until re-tasked or dismissed
  */
 export class HandleComplete extends BTNode {
   tick(context) {
-    context.state.upsertWorker({ ...context.worker });
     return Status.SUCCESS;
   }
 }
@@ -332,6 +306,7 @@ export function createWorkerBehaviorTree(config = {}) {
     onArrive,
     onComplete,
     onBlocked,
+    onTouchFile,
     recoveryChance = 0.02,
     reassignChance = 0.03,
   } = config;
@@ -353,7 +328,7 @@ export function createWorkerBehaviorTree(config = {}) {
     new Sequence([new IsMoving(), new HandleMoving(onArrive)]),
 
     // Handle working workers
-    new Sequence([new IsWorking(), new HandleWorking(onComplete, onBlocked)]),
+    new Sequence([new IsWorking(), new HandleWorking(onComplete, onBlocked, onTouchFile)]),
 
     // Handle complete status
     new Sequence([new IsComplete(), new HandleComplete()]),
@@ -231,14 +231,17 @@ export function createSteeringBehaviors(options = {}) {
 /**
  * Helper to get all nearby worker positions
  * @param {object} worker - Current worker
- * @param {Map} workers - All workers map
+ * @param {Map} workers - All workers map; a WorkerMap is asked through its spatial index
  * @param {number} radius - Search radius
  * @returns {object[]} - Array of neighbor positions
  */
 export function getNearbyPositions(worker, workers, radius) {
   const positions = [];
+  const candidates = typeof workers.near === 'function'
+    ? workers.near(worker.position.x, worker.position.y, radius)
+    : workers.values();
 
-  for (const w of workers.values()) {
+  for (const w of candidates) {
     if (w.id === worker.id) continue;
     if (w.status === 'terminated') continue;
 
@@ -0,0 +1,74 @@
+/**
+ * Settings for the 3D battlefield (renderer-3d.js), kept apart from it so the
+ * page can read them without loading Three.js: whether the 3D view is on,
+ * and which faction's models it uses. Each faction has its own buildings and
+ * units in public/models as `<faction>_<kind>.glb`; the spell caster goes by
+ * a different name in some of them.
+ *
+ * @typedef {'2d'|'3d'} ViewMode
+ * @typedef {'human'|'orc'|'undead'|'nightelf'} Faction
+ * @typedef {'townhall'|'barracks'|'tower'|'farm'|'library'|'warrior'|'archer'|'caster'|'hero'|'cavalry'} ModelKind
+ */
+
+export const FACTIONS = {
+  human: { label: 'Human', caster: 'mage' },
+  orc: { label: 'Orc', caster: 'shaman' },
+  undead: { label: 'Undead', caster: 'necromancer' },
+  nightelf: { label: 'Night Elf', caster: 'mage' },
+};
+
+const VIEW_MODE_KEY = 'blazecraft_view';
+const FACTION_KEY = 'blazecraft_faction';
+const DEFAULT_FACTION = 'human';
+
+/**
+ * URL of a faction's model for one kind of building or unit.
+ * @param {Faction} faction
+ * @param {ModelKind} kind
+ * @returns {string}
+ */
+export function modelUrl(faction, kind) {
+  const name = kind === 'caster' ? FACTIONS[faction].caster : kind;
+  return new URL(`../public/models/${faction}_${name}.glb`, import.meta.url).href;
+}
+
+/** Shared scenery that isn't tied to a faction */
+export const ROCK_MODEL_URL = new URL('../public/models/env_rock.glb', import.meta.url).href;
+
+/** @returns {ViewMode} The saved view, or the 2D map */
+export function loadViewMode() {
+  try {
+    return localStorage.getItem(VIEW_MODE_KEY) === '3d' ? '3d' : '2d';
+  } catch {
+    return '2d';
+  }
+}
+
+/** @param {ViewMode} mode */
+export function saveViewMode(mode) {
+  try {
+    localStorage.setItem(VIEW_MODE_KEY, mode);
+  } catch {
+    // storage blocked; the choice lasts for this visit
+  }
+}
+
+/** @returns {Faction} The saved faction, or Human */
+export function loadFaction() {
+  try {
+    const saved = localStorage.getItem(FACTION_KEY);
+    if (saved && saved in FACTIONS) return /** @type {Faction} */ (saved);
+  } catch {
+    // storage blocked
+  }
+  return DEFAULT_FACTION;
+}
+
+/** @param {Faction} faction */
+export function saveFaction(faction) {
+  try {
+    localStorage.setItem(FACTION_KEY, faction);
+  } catch {
+    // storage blocked; the pick lasts for this visit
+  }
+}
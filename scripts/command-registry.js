@@ -0,0 +1,209 @@
+/**
+ * Command registry: the one list of worker commands. The command card,
+ * tooltips, keyboard handler and hotkey editor are all built from it.
+ *
+ * Hotkeys are single letters. Users can remap them; overrides are kept in
+ * localStorage and a key can only belong to one command. Digits stay with
+ * control groups.
+ *
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {'stop'|'hold'|'resume'|'reassign'|'inspect'|'terminate'|'logs'|'files'|'notes'|'focus'|'guard'|'scan'} CommandId
+ * @typedef {{selected: Worker[], disabled: boolean}} AvailabilityContext
+ * @typedef {object} CommandDef
+ * @property {CommandId} id
+ * @property {string} label - Button text
+ * @property {string} title - Tooltip title
+ * @property {string} hotkey - Default key
+ * @property {string} description
+ * @property {string} requires - Shown in the tooltip while unavailable
+ * @property {(ctx: AvailabilityContext) => boolean} available
+ * @property {boolean} [card] - Has a button on the command card
+ * @property {boolean} [danger]
+ * @property {boolean} [readOnly] - Only looks at workers; allowed during replays
+ */
+
+const STORAGE_KEY = 'blazecraft_hotkeys';
+
+const hasSelection = ({ selected }) => selected.length > 0;
+const anyWithStatus = (...statuses) => ({ selected }) => selected.some((w) => statuses.includes(w.status));
+
+/** @type {CommandDef[]} In command card order */
+export const COMMANDS = [
+  { id: 'stop', label: 'Stop', title: 'Stop', hotkey: 'S', description: 'Halt current task immediately', requires: 'Requires a selected worker.', available: hasSelection, card: true },
+  { id: 'hold', label: 'Hold', title: 'Hold Position', hotkey: 'H', description: 'Pause execution, maintain state', requires: 'Requires a working or moving worker.', available: anyWithStatus('working', 'moving'), card: true },
+  { id: 'resume', label: 'Resume', title: 'Resume', hotkey: 'R', description: 'Continue paused execution', requires: 'Requires an idle or held worker.', available: anyWithStatus('idle', 'hold'), card: true },
+  { id: 'reassign', label: 'Reassign', title: 'Reassign', hotkey: 'A', description: 'Move worker to new task', requires: 'Requires a selected worker.', available: hasSelection, card: true },
+  { id: 'inspect', label: 'Inspect', title: 'Inspect', hotkey: 'I', description: 'View detailed worker status', requires: 'Requires a selected worker.', available: hasSelection, card: true, readOnly: true },
+  { id: 'logs', label: 'Logs', title: 'View Logs', hotkey: 'L', description: 'Show execution history', requires: 'Requires a selected worker.', available: hasSelection, card: true, readOnly: true },
+  { id: 'focus', label: 'Focus', title: 'Focus', hotkey: 'C', description: 'Center view on worker', requires: 'Requires a selected worker.', available: hasSelection, card: true, readOnly: true },
+  { id: 'terminate', label: 'Terminate', title: 'Terminate', hotkey: 'X', description: 'End worker process', requires: 'Requires a selected worker.', available: hasSelection, card: true, danger: true },
+  { id: 'scan', label: 'Scan', title: 'Scan', hotkey: 'Q', description: 'Refresh every worker', requires: '', available: () => true, card: true },
+  { id: 'files', label: 'Files', title: 'Browse Files', hotkey: 'F', description: 'Files the worker read or changed', requires: 'Requires a selected worker.', available: hasSelection, readOnly: true },
+  { id: 'notes', label: 'Notes', title: 'Notes', hotkey: 'N', description: 'Write a note and tags for the worker', requires: 'Requires a selected worker.', available: hasSelection },
+  { id: 'guard', label: 'Guard', title: 'Guard', hotkey: 'G', description: 'Re-task when idle, alert when stuck', requires: 'Requires a selected worker.', available: hasSelection },
+];
+
+/** @type {Record<string, string>} User overrides, command id -> key */
+let overrides = loadOverrides();
+
+/**
+ * @param {string} id
+ * @returns {CommandDef|undefined}
+ */
+export function getCommand(id) {
+  return COMMANDS.find((c) => c.id === id);
+}
+
+/**
+ * @param {string} id
+ * @returns {string} Current key for a command
+ */
+export function getHotkey(id) {
+  return overrides[id] || getCommand(id)?.hotkey || '';
+}
+
+/**
+ * Command bound to a key, if any.
+ * @param {string} key - KeyboardEvent.key
+ * @returns {CommandDef|null}
+ */
+export function commandForKey(key) {
+  const k = normalizeKey(key);
+  if (!k) return null;
+  return COMMANDS.find((c) => getHotkey(c.id) === k) || null;
+}
+
+/**
+ * Bind a key to a command. Keys already taken by another command are
+ * refused, so the caller can tell the user which one.
+ * @param {string} id
+ * @param {string} key
+ * @returns {{ok: true} | {ok: false, reason: string, conflict?: CommandDef}}
+ */
+export function setHotkey(id, key) {
+  const command = getCommand(id);
+  if (!command) return { ok: false, reason: `Unknown command "${id}".` };
+
+  const k = normalizeKey(key);
+  if (!k) return { ok: false, reason: 'Hotkeys must be a single letter.' };
+
+  const owner = commandForKey(k);
+  if (owner && owner.id !== id) {
+    return { ok: false, reason: `${k} is already ${owner.label}.`, conflict: owner };
+  }
+
+  if (k === command.hotkey) delete overrides[id];
+  else overrides[id] = k;
+  saveOverrides();
+  return { ok: true };
+}
+
+/** Back to the default keys */
+export function resetHotkeys() {
+  overrides = {};
+  saveOverrides();
+}
+
+/**
+ * Whether a command can do anything right now. Commands that change workers
+ * are unavailable while commands are disabled (replay).
+ * @param {CommandDef} command
+ * @param {AvailabilityContext} ctx
+ */
+export function isAvailable(command, ctx) {
+  if (ctx.disabled && !command.readOnly) return false;
+  return command.available(ctx);
+}
+
+/**
+ * Fill the command card with a button per card command.
+ * @param {HTMLElement} grid
+ */
+export function buildCommandCard(grid) {
+  grid.replaceChildren(...COMMANDS.filter((c) => c.card).map((c) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `wc3-cmd-labeled${c.danger ? ' wc3-cmd-danger' : ''}`;
+    btn.dataset.cmd = c.id;
+    btn.dataset.wc3Sound = 'click';
+    btn.setAttribute('aria-label', c.label);
+
+    const text = document.createElement('span');
+    text.className = 'wc3-cmd-text';
+    text.textContent = c.label;
+    const key = document.createElement('span');
+    key.className = 'wc3-cmd-key';
+
+    btn.append(text, key);
+    return btn;
+  }));
+  refreshCommandCard(grid);
+}
+
+/**
+ * Update key labels and availability on the card. Unavailable buttons stay
+ * clickable so the click can explain why nothing happened.
+ * @param {HTMLElement} grid
+ * @param {AvailabilityContext} [ctx]
+ */
+export function refreshCommandCard(grid, ctx) {
+  for (const btn of grid.querySelectorAll('[data-cmd]')) {
+    const command = getCommand(/** @type {HTMLElement} */ (btn).dataset.cmd);
+    if (!command) continue;
+    const key = btn.querySelector('.wc3-cmd-key');
+    if (key) key.textContent = `(${getHotkey(command.id)})`;
+    btn.setAttribute('aria-keyshortcuts', getHotkey(command.id));
+    if (ctx) {
+      const unavailable = !isAvailable(command, ctx);
+      btn.classList.toggle('is-unavailable', unavailable);
+      btn.setAttribute('aria-disabled', String(unavailable));
+    }
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {string} Upper-case letter, or '' when the key can't be a hotkey
+ */
+function normalizeKey(key) {
+  const k = String(key || '').toUpperCase();
+  return /^[A-Z]$/.test(k) ? k : '';
+}
+
+/** @returns {Record<string, string>} */
+function loadOverrides() {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const out = {};
+    for (const [id, key] of Object.entries(parsed || {})) {
+      const k = normalizeKey(key);
+      if (getCommand(id) && k) out[id] = k;
+    }
+    // A hand-edited store may give two commands one key; drop overrides until keys are unique
+    for (;;) {
+      const seen = new Map();
+      let drop = null;
+      for (const c of COMMANDS) {
+        const k = out[c.id] || c.hotkey;
+        const prev = seen.get(k);
+        // Defaults never clash, so at least one of the pair is an override
+        if (prev) {
+          drop = out[c.id] ? c.id : prev;
+          break;
+        }
+        seen.set(k, c.id);
+      }
+      if (!drop) return out;
+      delete out[drop];
+    }
+  } catch {
+    return {};
+  }
+}
+
+function saveOverrides() {
+  if (typeof localStorage === 'undefined') return;
+  if (Object.keys(overrides).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  else localStorage.removeItem(STORAGE_KEY);
+}
@@ -1,31 +1,134 @@
+import { resolveRegion } from './map.js';
+import { COMMANDS } from './command-registry.js';
+
 /**
  * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {import('./actions.js').AgentCommand} AgentCommand
+ * @typedef {import('./command-registry.js').CommandId} CommandId
+ * @typedef {{id: string, agentId: string, command: AgentCommand}} CommandRequest
+ * @typedef {{kind: 'assign', region: string}|{kind: 'hold'}} QueuedOrder
+ * @typedef {{x: number, y: number, kind: QueuedOrder['kind']}} Waypoint
  */
 
+/** How long a command may stay pending before it is rolled back */
+const COMMAND_TIMEOUT_MS = 8000;
+
+/** A second recall of the same group within this window jumps the camera */
+const GROUP_DOUBLE_TAP_MS = 350;
+
+/** Commands Shift queues behind a worker's current order; assigns queue via right-click */
+const QUEUEABLE_COMMANDS = ['hold'];
+
+/** Direct orders replace whatever a worker had queued */
+const DIRECT_ORDER_COMMANDS = ['stop', 'hold', 'resume', 'terminate'];
+
+/** Commands that only look at workers, allowed while commands are disabled */
+const READ_ONLY_COMMANDS = COMMANDS.filter((c) => c.readOnly).map((c) => c.id);
+
 export class CommandCenter {
   /**
    * @param {GameState} state
-   * @param {{manualAssign?: (workerIds: string[], region: any) => void}=} bridge
+   * @param {{manualAssign?: (workerIds: string[], region: any) => void, sendCommand?: (request: CommandRequest) => void}=} bridge
    */
   constructor(state, bridge) {
     this.state = state;
     this.bridge = bridge || {};
     this.assignMode = false;
-    /** @type {Set<string>} Workers in guard mode (auto-reassign when idle) */
+    /** @type {Set<string>} Workers in guard mode, watched by GuardPolicy */
     this.guardedWorkers = new Set();
-    /** @type {Map<string, string>} Worker annotations */
-    this.workerNotes = new Map();
     /** @type {((wx: number, wy: number) => void)|null} */
     this.onFocus = null;
+    /** @type {((workerId: string) => void)|null} Opens the files panel */
+    this.onFiles = null;
+    /** @type {((workerId: string) => void)|null} Opens the log drawer */
+    this.onLogs = null;
+    /** @type {((workerId: string) => void)|null} Opens the notes editor */
+    this.onNotes = null;
+    /** @type {string|null} Set while workers on screen aren't live (session replay) */
+    this.disabledReason = null;
+    /** @type {{group: number, at: number}|null} Last recall, for double-tap */
+    this.lastRecall = null;
+    /** @type {Map<string, QueuedOrder[]>} Shift-queued orders per worker, next first */
+    this.orderQueues = new Map();
+    /** @type {Map<string, QueuedOrder>} Queued order each worker is carrying out */
+    this.activeOrders = new Map();
+    this._advancing = false;
+  }
+
+  /**
+   * Ctrl+digit: make the selection control group `group`. Selection only,
+   * so it works during replays too.
+   * @param {number} group
+   */
+  bindGroup(group) {
+    const ids = Array.from(this.state.selected);
+    if (!ids.length) {
+      this.state.reportInvalidCommand(`Select workers to bind to group ${group}.`);
+      return;
+    }
+    this.state.setControlGroup(group, ids);
+    this.state.pushScoutLine(`Group ${group}: ${ids.length} unit${ids.length === 1 ? '' : 's'}.`);
+  }
+
+  /**
+   * Shift+digit: add the selection to control group `group`.
+   * @param {number} group
+   */
+  addToGroup(group) {
+    const ids = Array.from(this.state.selected);
+    if (!ids.length) {
+      this.state.reportInvalidCommand(`Select workers to add to group ${group}.`);
+      return;
+    }
+    this.state.setControlGroup(group, [...this.state.getControlGroup(group), ...ids]);
+    const size = this.state.getControlGroup(group).length;
+    this.state.pushScoutLine(`Group ${group}: ${size} unit${size === 1 ? '' : 's'}.`);
+  }
+
+  /**
+   * Digit: select control group `group`. Pressed twice in quick succession,
+   * also centers the camera on the group.
+   * @param {number} group
+   * @param {number} [now]
+   */
+  recallGroup(group, now = Date.now()) {
+    const ids = this.state.getControlGroup(group);
+    if (!ids.length) {
+      this.lastRecall = null;
+      this.state.reportInvalidCommand(`Group ${group} is empty. Ctrl+${group} binds the selection.`);
+      return;
+    }
+
+    const doubleTap = this.lastRecall && this.lastRecall.group === group && now - this.lastRecall.at < GROUP_DOUBLE_TAP_MS;
+    this.lastRecall = doubleTap ? null : { group, at: now };
+    this.state.setSelected(ids);
+
+    if (doubleTap && this.onFocus) {
+      let x = 0;
+      let y = 0;
+      for (const id of ids) {
+        const w = this.state.workers.get(id);
+        x += w.position.x;
+        y += w.position.y;
+      }
+      this.onFocus(x / ids.length, y / ids.length);
+    }
   }
 
   /**
-   * @param {'stop'|'hold'|'resume'|'reassign'|'inspect'|'terminate'|'logs'|'files'|'notes'|'focus'|'guard'|'scan'} cmd
+   * @param {CommandId} cmd
+   * @param {{queue?: boolean}} [options] - `queue` (Shift held) adds the order to each worker's queue
    */
-  exec(cmd) {
+  exec(cmd, options = {}) {
     const sel = this.state.getSelectedWorkers();
     const INVALID_SELECTION_MESSAGE = 'No worker selected. Select a worker first.';
 
+    if (this.disabledReason && !READ_ONLY_COMMANDS.includes(cmd)) {
+      this.state.reportInvalidCommand(this.disabledReason);
+      return;
+    }
+
     // Scan works on all workers, doesn't require selection
     if (cmd === 'scan') {
       let refreshed = 0;
@@ -56,36 +159,34 @@ export class CommandCenter {
       return;
     }
 
+    if (options.queue && QUEUEABLE_COMMANDS.includes(cmd)) {
+      this.queueOrder(sel, /** @type {QueuedOrder} */ ({ kind: cmd }));
+      return;
+    }
+
     let actionApplied = false;
 
     for (const w of sel) {
+      if (DIRECT_ORDER_COMMANDS.includes(cmd)) {
+        const cancelled = this.clearOrders(w.id);
+        if (cancelled) {
+          this.state.pushEvent({ type: 'command', workerId: w.id, details: `Order queue cancelled (${cancelled}).` });
+        }
+      }
+
       if (cmd === 'stop') {
-        w.status = 'idle';
-        w.progress = 0;
-        w.currentTask = w.currentTask;
-        w.updatedAt = Date.now();
-        this.state.upsertWorker({ ...w });
-        this.state.pushEvent({ type: 'command', workerId: w.id, details: `Stopped.` });
-        actionApplied = true;
+        actionApplied = this.request(w, 'stop') || actionApplied;
       }
 
       if (cmd === 'hold') {
         if (w.status === 'working' || w.status === 'moving') {
-          w.status = 'hold';
-          w.updatedAt = Date.now();
-          this.state.upsertWorker({ ...w });
-          this.state.pushEvent({ type: 'command', workerId: w.id, details: `Held.` });
-          actionApplied = true;
+          actionApplied = this.request(w, 'hold') || actionApplied;
         }
       }
 
       if (cmd === 'resume') {
         if (w.status === 'hold' || w.status === 'idle') {
-          w.status = 'working';
-          w.updatedAt = Date.now();
-          this.state.upsertWorker({ ...w });
-          this.state.pushEvent({ type: 'command', workerId: w.id, details: `Resumed.` });
-          actionApplied = true;
+          actionApplied = this.request(w, 'resume') || actionApplied;
         }
       }
 
@@ -99,41 +200,28 @@ export class CommandCenter {
       }
 
       if (cmd === 'terminate') {
-        w.status = 'terminated';
-        w.updatedAt = Date.now();
-        this.state.upsertWorker({ ...w });
-        this.state.pushEvent({ type: 'terminate', workerId: w.id, details: `${w.name} terminated.` });
-        setTimeout(() => this.state.removeWorker(w.id), 800);
-        actionApplied = true;
+        actionApplied = this.request(w, 'terminate') || actionApplied;
       }
 
       if (cmd === 'logs') {
-        const workerEvents = this.state.events.filter(e => e.workerId === w.id).slice(0, 10);
-        const summary = workerEvents.length > 0
-          ? workerEvents.map(e => e.details || e.type).join(' | ')
-          : 'No recent events.';
-        this.state.pushScoutLine(`[${w.name}] ${summary}`);
-        this.state.pushEvent({ type: 'command', workerId: w.id, details: `Logs: ${workerEvents.length} recent events.` });
+        // The drawer shows one worker; open it on the first selected
+        if (w === sel[0] && this.onLogs) this.onLogs(w.id);
+        const eventCount = this.state.getWorkerHistory(w.id).length;
+        this.state.pushEvent({ type: 'command', workerId: w.id, details: `Logs: ${eventCount} events.` });
         actionApplied = true;
       }
 
       if (cmd === 'files') {
-        const fileCount = Math.floor(w.tokensUsed / 100);
-        this.state.pushScoutLine(`[${w.name}] Files touched: ~${fileCount}`);
-        this.state.pushEvent({ type: 'command', workerId: w.id, details: `Files: ~${fileCount} touched.` });
+        // The panel shows one worker; open it on the first selected
+        if (w === sel[0] && this.onFiles) this.onFiles(w.id);
+        const fileCount = this.state.files.get(w.id)?.size || 0;
+        this.state.pushEvent({ type: 'command', workerId: w.id, details: `Files: ${fileCount} touched.` });
         actionApplied = true;
       }
 
       if (cmd === 'notes') {
-        const existingNote = this.workerNotes.get(w.id);
-        const note = existingNote ? `Note cleared.` : `Note: Priority worker.`;
-        if (existingNote) {
-          this.workerNotes.delete(w.id);
-        } else {
-          this.workerNotes.set(w.id, 'Priority worker');
-        }
-        this.state.pushScoutLine(`[${w.name}] ${note}`);
-        this.state.pushEvent({ type: 'command', workerId: w.id, details: note });
+        // The editor holds one note; saving it logs the change
+        if (w === sel[0] && this.onNotes) this.onNotes(w.id);
         actionApplied = true;
       }
 
@@ -153,7 +241,7 @@ export class CommandCenter {
           this.state.pushEvent({ type: 'command', workerId: w.id, details: `Guard mode disabled.` });
         } else {
           this.guardedWorkers.add(w.id);
-          this.state.pushScoutLine(`[${w.name}] Guard mode on. Auto-reassign when idle.`);
+          this.state.pushScoutLine(`[${w.name}] Guard mode on. Re-tasked when idle, escalated when blocked.`);
           this.state.pushEvent({ type: 'command', workerId: w.id, details: `Guard mode enabled.` });
         }
         actionApplied = true;
@@ -161,7 +249,9 @@ export class CommandCenter {
     }
 
     if (!actionApplied) {
-      if (cmd === 'hold') {
+      if (sel.every((w) => w.pendingCommand)) {
+        this.state.reportInvalidCommand('Waiting for the agent to answer the previous command.');
+      } else if (cmd === 'hold') {
         this.state.reportInvalidCommand('Hold requires a working or moving worker.');
       } else if (cmd === 'resume') {
         this.state.reportInvalidCommand('Resume requires an idle or held worker.');
@@ -169,16 +259,69 @@ export class CommandCenter {
     }
   }
 
+  /**
+   * Send a command to the worker's agent. The worker shows the expected
+   * status right away with the command pending; the bridge's ack or nack
+   * (or the timeout) settles it and writes the real outcome to the log.
+   * @param {import('./game-state.js').Worker} w
+   * @param {AgentCommand} command
+   * @returns {boolean} Whether a request went out
+   */
+  request(w, command) {
+    if (w.pendingCommand) return false;
+
+    const commandId = `cmd-${Math.random().toString(16).slice(2, 10)}`;
+    const issued = this.state.dispatch({
+      type: 'command_issue',
+      agentId: w.id,
+      source: 'command',
+      data: { commandId, command },
+    });
+    if (!issued.ok) return false;
+
+    if (!this.bridge.sendCommand) {
+      this.state.dispatch({
+        type: 'command_nack',
+        agentId: w.id,
+        data: { commandId, message: 'the current bridge cannot reach agents.' },
+      });
+      return true;
+    }
+
+    this.bridge.sendCommand({ id: commandId, agentId: w.id, command });
+
+    setTimeout(() => {
+      const pending = this.state.workers.get(w.id)?.pendingCommand;
+      if (pending && pending.id === commandId) {
+        this.state.dispatch({ type: 'command_timeout', agentId: w.id, data: { commandId } });
+      }
+    }, COMMAND_TIMEOUT_MS);
+
+    return true;
+  }
+
   /**
    * @param {import('./map.js').MapRegion} region
+   * @param {{queue?: boolean}} [options] - `queue` (Shift held) appends the move to each worker's queue
    */
-  assignSelectedTo(region) {
+  assignSelectedTo(region, options = {}) {
+    if (this.disabledReason) {
+      this.state.reportInvalidCommand(this.disabledReason);
+      return;
+    }
+
     const sel = this.state.getSelectedWorkers();
     if (!sel.length) {
       this.state.reportInvalidCommand('Select a worker before assigning.');
       return;
     }
 
+    if (options.queue) {
+      this.queueOrder(sel, { kind: 'assign', region: region.id });
+      return;
+    }
+
+    for (const w of sel) this.clearOrders(w.id);
     const ids = sel.map(w => w.id);
     if (this.bridge.manualAssign) {
       this.bridge.manualAssign(ids, region);
@@ -195,4 +338,152 @@ export class CommandCenter {
 
     this.assignMode = false;
   }
+
+  /**
+   * Append an order to each worker's queue. Workers with nothing in progress
+   * start it right away; the rest get to it as earlier orders finish.
+   * @param {Worker[]} workers
+   * @param {QueuedOrder} order
+   */
+  queueOrder(workers, order) {
+    const label = order.kind === 'assign' ? `move to ${resolveRegion(order.region)?.name || order.region}` : order.kind;
+    for (const w of workers) {
+      const queue = this.orderQueues.get(w.id) || [];
+      queue.push({ ...order });
+      this.orderQueues.set(w.id, queue);
+      const waiting = queue.length + (this.activeOrders.has(w.id) ? 1 : 0);
+      this.state.pushEvent({ type: 'command', workerId: w.id, details: `Queued: ${label} (${waiting} in queue).` });
+    }
+    this.advanceOrders();
+  }
+
+  /**
+   * Drop queued orders, for one worker or all of them.
+   * @param {string} [workerId]
+   * @returns {number} Orders dropped, counting the one in progress
+   */
+  clearOrders(workerId) {
+    if (workerId === undefined) {
+      this.orderQueues.clear();
+      this.activeOrders.clear();
+      return 0;
+    }
+    const dropped = (this.orderQueues.get(workerId)?.length || 0) + (this.activeOrders.has(workerId) ? 1 : 0);
+    this.orderQueues.delete(workerId);
+    this.activeOrders.delete(workerId);
+    return dropped;
+  }
+
+  /**
+   * Settle queued orders that finished and start the next ones. Runs on
+   * every state change; calls caused by the orders it issues are ignored.
+   * Paused while commands are disabled.
+   */
+  advanceOrders() {
+    if (this._advancing || this.disabledReason) return;
+    if (!this.orderQueues.size && !this.activeOrders.size) return;
+    this._advancing = true;
+
+    try {
+      const ids = new Set([...this.orderQueues.keys(), ...this.activeOrders.keys()]);
+      for (const id of ids) {
+        const w = this.state.workers.get(id);
+        if (!w || w.status === 'terminated') {
+          this.clearOrders(id);
+          continue;
+        }
+
+        const active = this.activeOrders.get(id);
+        if (active) {
+          if (!orderDone(w, active)) continue;
+          this.activeOrders.delete(id);
+        } else if (w.status === 'moving' || w.pendingCommand) {
+          // Queued behind a direct order that is still under way
+          continue;
+        }
+
+        const queue = this.orderQueues.get(id) || [];
+        while (queue.length) {
+          const next = queue.shift();
+          if (this.startOrder(this.state.workers.get(id), next, queue.length)) {
+            this.activeOrders.set(id, next);
+            break;
+          }
+        }
+        if (!queue.length) this.orderQueues.delete(id);
+      }
+    } finally {
+      this._advancing = false;
+    }
+  }
+
+  /**
+   * @param {Worker} w
+   * @param {QueuedOrder} order
+   * @param {number} remaining - Orders still queued after this one
+   * @returns {boolean} Whether the order is now under way
+   */
+  startOrder(w, order, remaining) {
+    const more = remaining ? ` (${remaining} more queued)` : '';
+
+    if (order.kind === 'assign') {
+      const region = resolveRegion(order.region);
+      if (!region) {
+        this.state.pushEvent({ type: 'command', workerId: w.id, details: `Queued move skipped: region "${order.region}" is gone.` });
+        return false;
+      }
+      if (!this.bridge.manualAssign) {
+        this.state.pushEvent({ type: 'command', workerId: w.id, details: 'Queued move skipped: this bridge cannot move workers.' });
+        return false;
+      }
+      this.bridge.manualAssign([w.id], region, `Queued order: to ${region.name}${more}.`);
+      return true;
+    }
+
+    if (w.status !== 'working' && w.status !== 'moving') {
+      this.state.pushEvent({ type: 'command', workerId: w.id, details: `Queued hold skipped: worker is ${w.status}.` });
+      return false;
+    }
+    return this.request(w, 'hold');
+  }
+
+  /**
+   * Where a worker's queued orders lead, for waypoint lines: region centers
+   * in order, with holds placed where the preceding move ends.
+   * @param {string} workerId
+   * @returns {Waypoint[]|null}
+   */
+  getWaypoints(workerId) {
+    if (this.disabledReason) return null;
+    const active = this.activeOrders.get(workerId);
+    const orders = [...(active ? [active] : []), ...(this.orderQueues.get(workerId) || [])];
+    if (!orders.length) return null;
+
+    const w = this.state.workers.get(workerId);
+    if (!w) return null;
+
+    /** @type {Waypoint[]} */
+    const points = [];
+    let last = w.position;
+    for (const order of orders) {
+      if (order.kind === 'assign') {
+        const region = resolveRegion(order.region);
+        if (!region) continue;
+        last = { x: region.bounds.x + region.bounds.width / 2, y: region.bounds.y + region.bounds.height / 2 };
+      }
+      points.push({ x: last.x, y: last.y, kind: order.kind });
+    }
+    return points;
+  }
+}
+
+/**
+ * A queued move is done once the worker stops moving toward its region (or is
+ * sent elsewhere); a queued hold once the agent has answered it.
+ * @param {Worker} w
+ * @param {QueuedOrder} order
+ */
+function orderDone(w, order) {
+  if (order.kind === 'assign') return w.status !== 'moving' || w.targetRegion !== order.region;
+  return !w.pendingCommand;
 }
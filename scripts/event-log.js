@@ -0,0 +1,450 @@
+/**
+ * Event log sidebar: the shared event feed, with type chips, worker, time
+ * range and text filters, and a pause toggle.
+ *
+ * The feed is virtualized. Rows have a fixed height and only those in view
+ * (plus a margin) exist in the DOM, so thousands of retained events cost no
+ * more to show than a screenful. New events are filtered and added on their
+ * own; the full list is only filtered again when a filter changes or the log
+ * is replaced (fresh session, restore, replay seek). One click handler on
+ * the feed serves every row.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').GameEvent} GameEvent
+ * @typedef {import('./game-state.js').EventType} EventType
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {{types: Set<EventType>, workerId: string, query: string, range: keyof typeof LOG_TIME_RANGES}} LogFilter
+ */
+
+const ICONS = {
+  spawn: '⚡',
+  task_start: '⛏',
+  task_complete: '✅',
+  error: '❗',
+  terminate: '✖',
+  command: '⌘',
+  status: '•',
+};
+
+// Worker avatar masks based on event type
+const AVATARS = {
+  spawn: { emoji: '🟢', class: 'log-avatar-spawn' },
+  task_start: { emoji: '🟡', class: 'log-avatar-working' },
+  task_complete: { emoji: '🟠', class: 'log-avatar-complete' },
+  error: { emoji: '🔴', class: 'log-avatar-error' },
+  terminate: { emoji: '⚪', class: 'log-avatar-default' },
+  command: { emoji: '🔵', class: 'log-avatar-working' },
+  status: { emoji: '🟤', class: 'log-avatar-default' },
+};
+
+/** Filter chips, in display order */
+const LOG_CHIPS = [
+  { type: 'error', label: 'Errors' },
+  { type: 'command', label: 'Commands' },
+  { type: 'task_complete', label: 'Done' },
+  { type: 'task_start', label: 'Started' },
+  { type: 'spawn', label: 'Spawned' },
+  { type: 'terminate', label: 'Ended' },
+  { type: 'status', label: 'Status' },
+];
+
+/** Time ranges by picker value, in ms; 0 keeps everything */
+export const LOG_TIME_RANGES = {
+  all: 0,
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+};
+
+/** Row pitch in px; must match `.log-virtual .log-item` height plus its gap */
+const ROW_HEIGHT = 60;
+
+/** Rows kept in the DOM above and below the visible ones */
+const OVERSCAN_ROWS = 6;
+
+/** Scrolled less than this from the top still follows new events */
+const FOLLOW_SLACK_PX = 4;
+
+function el(id) { return document.getElementById(id); }
+
+/**
+ * Events that pass the event log filters.
+ * @param {GameEvent[]} events
+ * @param {LogFilter} filter
+ * @param {Map<string, Worker>} workers - For matching worker names
+ * @param {number} now - End of the time range
+ * @returns {GameEvent[]}
+ */
+export function filterEvents(events, filter, workers, now) {
+  return events.filter(eventMatcher(filter, workers, now));
+}
+
+/**
+ * Predicate for one filter setting. No chip picked means every type; nacked
+ * and timed-out commands count as errors, as they are drawn as one.
+ * @param {LogFilter} filter
+ * @param {Map<string, Worker>} workers
+ * @param {number} now
+ * @returns {(evt: GameEvent) => boolean}
+ */
+function eventMatcher(filter, workers, now) {
+  const rangeMs = LOG_TIME_RANGES[filter.range] || 0;
+  const q = filter.query.trim().toLowerCase();
+  const errors = filter.types.has('error');
+  return (evt) => {
+    if (filter.types.size && !filter.types.has(evt.type)
+      && !(errors && (evt.outcome === 'nack' || evt.outcome === 'timeout'))) return false;
+    if (filter.workerId && evt.workerId !== filter.workerId) return false;
+    if (rangeMs && !(now - evt.timestamp <= rangeMs)) return false;
+    if (!q) return true;
+    const name = workers.get(evt.workerId)?.name || '';
+    return `${evt.details}\n${name}`.toLowerCase().includes(q);
+  };
+}
+
+export class EventLog {
+  /**
+   * @param {GameState} state
+   * @param {import('./renderer.js').Renderer} renderer - Clicking a row centers its camera
+   */
+  constructor(state, renderer) {
+    this.state = state;
+    this.renderer = renderer;
+
+    this.$feed = el('logFeed');
+    this.$status = el('logStatus');
+    this.$chips = el('logChips');
+    this.$worker = /** @type {HTMLSelectElement|null} */ (el('logWorker'));
+    this.$search = /** @type {HTMLInputElement|null} */ (el('logSearch'));
+    this.$range = /** @type {HTMLSelectElement|null} */ (el('logRange'));
+    this.$pause = el('logPause');
+
+    /** @type {LogFilter} */
+    this.filter = { types: new Set(), workerId: '', query: '', range: 'all' };
+    /** @type {GameEvent[]|null} Events as they were when paused; null while live */
+    this.frozen = null;
+    this._frozenSeq = 0;
+    this._frozenAt = 0;
+    /** Clock for the time range; main points it at the playhead during replays */
+    this.now = () => Date.now();
+
+    /** @type {GameEvent[]} Events that pass the filters, oldest first */
+    this.rows = [];
+    /** @type {number[]} `state.eventSeq` number of each row */
+    this.rowSeq = [];
+    /** `state.eventSeq` and newest event when rows were last brought up to date */
+    this._seenSeq = 0;
+    /** @type {GameEvent|null} */
+    this._head = null;
+    this._stale = true;
+
+    /** @type {Map<number, HTMLElement>} Row elements in the DOM, by event number */
+    this._rendered = new Map();
+    this._workersKey = '';
+    this._statusText = '';
+    this._pauseText = '';
+
+    if (!this.$feed) return;
+
+    this.$list = document.createElement('div');
+    this.$list.className = 'log-virtual';
+    this.$empty = document.createElement('div');
+    this.$empty.className = 'log-filter-empty';
+    this.$empty.textContent = 'No events match the filters.';
+    this.$empty.hidden = true;
+    this.$feed.append(this.$empty, this.$list);
+
+    this.$feed.addEventListener('click', (e) => {
+      const row = /** @type {HTMLElement} */ (e.target).closest('.log-item');
+      if (row) this.focusWorker(row.dataset.worker);
+    });
+    this.$feed.addEventListener('scroll', () => this.layout());
+    window.addEventListener('resize', () => this.layout());
+
+    this.bindControls();
+  }
+
+  bindControls() {
+    if (this.$chips) {
+      this.$chips.replaceChildren(...LOG_CHIPS.map(({ type, label }) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `log-chip log-chip-${type}`;
+        chip.dataset.type = type;
+        chip.textContent = `${ICONS[type]} ${label}`;
+        chip.setAttribute('aria-pressed', 'false');
+        return chip;
+      }));
+      this.$chips.addEventListener('click', (e) => {
+        const chip = /** @type {HTMLElement} */ (e.target).closest('[data-type]');
+        if (!chip) return;
+        const type = /** @type {EventType} */ (chip.dataset.type);
+        const types = this.filter.types;
+        if (types.has(type)) types.delete(type);
+        else types.add(type);
+        chip.setAttribute('aria-pressed', String(types.has(type)));
+        this.refresh();
+      });
+    }
+    this.$worker?.addEventListener('change', () => {
+      this.filter.workerId = this.$worker.value;
+      this.refresh();
+    });
+    this.$search?.addEventListener('input', () => {
+      this.filter.query = this.$search.value;
+      this.refresh();
+    });
+    this.$range?.addEventListener('change', () => {
+      this.filter.range = /** @type {LogFilter['range']} */ (this.$range.value);
+      this.refresh();
+    });
+    this.$pause?.addEventListener('click', () => this.setPaused(!this.frozen));
+  }
+
+  /**
+   * Freeze the feed on what it shows now, or go back to following it.
+   * Filters still apply to the frozen events.
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.frozen = paused ? this.state.events.slice() : null;
+    this._frozenSeq = this.state.eventSeq;
+    this._frozenAt = this.now();
+    this.refresh();
+  }
+
+  /** Filter everything again on the next render */
+  refresh() {
+    this._stale = true;
+    this.render();
+  }
+
+  render() {
+    if (!this.$feed) return;
+    this.renderWorkers();
+    this.renderStatus();
+
+    let changed = false;
+    if (this._stale) {
+      this.rebuild();
+      changed = true;
+    } else if (!this.frozen) {
+      changed = this.ingest();
+    }
+    if (this.trimRange()) changed = true;
+    if (changed) this.layout();
+  }
+
+  /** Filter the whole log from scratch */
+  rebuild() {
+    const s = this.state;
+    const source = this.frozen || s.events;
+    const base = this.frozen ? this._frozenSeq : s.eventSeq;
+    const matches = eventMatcher(this.filter, s.workers, this.frozen ? this._frozenAt : this.now());
+
+    this.rows = [];
+    this.rowSeq = [];
+    for (let i = source.length - 1; i >= 0; i--) {
+      if (!matches(source[i])) continue;
+      this.rows.push(source[i]);
+      this.rowSeq.push(base - i);
+    }
+    this._seenSeq = s.eventSeq;
+    this._head = s.events[0] || null;
+    this._stale = false;
+
+    for (const row of this._rendered.values()) row.remove();
+    this._rendered.clear();
+    this.$feed.scrollTop = 0;
+  }
+
+  /**
+   * Add events that arrived since the last render and drop rows that fell
+   * off the end of the log.
+   * @returns {boolean} Whether any rows changed
+   */
+  ingest() {
+    const s = this.state;
+    const added = s.eventSeq - this._seenSeq;
+    // The old head sits right behind the new events unless the log was replaced
+    const continuous = this._head
+      ? added < s.events.length && s.events[added] === this._head
+      : added === s.events.length;
+    if (!continuous) {
+      this.rebuild();
+      return true;
+    }
+    if (!added) return false;
+
+    const matches = eventMatcher(this.filter, s.workers, this.now());
+    let shown = 0;
+    for (let i = added - 1; i >= 0; i--) {
+      if (!matches(s.events[i])) continue;
+      this.rows.push(s.events[i]);
+      this.rowSeq.push(s.eventSeq - i);
+      shown++;
+    }
+    this._seenSeq = s.eventSeq;
+    this._head = s.events[0] || null;
+
+    const oldest = s.eventSeq - s.events.length + 1;
+    let cut = 0;
+    while (cut < this.rowSeq.length && this.rowSeq[cut] < oldest) cut++;
+    this.dropOldest(cut);
+
+    // Keep the lines being read still; at the top, keep following
+    if (shown && this.$feed.scrollTop > FOLLOW_SLACK_PX) {
+      this.$list.style.height = `${this.rows.length * ROW_HEIGHT}px`;
+      this.$feed.scrollTop += shown * ROW_HEIGHT;
+    }
+    return shown > 0 || cut > 0;
+  }
+
+  /**
+   * Drop rows that aged out of the time range.
+   * @returns {boolean} Whether any were dropped
+   */
+  trimRange() {
+    const rangeMs = LOG_TIME_RANGES[this.filter.range] || 0;
+    if (!rangeMs || !this.rows.length) return false;
+    const now = this.frozen ? this._frozenAt : this.now();
+    let cut = 0;
+    while (cut < this.rows.length && now - this.rows[cut].timestamp > rangeMs) cut++;
+    this.dropOldest(cut);
+    return cut > 0;
+  }
+
+  /** @param {number} count */
+  dropOldest(count) {
+    if (!count) return;
+    for (const seq of this.rowSeq.slice(0, count)) {
+      this._rendered.get(seq)?.remove();
+      this._rendered.delete(seq);
+    }
+    this.rows.splice(0, count);
+    this.rowSeq.splice(0, count);
+  }
+
+  /** Put the rows in view into the DOM, newest at the top */
+  layout() {
+    if (!this.$feed) return;
+    const total = this.rows.length;
+    const source = this.frozen || this.state.events;
+    this.$empty.hidden = total > 0 || !source.length;
+    this.$list.style.height = `${total * ROW_HEIGHT}px`;
+
+    const top = this.$feed.scrollTop - this.$list.offsetTop;
+    const first = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const last = Math.min(total, Math.ceil((top + this.$feed.clientHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+
+    /** @type {HTMLElement[]} */
+    const visible = [];
+    const keep = new Set();
+    for (let v = first; v < last; v++) {
+      const i = total - 1 - v;
+      const seq = this.rowSeq[i];
+      let row = this._rendered.get(seq);
+      if (!row) {
+        row = makeRow(this.rows[i]);
+        this._rendered.set(seq, row);
+      }
+      row.style.transform = `translateY(${v * ROW_HEIGHT}px)`;
+      keep.add(seq);
+      visible.push(row);
+    }
+    for (const [seq, row] of this._rendered) {
+      if (keep.has(seq)) continue;
+      row.remove();
+      this._rendered.delete(seq);
+    }
+
+    // Rows already in the DOM keep their order; slot new ones in around them
+    let ref = this.$list.firstChild;
+    for (const row of visible) {
+      if (row === ref) ref = ref.nextSibling;
+      else this.$list.insertBefore(row, ref);
+    }
+  }
+
+  /** Worker filter options, rebuilt when workers come, go or are renamed */
+  renderWorkers() {
+    if (!this.$worker) return;
+    const workers = Array.from(this.state.workers.values());
+    const picked = this.filter.workerId;
+    const key = `${picked}|${workers.map((w) => `${w.id}:${w.name}`).join(',')}`;
+    if (key === this._workersKey) return;
+    this._workersKey = key;
+
+    const options = [new Option('All workers', '')];
+    for (const w of workers) options.push(new Option(w.name, w.id));
+    // Keep a removed worker pickable so its events can still be read
+    if (picked && !this.state.workers.has(picked)) options.push(new Option(`${picked} (gone)`, picked));
+    this.$worker.replaceChildren(...options);
+    this.$worker.value = picked;
+  }
+
+  renderStatus() {
+    const s = this.state;
+    const status = this.frozen ? 'Paused' : s.workers.size ? 'Live' : 'Idle';
+    if (this.$status && status !== this._statusText) {
+      this._statusText = status;
+      this.$status.textContent = status;
+    }
+    if (!this.$pause) return;
+    const since = this.frozen ? s.eventSeq - this._frozenSeq : 0;
+    const text = this.frozen ? `Resume${since ? ` (${since} new)` : ''}` : 'Pause';
+    if (text === this._pauseText) return;
+    this._pauseText = text;
+    this.$pause.textContent = text;
+    this.$pause.setAttribute('aria-pressed', String(!!this.frozen));
+  }
+
+  /** @param {string|undefined} workerId */
+  focusWorker(workerId) {
+    const w = workerId ? this.state.workers.get(workerId) : null;
+    if (!w) return;
+    this.state.setSelected([w.id]);
+    this.renderer.camera.x = w.position.x;
+    this.renderer.camera.y = w.position.y;
+  }
+}
+
+/**
+ * @param {GameEvent} evt
+ * @returns {HTMLElement}
+ */
+function makeRow(evt) {
+  const failedCommand = evt.outcome === 'nack' || evt.outcome === 'timeout';
+  const cls = evt.type === 'error' || failedCommand ? 'err' : evt.type === 'task_complete' ? 'ok' : evt.type === 'spawn' ? 'spawn' : '';
+  const avatar = AVATARS[evt.type] || AVATARS.status;
+
+  const row = document.createElement('button');
+  row.type = 'button';
+  row.className = `log-item ${cls}`;
+  row.dataset.worker = evt.workerId || '';
+  row.title = evt.details || '';
+
+  const face = document.createElement('div');
+  face.className = `log-avatar ${avatar.class}`;
+  face.textContent = avatar.emoji;
+
+  const time = document.createElement('span');
+  time.className = 'log-time';
+  time.textContent = formatStamp(evt.timestamp);
+
+  // The CSS adds the "Error:" prefix for errors
+  const text = document.createElement('span');
+  text.className = 'log-text';
+  text.textContent = evt.type === 'error' ? String(evt.details || '').replace(/^Error:\s*/i, '') : evt.details;
+
+  row.append(face, time, text);
+  return row;
+}
+
+/** @param {number} ts */
+function formatStamp(ts) {
+  const t = new Date(ts);
+  if (Number.isNaN(t.getTime())) return 'Now';
+  return [t.getHours(), t.getMinutes(), t.getSeconds()].map((n) => String(n).padStart(2, '0')).join(':');
+}
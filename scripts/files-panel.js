@@ -0,0 +1,150 @@
+import { REGIONS } from './map.js';
+import { escapeHtml } from './ui-panels.js';
+
+/**
+ * Files (F) panel: every file the selected worker read or changed, grouped
+ * by the region it belongs to, with operation and line counts.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').FileTouch} FileTouch
+ */
+
+const OP_META = {
+  read: { label: 'R', title: 'Read' },
+  edit: { label: 'M', title: 'Modified' },
+  write: { label: 'W', title: 'Written' },
+  create: { label: 'A', title: 'Created' },
+  delete: { label: 'D', title: 'Deleted' },
+};
+
+function el(id) { return document.getElementById(id); }
+
+export class FilesPanel {
+  /**
+   * @param {GameState} state
+   */
+  constructor(state) {
+    this.state = state;
+
+    this.$panel = el('filesPanel');
+    this.$title = el('filesPanelTitle');
+    this.$summary = el('filesPanelSummary');
+    this.$body = el('filesPanelBody');
+
+    /** @type {string|null} */
+    this.workerId = null;
+    this._renderKey = '';
+
+    el('filesPanelClose')?.addEventListener('click', () => this.close());
+  }
+
+  get open() {
+    return !!this.$panel && !this.$panel.hidden;
+  }
+
+  /**
+   * Show a worker's files. While open the panel follows single selections.
+   * @param {string} workerId
+   */
+  show(workerId) {
+    if (!this.$panel) return;
+    this.workerId = workerId;
+    this.$panel.hidden = false;
+    this._renderKey = '';
+    this.render();
+  }
+
+  close() {
+    if (!this.$panel) return;
+    this.$panel.hidden = true;
+    this.workerId = null;
+  }
+
+  render() {
+    if (!this.open) return;
+    const s = this.state;
+
+    const selected = s.getSelectedWorkers();
+    if (selected.length === 1) this.workerId = selected[0].id;
+
+    const worker = this.workerId ? s.workers.get(this.workerId) : null;
+    const files = this.workerId ? s.getWorkerFiles(this.workerId) : [];
+    const touches = files.reduce((sum, f) => sum + f.touches, 0);
+    const key = `${this.workerId}:${worker ? worker.name : ''}:${files.length}:${touches}`;
+    if (key === this._renderKey) return;
+    this._renderKey = key;
+
+    if (this.$title) this.$title.textContent = worker ? `Files · ${worker.name}` : 'Files';
+
+    let added = 0;
+    let removed = 0;
+    for (const f of files) {
+      added += f.added;
+      removed += f.removed;
+    }
+    if (this.$summary) {
+      this.$summary.textContent = files.length
+        ? `${files.length} file${files.length === 1 ? '' : 's'} · +${added} −${removed}`
+        : '';
+    }
+
+    if (!worker) {
+      this.$body.innerHTML = '<div class="files-empty">Worker is gone.</div>';
+      return;
+    }
+    if (!files.length) {
+      this.$body.innerHTML = '<div class="files-empty">No files touched yet.</div>';
+      return;
+    }
+
+    this.$body.innerHTML = groupByRegion(files).map(({ name, files: group }) => `
+      <section class="files-group">
+        <h3 class="files-group-title">${escapeHtml(name)}<span class="files-group-count">${group.length}</span></h3>
+        <ul class="files-list">
+          ${group.map(renderFile).join('')}
+        </ul>
+      </section>`).join('');
+  }
+}
+
+/**
+ * Groups in map order; files in regions no longer on the map come last.
+ * @param {FileTouch[]} files
+ * @returns {{name: string, files: FileTouch[]}[]}
+ */
+function groupByRegion(files) {
+  /** @type {Map<string, FileTouch[]>} */
+  const byRegion = new Map();
+  for (const f of files) {
+    if (!byRegion.has(f.region)) byRegion.set(f.region, []);
+    byRegion.get(f.region).push(f);
+  }
+
+  const groups = [];
+  for (const region of REGIONS) {
+    const group = byRegion.get(region.id);
+    if (!group) continue;
+    groups.push({ name: region.name, files: group });
+    byRegion.delete(region.id);
+  }
+  for (const [id, group] of byRegion) groups.push({ name: id, files: group });
+  return groups;
+}
+
+/** @param {FileTouch} f */
+function renderFile(f) {
+  const op = OP_META[f.op] || OP_META.edit;
+  const slash = f.path.lastIndexOf('/');
+  const dir = slash === -1 ? '' : f.path.slice(0, slash + 1);
+  const name = f.path.slice(slash + 1);
+  const delta = f.added || f.removed
+    ? `<span class="files-delta"><span class="files-added">+${f.added}</span> <span class="files-removed">−${f.removed}</span></span>`
+    : '';
+  const times = f.touches > 1 ? `<span class="files-touches">×${f.touches}</span>` : '';
+
+  return `<li class="files-item" title="${escapeHtml(f.path)}">
+    <span class="files-op files-op-${f.op}" title="${op.title}">${op.label}</span>
+    <span class="files-path"><span class="files-dir">${escapeHtml(dir)}</span>${escapeHtml(name)}</span>
+    ${delta}${times}
+  </li>`;
+}
@@ -1,18 +1,60 @@
+import { validateAction, applyAction } from './actions.js';
+import { WorkerMap } from './spatial-index.js';
+
 /**
  * Minimal state store with pub/sub.
  * @typedef {'idle'|'working'|'moving'|'blocked'|'complete'|'terminated'|'hold'} WorkerStatus
  * @typedef {{x:number,y:number}} Vec2
- * @typedef {{id:string,name:string,status:WorkerStatus,currentTask:string|null,targetRegion:string,position:Vec2,spawnedAt:number,tokensUsed:number,progress:number,errorMessage:string|null,updatedAt:number}} Worker
+ * @typedef {{id:string,command:import('./actions.js').AgentCommand,issuedAt:number,previous:{status:WorkerStatus,progress:number}}} PendingCommand
+ * @typedef {{id:string,name:string,status:WorkerStatus,currentTask:string|null,targetRegion:string,position:Vec2,spawnedAt:number,tokensUsed:number,progress:number,errorMessage:string|null,pendingCommand?:PendingCommand|null,updatedAt:number}} Worker
  * @typedef {'spawn'|'task_start'|'task_complete'|'error'|'terminate'|'command'|'status'} EventType
- * @typedef {{timestamp:number,type:EventType,workerId:string,details:string}} GameEvent
+ * @typedef {{timestamp:number,type:EventType,workerId:string,details:string,error?:import('./actions.js').ActionError,commandId?:string,outcome?:'ack'|'nack'|'timeout'}} GameEvent
+ * @typedef {{text:string,tags:string[],createdAt:number,updatedAt:number}} WorkerNote
+ * @typedef {'read'|'edit'|'write'|'create'|'delete'} FileOp
+ * @typedef {{path:string,region:string,op:FileOp,touches:number,added:number,removed:number,firstAt:number,lastAt:number}} FileTouch
+ * @typedef {{kind:'action',action:import('./actions.js').Action}|{kind:'event',event:GameEvent}|{kind:'scout',line:string}} StateRecord
+ * @typedef {{completed:number,files:number,failed:number,tokens:number}} Stats
+ * @typedef {object} ChangeSet - What changed since subscribers were last notified
+ * @property {Set<string>} workers - Workers added or updated
+ * @property {Set<string>} removed - Workers gone
+ * @property {GameEvent[]} events - New events, newest first
+ * @property {Stats} stats - How much each counter moved
+ * @property {boolean} selection
+ * @property {boolean} reset - State was replaced wholesale (subscribe, fresh session, restore, replay seek); redraw everything
+ * @typedef {object} TopicPayloads - Topics published from each change set, and what their handlers get
+ * @property {{}} state:reset
+ * @property {{worker: Worker}} worker:updated - Also sent for new workers
+ * @property {{id: string}} worker:removed
+ * @property {GameEvent} event:spawn
+ * @property {GameEvent} event:task_start
+ * @property {GameEvent} event:task_complete
+ * @property {GameEvent} event:error
+ * @property {GameEvent} event:terminate
+ * @property {GameEvent} event:command
+ * @property {GameEvent} event:status
+ * @property {{ids: string[]}} selection:changed
+ * @property {{stats: Stats, delta: Stats}} stats:changed
  */
 
+/** Events kept in the shared log, newest first */
+export const EVENT_LOG_LIMIT = 10000;
+
+/** Per-worker history kept beyond the shared event log */
+const WORKER_HISTORY_LIMIT = 500;
+
+/** Longest a notification waits when no animation frame comes (hidden tab) */
+const NOTIFY_FALLBACK_MS = 100;
+
 export class GameState {
   constructor() {
-    /** @type {Map<string, Worker>} */
-    this.workers = new Map();
+    /** @type {WorkerMap} Also answers near() and within() queries by position */
+    this.workers = new WorkerMap();
     /** @type {GameEvent[]} */
     this.events = [];
+    /** Events appended since the page loaded. Only ever grows, unlike events.length at the cap */
+    this.eventSeq = 0;
+    /** @type {Map<string, GameEvent[]>} Each worker's events, oldest first */
+    this.history = new Map();
     /** @type {Set<string>} */
     this.selected = new Set();
     /** @type {number} */
@@ -34,17 +76,56 @@ export class GameState {
       'Demo mode is generating worker activity.',
     ];
 
-    // Seed with small values to show "prior session" activity
-    // Prevents jarring all-zeros display on load
-    this.stats = {
-      completed: 3,
-      files: 8,
-      failed: 0,
-      tokens: 412,
-    };
+    this.stats = emptyStats();
 
-    /** @type {Set<Function>} */
+    /** @type {Map<string, Map<string, FileTouch>>} Files each worker read or changed, by path */
+    this.files = new Map();
+
+    /** @type {Map<string, WorkerNote>} Operator notes per worker */
+    this.notes = new Map();
+
+    /** @type {Map<number, string[]>} Control groups by digit (0-9), members in bind order */
+    this.controlGroups = new Map();
+    /** @type {number} */
+    this.controlGroupsRevision = 0;
+
+    /** @type {Set<(s: GameState, changes: ChangeSet) => void>} */
     this.listeners = new Set();
+    /** @type {Map<string, Set<(payload: any, topic: string) => void>>} Topic handlers by pattern */
+    this.topics = new Map();
+    this._notifyPending = false;
+    /** @type {Map<string, Worker>} Workers as subscribers last saw them */
+    this._seenWorkers = new Map();
+    this._seenEventSeq = 0;
+    /** @type {GameEvent|null} */
+    this._seenHead = null;
+    /** @type {Stats} */
+    this._seenStats = emptyStats();
+    this._seenSelection = 0;
+
+    /** @type {Set<(entry: StateRecord) => void>} */
+    this.recorders = new Set();
+  }
+
+  /**
+   * Drop workers, events, selection and counters and restart the session
+   * clock, as if the console had just been opened.
+   */
+  reset() {
+    this.workers.clear();
+    this.files.clear();
+    this.notes.clear();
+    this.history.clear();
+    this.controlGroups.clear();
+    this.controlGroupsRevision += 1;
+    this.events = [];
+    this.selected = new Set();
+    this.selectionRevision += 1;
+    this.selectionChangedAt = Date.now();
+    this.lastCommandEvent = null;
+    this.stats = emptyStats();
+    this.startedAt = Date.now();
+    this.notify();
   }
 
   /** @param {number} n */
@@ -69,27 +150,246 @@ export class GameState {
   pushScoutLine(line) {
     // newest first
     this.scout = [line, ...this.scout].slice(0, 3);
+    this.emitRecord({ kind: 'scout', line });
     this.notify();
   }
 
-  /** @param {(s:GameState)=>void} fn */
+  /**
+   * Listen for changes. The listener runs once right away with everything
+   * marked changed, then at most once per animation frame.
+   * @param {(s: GameState, changes: ChangeSet) => void} fn
+   */
   subscribe(fn) {
     this.listeners.add(fn);
-    fn(this);
+    fn(this, this.fullChangeSet());
     return () => this.listeners.delete(fn);
   }
 
+  /**
+   * Schedule a notification. Everything that changes before the next frame
+   * reaches subscribers as one change set.
+   */
   notify() {
-    for (const fn of this.listeners) fn(this);
+    if (this._notifyPending) return;
+    this._notifyPending = true;
+    const flush = () => this.flush();
+    if (typeof requestAnimationFrame === 'function') requestAnimationFrame(flush);
+    // Frames stop in background tabs; don't let commands and saves stall with them
+    setTimeout(flush, NOTIFY_FALLBACK_MS);
+  }
+
+  /**
+   * Deliver a pending notification now. Subscribers that change state
+   * schedule the next one rather than re-entering.
+   */
+  flush() {
+    if (!this._notifyPending) return;
+    this._notifyPending = false;
+    const changes = this.collectChanges();
+    for (const fn of this.listeners) fn(this, changes);
+    this.publishChanges(changes);
+  }
+
+  /**
+   * Listen to one topic. `worker:*` matches every worker topic and `*` every
+   * topic. Topics go out once per frame, after subscribers, in the order
+   * things happened.
+   * @template {keyof TopicPayloads} T
+   * @param {T|`${string}:*`|'*'} topic
+   * @param {(payload: TopicPayloads[T], topic: string) => void} handler
+   * @returns {() => void} Unsubscribe
+   */
+  on(topic, handler) {
+    let handlers = this.topics.get(topic);
+    if (!handlers) {
+      handlers = new Set();
+      this.topics.set(topic, handlers);
+    }
+    handlers.add(handler);
+    return () => {
+      handlers.delete(handler);
+      if (!handlers.size && this.topics.get(topic) === handlers) this.topics.delete(topic);
+    };
+  }
+
+  /**
+   * Send a payload to a topic's handlers and the wildcards that match it.
+   * Plugins may publish topics of their own. A throwing handler is logged
+   * and doesn't stop the rest.
+   * @param {string} topic - `area:name`
+   * @param {any} payload
+   */
+  emit(topic, payload) {
+    if (!this.topics.size) return;
+    const colon = topic.indexOf(':');
+    const patterns = colon < 0 ? [topic, '*'] : [topic, `${topic.slice(0, colon)}:*`, '*'];
+    for (const pattern of patterns) {
+      const handlers = this.topics.get(pattern);
+      if (!handlers) continue;
+      for (const fn of Array.from(handlers)) {
+        try {
+          fn(payload, topic);
+        } catch (err) {
+          console.error(`[GameState] Handler for ${topic} failed:`, err);
+        }
+      }
+    }
+  }
+
+  /** @param {ChangeSet} changes */
+  publishChanges(changes) {
+    if (!this.topics.size) return;
+    if (changes.reset) this.emit('state:reset', {});
+    for (const id of changes.removed) this.emit('worker:removed', { id });
+    for (const id of changes.workers) this.emit('worker:updated', { worker: this.workers.get(id) });
+    for (let i = changes.events.length - 1; i >= 0; i--) {
+      const evt = changes.events[i];
+      this.emit(`event:${evt.type}`, evt);
+    }
+    if (changes.selection) this.emit('selection:changed', { ids: Array.from(this.selected) });
+    if (Object.values(changes.stats).some(Boolean)) {
+      this.emit('stats:changed', { stats: { ...this.stats }, delta: changes.stats });
+    }
+  }
+
+  /**
+   * Compare against what subscribers last saw. Reducers replace worker
+   * objects rather than mutating them, so identity tells what changed.
+   * @returns {ChangeSet}
+   */
+  collectChanges() {
+    /** @type {ChangeSet} */
+    const changes = {
+      workers: new Set(),
+      removed: new Set(),
+      events: [],
+      stats: emptyStats(),
+      selection: this.selectionRevision !== this._seenSelection,
+      reset: false,
+    };
+
+    for (const [id, w] of this.workers) {
+      if (this._seenWorkers.get(id) !== w) changes.workers.add(id);
+    }
+    for (const id of this._seenWorkers.keys()) {
+      if (!this.workers.has(id)) changes.removed.add(id);
+    }
+    for (const key of Object.keys(changes.stats)) {
+      changes.stats[key] = this.stats[key] - this._seenStats[key];
+    }
+
+    // The old head sits right behind the new events unless the log was replaced
+    const added = this.eventSeq - this._seenEventSeq;
+    const continuous = this._seenHead
+      ? added < this.events.length && this.events[added] === this._seenHead
+      : added === this.events.length;
+    if (continuous) changes.events = this.events.slice(0, added);
+    else changes.reset = true;
+
+    this.markSeen();
+    return changes;
+  }
+
+  /** @returns {ChangeSet} Everything, as a subscriber that just joined sees it */
+  fullChangeSet() {
+    return {
+      workers: new Set(this.workers.keys()),
+      removed: new Set(),
+      events: this.events.slice(),
+      stats: { ...this.stats },
+      selection: true,
+      reset: true,
+    };
+  }
+
+  markSeen() {
+    this._seenWorkers = new Map(this.workers);
+    this._seenEventSeq = this.eventSeq;
+    this._seenHead = this.events[0] || null;
+    this._seenStats = { ...this.stats };
+    this._seenSelection = this.selectionRevision;
+  }
+
+  /**
+   * Observe every input that changes state: dispatched actions, events pushed
+   * directly and scout lines. Used by SessionRecorder.
+   * @param {(entry: StateRecord) => void} fn
+   */
+  onRecord(fn) {
+    this.recorders.add(fn);
+    return () => this.recorders.delete(fn);
+  }
+
+  /** @param {StateRecord} entry */
+  emitRecord(entry) {
+    for (const fn of this.recorders) fn(entry);
+  }
+
+  /**
+   * Single entry point for agent events and bridge updates. Invalid actions
+   * leave workers and stats untouched and log a structured error event.
+   * @param {import('./actions.js').Action} action
+   * @returns {import('./actions.js').DispatchResult}
+   */
+  dispatch(action) {
+    const result = this.reduce(action);
+    this.notify();
+    return result;
+  }
+
+  /**
+   * Validate and apply an action without notifying subscribers. Replays use
+   * this to apply a run of actions before a single notify.
+   * @param {import('./actions.js').Action} action
+   * @returns {import('./actions.js').DispatchResult}
+   */
+  reduce(action) {
+    this.emitRecord({ kind: 'action', action });
+    const result = validateAction(this, action);
+    if (result.ok) {
+      applyAction(this, action);
+    } else {
+      const type = action && typeof action === 'object' ? action.type : undefined;
+      const agentId = action && typeof action.agentId === 'string' ? action.agentId : '';
+      this.appendEvent({
+        type: 'error',
+        workerId: agentId,
+        details: `Rejected ${typeof type === 'string' ? type : 'action'}: ${result.error.message}`,
+        error: result.error,
+      });
+      console.warn('[GameState] Rejected action:', result.error, action);
+    }
+    return result;
   }
 
   /** @param {GameEvent} evt */
   pushEvent(evt) {
+    this.appendEvent(evt);
+    this.emitRecord({ kind: 'event', event: evt });
+    this.notify();
+  }
+
+  /**
+   * Record an event without notifying subscribers.
+   * @param {GameEvent} evt
+   */
+  appendEvent(evt) {
     if (!evt.timestamp) {
       evt.timestamp = Date.now();
     }
     this.events.unshift(evt);
-    if (this.events.length > 250) this.events.length = 250;
+    if (this.events.length > EVENT_LOG_LIMIT) this.events.length = EVENT_LOG_LIMIT;
+    this.eventSeq += 1;
+
+    if (evt.workerId) {
+      let list = this.history.get(evt.workerId);
+      if (!list) {
+        list = [];
+        this.history.set(evt.workerId, list);
+      }
+      list.push(evt);
+      if (list.length > WORKER_HISTORY_LIMIT) list.splice(0, list.length - WORKER_HISTORY_LIMIT);
+    }
     if (evt.type === 'command' || evt.type === 'terminate') {
       this.lastCommandEvent = {
         timestamp: evt.timestamp,
@@ -97,7 +397,6 @@ export class GameState {
         details: evt.details,
       };
     }
-    this.notify();
   }
 
   /** @param {Worker} worker */
@@ -109,10 +408,65 @@ export class GameState {
   /** @param {string} workerId */
   removeWorker(workerId) {
     this.workers.delete(workerId);
-    this.selected.delete(workerId);
+    this.files.delete(workerId);
+    this.notes.delete(workerId);
+    this.history.delete(workerId);
+    if (this.selected.delete(workerId)) {
+      this.selectionRevision += 1;
+      this.selectionChangedAt = Date.now();
+    }
+    this.dropFromGroups(workerId);
+    this.notify();
+  }
+
+  /**
+   * Bind a control group; an empty list unbinds it.
+   * @param {number} group - Digit 0-9
+   * @param {string[]} ids
+   */
+  setControlGroup(group, ids) {
+    const kept = Array.from(new Set(ids)).filter((id) => this.workers.has(id));
+    if (kept.length) this.controlGroups.set(group, kept);
+    else this.controlGroups.delete(group);
+    this.controlGroupsRevision += 1;
     this.notify();
   }
 
+  /**
+   * @param {number} group
+   * @returns {string[]} Members that still exist
+   */
+  getControlGroup(group) {
+    return (this.controlGroups.get(group) || []).filter((id) => this.workers.has(id));
+  }
+
+  /**
+   * @param {string} workerId
+   * @returns {number[]} Groups the worker is in, keyboard order (1-9, then 0)
+   */
+  getWorkerGroups(workerId) {
+    const groups = [];
+    for (const [group, ids] of this.controlGroups) {
+      if (ids.includes(workerId)) groups.push(group);
+    }
+    return groups.sort((a, b) => (a || 10) - (b || 10));
+  }
+
+  /**
+   * Take a worker that left the map out of its control groups. Groups left
+   * empty are unbound. Does not notify.
+   * @param {string} workerId
+   */
+  dropFromGroups(workerId) {
+    for (const [group, ids] of this.controlGroups) {
+      if (!ids.includes(workerId)) continue;
+      const rest = ids.filter((id) => id !== workerId);
+      if (rest.length) this.controlGroups.set(group, rest);
+      else this.controlGroups.delete(group);
+      this.controlGroupsRevision += 1;
+    }
+  }
+
   /** @param {string[]} ids */
   setSelected(ids) {
     const next = new Set(ids);
@@ -140,6 +494,23 @@ export class GameState {
     return out;
   }
 
+  /**
+   * @param {string} workerId
+   * @returns {FileTouch[]} Most recently touched first
+   */
+  getWorkerFiles(workerId) {
+    const files = this.files.get(workerId);
+    return files ? Array.from(files.values()).sort((a, b) => b.lastAt - a.lastAt) : [];
+  }
+
+  /**
+   * @param {string} workerId
+   * @returns {GameEvent[]} Oldest first
+   */
+  getWorkerHistory(workerId) {
+    return this.history.get(workerId) || [];
+  }
+
   /** @returns {Worker[]} */
   getIdleOrBlocked() {
     const out = [];
@@ -169,6 +540,10 @@ export function formatDuration(ms) {
   return `${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
 }
 
+function emptyStats() {
+  return { completed: 0, files: 0, failed: 0, tokens: 0 };
+}
+
 /**
  * @param {Set<string>} a
  * @param {Set<string>} b
@@ -0,0 +1,191 @@
+import { REGIONS } from './map.js';
+import { UtilityAI } from './ai/utility-ai.js';
+
+/**
+ * Guard (G) policy: watches guarded workers and steps in when one stalls.
+ *
+ * A worker idle past its threshold is re-tasked to the region the utility AI
+ * scores best. Bridges whose manualAssign only moves the unit (live agents)
+ * get a resume command instead, which counts once the agent acks it. A
+ * blocked worker, one that keeps going idle after being re-tasked, or one
+ * whose agent declines, is escalated instead: an event, a scout line and an
+ * alert. Each stall is acted on once; the clock restarts when the status
+ * changes.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {import('./commands.js').CommandCenter} CommandCenter
+ * @typedef {import('./map.js').MapRegion} MapRegion
+ * @typedef {{status: string, since: number, retasks: number, handled: boolean, retask: string|null}} GuardWatch - `retask` is a resume command awaiting the agent's answer
+ */
+
+/** How long a guarded worker may sit in each status before the policy acts */
+export const GUARD_THRESHOLDS_MS = {
+  idle: 8000,
+  blocked: 15000,
+};
+
+const CHECK_INTERVAL_MS = 1000;
+
+/** Re-tasks without getting any work done before the worker is escalated instead */
+const MAX_RETASKS = 2;
+
+export class GuardPolicy {
+  /**
+   * @param {GameState} state
+   * @param {CommandCenter} commands - Holds the guarded set and the active bridge
+   * @param {object} [options]
+   * @param {Partial<typeof GUARD_THRESHOLDS_MS>} [options.thresholds]
+   * @param {(worker: Worker, reason: string) => void} [options.onEscalate]
+   */
+  constructor(state, commands, options = {}) {
+    this.state = state;
+    this.commands = commands;
+    this.thresholds = { ...GUARD_THRESHOLDS_MS, ...options.thresholds };
+    this.onEscalate = options.onEscalate || null;
+    this.ai = new UtilityAI();
+
+    /** @type {Map<string, GuardWatch>} */
+    this.watch = new Map();
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.timer) this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Look at every guarded worker once. Does nothing while commands are
+   * disabled (session replay).
+   * @param {number} [now]
+   */
+  check(now = Date.now()) {
+    if (this.commands.disabledReason) return;
+    const guarded = this.commands.guardedWorkers;
+
+    for (const id of Array.from(this.watch.keys())) {
+      if (!guarded.has(id)) this.watch.delete(id);
+    }
+
+    for (const id of Array.from(guarded)) {
+      const w = this.state.workers.get(id);
+      if (!w || w.status === 'terminated') {
+        guarded.delete(id);
+        this.watch.delete(id);
+        continue;
+      }
+
+      let entry = this.watch.get(id);
+      if (entry?.retask) {
+        // The status shown meanwhile is the command's guess, not the agent's
+        if (w.pendingCommand?.id === entry.retask) continue;
+        this.settleRetask(w, entry, now);
+      }
+      if (!entry) {
+        entry = { status: w.status, since: now, retasks: 0, handled: false, retask: null };
+        this.watch.set(id, entry);
+      } else if (entry.status !== w.status) {
+        if (w.status === 'working' || w.status === 'complete') entry.retasks = 0;
+        entry.status = w.status;
+        entry.since = now;
+        entry.handled = false;
+      }
+
+      const limit = this.thresholds[w.status];
+      if (!limit || entry.handled || w.pendingCommand || now - entry.since < limit) continue;
+      entry.handled = true;
+      this.act(w, entry, now - entry.since);
+    }
+  }
+
+  /**
+   * @param {Worker} w
+   * @param {GuardWatch} entry
+   * @param {number} stalledMs
+   */
+  act(w, entry, stalledMs) {
+    const reason = `${w.status} for ${Math.round(stalledMs / 1000)}s`;
+
+    if (w.status === 'idle' && entry.retasks < MAX_RETASKS) {
+      const bridge = this.commands.bridge;
+      if (bridge.assignsAgents === false) {
+        // Moving the unit wouldn't reach the agent
+        if (this.commands.request(w, 'resume')) {
+          entry.retask = this.state.workers.get(w.id)?.pendingCommand?.id || null;
+          this.state.pushEvent({ type: 'command', workerId: w.id, details: `Guard: ${reason}; asked the agent to resume.` });
+          return;
+        }
+      } else {
+        const region = this.pickRegion(w);
+        if (region && bridge.manualAssign) {
+          entry.retasks += 1;
+          bridge.manualAssign([w.id], region, `Guard: ${reason}; reassigned to ${region.name}.`);
+          // Going idle again should start a new stall even if no check sees it moving
+          entry.status = this.state.workers.get(w.id)?.status || w.status;
+          return;
+        }
+      }
+    }
+
+    this.escalate(w, w.status === 'idle' && entry.retasks
+      ? `${reason} after ${entry.retasks} reassignment${entry.retasks === 1 ? '' : 's'}`
+      : reason);
+  }
+
+  /**
+   * The agent answered a guard resume (or it timed out). An ack counts as a
+   * re-task; anything else is escalated.
+   * @param {Worker} w
+   * @param {GuardWatch} entry
+   * @param {number} now
+   */
+  settleRetask(w, entry, now) {
+    const reply = this.state.getWorkerHistory(w.id).findLast((e) => e.commandId === entry.retask);
+    entry.retask = null;
+    entry.status = w.status;
+    entry.since = now;
+    entry.handled = reply?.outcome !== 'ack';
+
+    if (reply?.outcome === 'ack') entry.retasks += 1;
+    else this.escalate(w, `resume ${reply?.outcome === 'timeout' ? 'got no reply' : 'declined'}`);
+  }
+
+  /**
+   * @param {Worker} w
+   * @param {string} why
+   */
+  escalate(w, why) {
+    const details = `Guard: ${why}; escalated.`;
+    this.state.pushEvent({ type: 'command', workerId: w.id, details });
+    this.state.pushScoutLine(`[${w.name}] ${details}`);
+    if (this.onEscalate) this.onEscalate(w, why);
+  }
+
+  /**
+   * Best region for a re-task, other than the one the worker already sits in.
+   * @param {Worker} worker
+   * @returns {MapRegion|null}
+   */
+  pickRegion(worker) {
+    const others = REGIONS.filter((r) => r.id !== worker.targetRegion);
+    const candidates = others.length ? others : REGIONS;
+    if (!candidates.length) return null;
+
+    /** @type {Record<string, number>} */
+    const workerCounts = {};
+    for (const w of this.state.workers.values()) {
+      if (w.targetRegion && w.status !== 'terminated') {
+        workerCounts[w.targetRegion] = (workerCounts[w.targetRegion] || 0) + 1;
+      }
+    }
+    const regionActivity = Object.fromEntries(REGIONS.map((r) => [r.id, r.lastActivity]));
+
+    return this.ai.selectRegion(worker, candidates, { workerCounts, regionActivity }).region;
+  }
+}
@@ -0,0 +1,205 @@
+import { escapeHtml } from './ui-panels.js';
+
+/**
+ * Logs (L) drawer: one worker's full event history, docked to the bottom or
+ * right edge. Filters by level and text, copies what it shows, and follows
+ * new events until the user scrolls up.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').GameEvent} GameEvent
+ * @typedef {'info'|'warn'|'error'} LogLevel
+ * @typedef {'bottom'|'right'} DrawerDock
+ */
+
+const DOCK_KEY = 'blazecraft_log_dock';
+
+const LEVELS = ['info', 'warn', 'error'];
+
+/** Distance from the bottom, in px, that still counts as following */
+const FOLLOW_SLACK_PX = 8;
+
+function el(id) { return document.getElementById(id); }
+
+/**
+ * @param {GameEvent} evt
+ * @returns {LogLevel}
+ */
+export function eventLevel(evt) {
+  if (evt.type === 'error') return 'error';
+  if (evt.outcome === 'nack' || evt.outcome === 'timeout' || evt.type === 'terminate') return 'warn';
+  return 'info';
+}
+
+export class LogDrawer {
+  /**
+   * @param {GameState} state
+   */
+  constructor(state) {
+    this.state = state;
+
+    this.$drawer = el('logDrawer');
+    this.$title = el('logDrawerTitle');
+    this.$level = /** @type {HTMLSelectElement} */ (el('logDrawerLevel'));
+    this.$search = /** @type {HTMLInputElement} */ (el('logDrawerSearch'));
+    this.$count = el('logDrawerCount');
+    this.$feed = el('logDrawerFeed');
+    this.$latest = el('logDrawerLatest');
+    this.$dock = el('logDrawerDock');
+
+    /** @type {string|null} */
+    this.workerId = null;
+    /** @type {LogLevel} Lowest level shown */
+    this.minLevel = 'info';
+    this.query = '';
+    this.following = true;
+    /** @type {DrawerDock} */
+    this.dock = loadDock();
+    this._renderKey = '';
+    /** @type {GameEvent|null} Newest history entry at the last render */
+    this._newest = null;
+    /** @type {GameEvent[]} Lines currently shown, for copy */
+    this._visible = [];
+
+    if (!this.$drawer) return;
+    this.applyDock();
+
+    this.$level.addEventListener('change', () => {
+      this.minLevel = /** @type {LogLevel} */ (this.$level.value);
+      this.render();
+    });
+    this.$search.addEventListener('input', () => {
+      this.query = this.$search.value.trim().toLowerCase();
+      this.render();
+    });
+    this.$feed.addEventListener('scroll', () => {
+      const { scrollTop, scrollHeight, clientHeight } = this.$feed;
+      this.following = scrollTop + clientHeight >= scrollHeight - FOLLOW_SLACK_PX;
+      if (this.following) this.$latest.hidden = true;
+    });
+    this.$latest.addEventListener('click', () => this.follow());
+    this.$dock.addEventListener('click', () => {
+      this.dock = this.dock === 'bottom' ? 'right' : 'bottom';
+      this.applyDock();
+      if (typeof localStorage !== 'undefined') localStorage.setItem(DOCK_KEY, this.dock);
+    });
+    el('logDrawerCopy')?.addEventListener('click', () => this.copy());
+    el('logDrawerClose')?.addEventListener('click', () => this.close());
+    this.$drawer.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+  }
+
+  get open() {
+    return !!this.$drawer && !this.$drawer.hidden;
+  }
+
+  /**
+   * Show a worker's history. While open the drawer follows single selections.
+   * @param {string} workerId
+   */
+  show(workerId) {
+    if (!this.$drawer) return;
+    this.workerId = workerId;
+    this.$drawer.hidden = false;
+    this._renderKey = '';
+    this._newest = null;
+    this.render();
+    this.follow();
+  }
+
+  close() {
+    if (!this.$drawer) return;
+    this.$drawer.hidden = true;
+    this.workerId = null;
+  }
+
+  /** Scroll to the newest line and keep following */
+  follow() {
+    this.following = true;
+    this.$latest.hidden = true;
+    this.$feed.scrollTop = this.$feed.scrollHeight;
+  }
+
+  applyDock() {
+    this.$drawer.classList.toggle('dock-right', this.dock === 'right');
+    this.$drawer.classList.toggle('dock-bottom', this.dock === 'bottom');
+    this.$dock.textContent = this.dock === 'bottom' ? '⇥' : '⤓';
+    this.$dock.setAttribute('aria-label', this.dock === 'bottom' ? 'Dock to the right' : 'Dock to the bottom');
+  }
+
+  render() {
+    if (!this.open) return;
+    const s = this.state;
+
+    const selected = s.getSelectedWorkers();
+    if (selected.length === 1 && selected[0].id !== this.workerId) {
+      this.workerId = selected[0].id;
+      this.following = true;
+    }
+
+    const worker = this.workerId ? s.workers.get(this.workerId) : null;
+    const history = this.workerId ? s.getWorkerHistory(this.workerId) : [];
+    const newest = history[history.length - 1] || null;
+    const key = `${this.workerId}:${worker ? worker.name : ''}:${this.minLevel}:${this.query}`;
+    if (key === this._renderKey && newest === this._newest) return;
+    this._renderKey = key;
+    this._newest = newest;
+    const min = LEVELS.indexOf(this.minLevel);
+    const lines = history.filter((evt) => {
+      if (LEVELS.indexOf(eventLevel(evt)) < min) return false;
+      return !this.query || String(evt.details).toLowerCase().includes(this.query);
+    });
+    // Compare the newest line, not the count: history stops growing at its cap
+    const grew = lines[lines.length - 1] !== this._visible[this._visible.length - 1];
+    this._visible = lines;
+
+    if (this.$title) this.$title.textContent = worker ? `Log · ${worker.name}` : 'Log';
+    if (this.$count) this.$count.textContent = `${lines.length}/${history.length}`;
+
+    this.$feed.innerHTML = lines.length
+      ? lines.map((evt) => {
+        const level = eventLevel(evt);
+        return `<li class="drawer-line level-${level}">
+          <span class="drawer-time">${formatClock(evt.timestamp)}</span>
+          <span class="drawer-level">${level}</span>
+          <span class="drawer-text">${escapeHtml(evt.details || evt.type)}</span>
+        </li>`;
+      }).join('')
+      : `<li class="drawer-empty">${history.length ? 'No lines match the filter.' : 'No events for this worker yet.'}</li>`;
+
+    if (this.following) {
+      this.$feed.scrollTop = this.$feed.scrollHeight;
+    } else if (grew) {
+      this.$latest.hidden = false;
+    }
+  }
+
+  /** Copy the lines that pass the current filter */
+  async copy() {
+    const name = this.workerId ? this.state.workers.get(this.workerId)?.name || this.workerId : '';
+    const text = this._visible
+      .map((evt) => `${formatClock(evt.timestamp)} [${eventLevel(evt).toUpperCase()}] ${evt.details || evt.type}`)
+      .join('\n');
+
+    try {
+      await navigator.clipboard.writeText(text);
+      this.state.pushScoutLine(`[${name}] Copied ${this._visible.length} log line${this._visible.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      console.warn('[LogDrawer] Copy failed:', err);
+      this.state.reportInvalidCommand('Clipboard unavailable; select the lines and copy them instead.');
+    }
+  }
+}
+
+/** @returns {DrawerDock} */
+function loadDock() {
+  if (typeof localStorage === 'undefined') return 'bottom';
+  return localStorage.getItem(DOCK_KEY) === 'right' ? 'right' : 'bottom';
+}
+
+/** @param {number} ts */
+function formatClock(ts) {
+  const t = new Date(ts);
+  if (Number.isNaN(t.getTime())) return '--:--:--';
+  return [t.getHours(), t.getMinutes(), t.getSeconds()].map((n) => String(n).padStart(2, '0')).join(':');
+}
@@ -1,16 +1,30 @@
-import { GameState } from './game-state.js';
+import { GameState, formatDuration } from './game-state.js';
 import { Renderer } from './renderer.js';
+import { WorkerRenderer, wantsWorkerRenderer, canRenderInWorker } from './worker-renderer.js';
 import { UIPanels } from './ui-panels.js';
+import { FilesPanel } from './files-panel.js';
+import { LogDrawer } from './log-drawer.js';
+import { NotesEditor } from './notes.js';
 import { MockBridge } from './mock-data.js';
 import { CommandCenter } from './commands.js';
-import { clamp } from './map.js';
+import { GuardPolicy } from './guard-policy.js';
+import { REGIONS, clamp, resetRegions, setRegions } from './map.js';
+import { parseFileList, layoutRegions } from './map-layout.js';
+import { getRegionRules, setRegionRules, parseRegionRules, formatRegionRules } from './region-rules.js';
 import { OpsBridge } from '../src/ops-bridge.js';
 import { config } from '../src/config.js';
 import { HealthBridge } from '../src/health-bridge.js';
 import { AgentBridge } from '../src/agent-bridge.js';
+import { LiveAgentBridge, loadConsoleToken } from '../src/live-agent-bridge.js';
+import { SessionRecorder } from './session-recorder.js';
+import { SessionPlayer } from './session-player.js';
+import { SessionStore, captureSession, restoreSession } from './session-store.js';
 import { AlertSystem, ServiceAlerts } from './alerts.js';
 import { initWispSystem } from './wc3-wisps.js';
 import { initTooltipSystem } from './wc3-tooltips.js';
+import { loadEffectsQuality, saveEffectsQuality, hasSavedEffectsQuality, onReducedMotionChange } from './particles.js';
+import { FACTIONS, loadFaction, saveFaction, loadViewMode, saveViewMode } from './battlefield.js';
+import { COMMANDS, buildCommandCard, commandForKey, getCommand, getHotkey, isAvailable, refreshCommandCard, resetHotkeys, setHotkey } from './command-registry.js';
 import { OnboardingTour, shouldShowOnboarding } from '../src/onboarding.js';
 
 /** @type {number} */
@@ -19,6 +33,9 @@ let opsEventCount = 0;
 let opsErrorCount = 0;
 const HOVER_UPDATE_MS = 60;
 const ASSIGN_INVALID_MESSAGE = 'Select a worker before assigning.';
+const REPLAY_DISABLED_MESSAGE = 'Replay mode: exit the replay to command workers.';
+/** Effects quality button cycles through these */
+const EFFECTS_LABELS = { high: 'High', low: 'Low', off: 'Off' };
 
 /**
  * Update task metrics UI from GameState.
@@ -201,8 +218,12 @@ async function init() {
   const mapCanvas = /** @type {HTMLCanvasElement} */ (document.getElementById('mapCanvas'));
   const minimapCanvas = /** @type {HTMLCanvasElement} */ (document.getElementById('minimapCanvas'));
 
-  const renderer = new Renderer(mapCanvas, minimapCanvas);
-  await renderer.loadTextures();
+  // The 2D renderer always exists; the 3D view, when on, stands in for it as `renderer`
+  const mapRenderer = createRenderer(mapCanvas, minimapCanvas);
+  await mapRenderer.loadTextures();
+  /** @type {Renderer|WorkerRenderer|import('./renderer-3d.js').Renderer3D} */
+  let renderer = mapRenderer;
+  let disconnectRenderer = renderer.connect(state);
 
   // Initialize alert system
   const appContainer = document.getElementById('app');
@@ -215,9 +236,45 @@ async function init() {
   // Expose alert system for debugging/demo
   window.alerts = alertSystem;
 
-  const bridge = new MockBridge(state);
+  // Demo mode simulates subagents; Live mode follows real agent sessions
+  const mockBridge = new MockBridge(state);
+  const liveBridge = new LiveAgentBridge(state, {
+    consoleToken: loadConsoleToken(),
+    onConnection: (connected) => {
+      setLogState(connected ? 'content' : 'error');
+      state.pushScoutLine(connected ? 'Agent stream connected.' : 'Agent stream lost. Retrying...');
+    },
+  });
+  let bridge = config.demo ? mockBridge : liveBridge;
   const commands = new CommandCenter(state, bridge);
   const ui = new UIPanels(state, renderer);
+  const filesPanel = new FilesPanel(state);
+  const logDrawer = new LogDrawer(state);
+  const notesEditor = new NotesEditor(state);
+
+  // Pick up where the last visit left off
+  const store = new SessionStore();
+  let restored = false;
+  try {
+    const saved = await store.load();
+    if (saved) {
+      restoreSession(state, commands, saved);
+      // Snapshots from before stream ids were saved can't tell what they
+      // already hold, so they skip the hub's buffer rather than double-count
+      if (saved.lastEventId) liveBridge.resumeFrom(saved.lastEventId);
+      else liveBridge.resumeFromHead();
+      restored = true;
+    }
+  } catch (err) {
+    console.warn('[SessionStore] Could not restore session:', err);
+  }
+
+  // Every session is recorded so it can be saved and replayed later
+  const recorder = new SessionRecorder(state);
+  recorder.start();
+  const player = new SessionPlayer(state, { onTick: updateReplayBar });
+  // The event log's time range counts back from the playhead during a replay
+  ui.log.now = () => (player.open ? player.playhead : Date.now());
 
   // Wire up focus command to move camera
   commands.onFocus = (wx, wy) => {
@@ -225,13 +282,25 @@ async function init() {
     renderer.camera.y = wy;
     clampCamera(renderer, mapCanvas);
   };
+  commands.onFiles = (workerId) => filesPanel.show(workerId);
+  commands.onLogs = (workerId) => logDrawer.show(workerId);
+  commands.onNotes = (workerId) => notesEditor.show(workerId);
+  renderer.waypoints = (workerId) => commands.getWaypoints(workerId);
+
+  // Guarded workers that stall get re-tasked, or escalated here
+  const guardPolicy = new GuardPolicy(state, commands, {
+    onEscalate: (worker, reason) => {
+      alertSystem.warning('Guard Escalation', `${worker.name}: ${reason}.`, { location: { x: worker.position.x, y: worker.position.y } });
+    },
+  });
+  guardPolicy.start();
 
   // Initialize OpsBridge for BSI service monitoring
   // Demo mode determined by config.js (localhost=demo, production=live, ?demo= override)
   const opsBridge = new OpsBridge({
     demo: config.demo,
     onEvent: (event) => {
-      state.pushEvent(event);
+      if (!player.open) state.dispatch({ type: 'ops', data: event });
       updateOpsFeed(event);
 
       // Trigger alerts for critical events
@@ -250,20 +319,8 @@ async function init() {
       }
     },
     onMetrics: (metrics) => {
-      // Ops metrics (API stats) - update game stats from service activity
-      // metrics contains: gold (API req/min), lumber (cache hit rate), food (connections), upkeep
-      // Map meaningful metrics to game stats for demo visualization
-      if (metrics && typeof metrics.gold === 'number') {
-        // Simulate tasks completed based on API activity
-        const apiActivity = Math.floor(metrics.gold / 10);
-        if (apiActivity > state.stats.completed) {
-          state.stats.completed = apiActivity;
-        }
-      }
-
-      // Update metrics display
-      updateMetricsUI(state);
-      state.notify();
+      // Ops metrics (API stats) - gold (API req/min), lumber (cache hit rate), food (connections), upkeep
+      // Task counters only change through agent events, so metrics just drive alerts here
 
       // High error rate alert (upkeep = 'high' means trouble)
       if (metrics && metrics.upkeep === 'high') {
@@ -533,8 +590,22 @@ async function init() {
     window.wc3Wisps = wispSystem;
   }
 
+  // Command card and tooltips come from the command registry
+  const commandGrid = document.getElementById('commandGrid');
+  const commandContext = () => ({ selected: state.getSelectedWorkers(), disabled: !!commands.disabledReason });
+  if (commandGrid) buildCommandCard(commandGrid);
+
   // Initialize WC3 tooltip system
-  const tooltipSystem = initTooltipSystem();
+  const tooltipSystem = initTooltipSystem({
+    describe: (cmd) => {
+      const command = getCommand(cmd);
+      if (!command) return null;
+      const cost = isAvailable(command, commandContext())
+        ? ''
+        : (commands.disabledReason && !command.readOnly ? commands.disabledReason : command.requires);
+      return { title: command.title, desc: command.description, hotkey: getHotkey(cmd), cost };
+    },
+  });
   if (tooltipSystem) {
     window.wc3Tooltips = tooltipSystem;
   }
@@ -588,18 +659,33 @@ async function init() {
     type: 'status',
     timestamp: Date.now(),
     workerId: '',
-    details: 'BlazeCraft demo initialized. Workers spawning...',
+    details: restored
+      ? 'Previous session restored.'
+      : config.demo
+        ? 'BlazeCraft demo initialized. Workers spawning...'
+        : 'BlazeCraft live initialized. Waiting for agent sessions...',
   });
 
-  // Keep UI and metrics in sync with state changes
-  let lastSelectionRevision = state.selectionRevision;
-  state.subscribe(() => {
-    if (state.selectionRevision !== lastSelectionRevision) {
-      renderer.applySelectionPulse(Array.from(state.selected));
-      lastSelectionRevision = state.selectionRevision;
-    }
+  // Keep UI and metrics in sync with state changes, once per frame at most
+  state.subscribe((s, changes) => {
     ui.render();
-    updateMetricsUI(state);
+    if (commandGrid && (changes.selection || changes.workers.size || changes.removed.size || changes.reset)) {
+      refreshCommandCard(commandGrid, commandContext());
+    }
+    commands.advanceOrders();
+    filesPanel.render();
+    logDrawer.render();
+    if (changes.reset || changes.workers.size || changes.removed.size || Object.values(changes.stats).some(Boolean)) {
+      updateMetricsUI(state);
+    }
+    if (!player.open) store.schedule(() => captureSession(state, commands, liveBridge.lastEventId));
+  });
+
+  // A reload inside the save interval would lose the last changes
+  window.addEventListener('pagehide', () => {
+    if (player.open) return;
+    store.cancel();
+    store.save(captureSession(state, commands, liveBridge.lastEventId)).catch(() => {});
   });
 
   // Initial UI render to show starting state
@@ -627,19 +713,430 @@ async function init() {
   toggleDemo.addEventListener('click', async () => {
     demoOn = !demoOn;
     updateDemoToggle();
+    bridge.disconnect();
+    state.setSelected([]);
+    for (const wid of Array.from(state.workers.keys())) state.dispatch({ type: 'remove', agentId: wid });
+    bridge = demoOn ? mockBridge : liveBridge;
+    commands.bridge = bridge;
+
     if (demoOn) {
-      await bridge.connect();
       opsBridge.setDemoMode(true);
       state.pushScoutLine('Demo mode resumed. Workers rallying.');
     } else {
-      bridge.disconnect();
       opsBridge.setDemoMode(false);
-      state.setSelected([]);
-      for (const wid of Array.from(state.workers.keys())) state.removeWorker(wid);
-      state.events = [];
-      state.pushScoutLine('Live mode activated. Connecting to BSI services.');
-      state.notify();
+      state.dispatch({ type: 'clear_events' });
+      setLogState('loading');
+      state.pushScoutLine('Live mode activated. Waiting for agent sessions.');
+    }
+    recorder.keyframe();
+    await bridge.connect();
+  });
+
+  // controls: start a fresh session
+  const freshSession = document.getElementById('freshSession');
+  freshSession?.addEventListener('click', async () => {
+    if (player.open) return;
+    if (!window.confirm('Start a fresh session? Workers, events, counters, notes and building levels will be cleared.')) return;
+
+    bridge.disconnect();
+    liveBridge.resumeFromHead();
+    store.cancel();
+    state.reset();
+    resetRegions();
+    renderer.regionActivity.clear();
+    commands.assignMode = false;
+    commands.clearOrders();
+    commands.guardedWorkers.clear();
+    ui.log.setPaused(false);
+    try {
+      await store.clear();
+    } catch (err) {
+      console.warn('[SessionStore] Could not clear saved session:', err);
+    }
+    recorder.start();
+    state.pushScoutLine('Fresh session started.');
+    await bridge.connect();
+  });
+
+  // controls: build the map from a repository file list
+  const loadLayout = document.getElementById('loadLayout');
+  const layoutFile = /** @type {HTMLInputElement} */ (document.getElementById('layoutFile'));
+
+  /**
+   * @param {File} file - `git ls-files` output or a JSON file list
+   */
+  async function applyLayoutFile(file) {
+    if (player.open) {
+      state.reportInvalidCommand(REPLAY_DISABLED_MESSAGE);
+      return;
+    }
+
+    let regions;
+    try {
+      const paths = parseFileList(await file.text());
+      const rootName = file.name.replace(/\.[^.]+$/, '') || 'Town Hall';
+      regions = layoutRegions(paths, { world: { width: renderer.world.w, height: renderer.world.h }, rootName });
+    } catch (err) {
+      console.warn('[Layout] Could not read file list:', err);
+      state.pushScoutLine(`Map not changed: ${err.message}`);
+      return;
     }
+
+    setRegions(regions);
+    renderer.regionActivity.clear();
+
+    // Workers bound for regions that no longer exist fall back to the town hall
+    const orphans = Array.from(state.workers.values())
+      .filter((w) => !REGIONS.some((r) => r.id === w.targetRegion))
+      .map((w) => w.id);
+    const townhall = REGIONS.find((r) => r.id === 'townhall');
+    if (orphans.length) bridge.manualAssign(orphans, townhall);
+
+    recorder.keyframe();
+    state.pushScoutLine(`Map rebuilt from ${file.name}: ${regions.length - 1} region${regions.length === 2 ? '' : 's'}.`);
+  }
+
+  loadLayout?.addEventListener('click', () => layoutFile?.click());
+  layoutFile?.addEventListener('change', () => {
+    const file = layoutFile.files && layoutFile.files[0];
+    layoutFile.value = '';
+    if (file) applyLayoutFile(file);
+  });
+
+  mapCanvas.addEventListener('dragover', (e) => {
+    if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) e.preventDefault();
+  });
+  mapCanvas.addEventListener('drop', (e) => {
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (!file) return;
+    e.preventDefault();
+    applyLayoutFile(file);
+  });
+
+  // controls: file path -> region rules
+  const editRules = document.getElementById('editRules');
+  const rulesDialog = document.getElementById('rulesDialog');
+  const rulesForm = document.getElementById('rulesForm');
+  const rulesText = /** @type {HTMLTextAreaElement} */ (document.getElementById('rulesText'));
+  const rulesErrors = document.getElementById('rulesErrors');
+  const rulesBuiltin = document.getElementById('rulesBuiltin');
+
+  function closeRules() {
+    rulesDialog.hidden = true;
+    editRules?.focus();
+  }
+
+  editRules?.addEventListener('click', () => {
+    rulesText.value = formatRegionRules(getRegionRules());
+    rulesErrors.replaceChildren();
+    rulesBuiltin.textContent = REGIONS
+      .flatMap((r) => (r.match || []).map((glob) => `${glob} ${r.id}`))
+      .join('\n') || '(none)';
+    rulesDialog.hidden = false;
+    rulesText.focus();
+  });
+
+  rulesForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const { rules, errors } = parseRegionRules(rulesText.value);
+    if (errors.length) {
+      rulesErrors.replaceChildren(...errors.map((msg) => Object.assign(document.createElement('li'), { textContent: msg })));
+      return;
+    }
+    setRegionRules(rules);
+    closeRules();
+    state.pushScoutLine(rules.length ? `Region rules saved (${rules.length}).` : 'Region rules cleared; using built-in rules.');
+  });
+
+  document.getElementById('rulesReset')?.addEventListener('click', () => {
+    rulesText.value = '';
+    rulesErrors.replaceChildren();
+    rulesText.focus();
+  });
+  document.getElementById('rulesCancel')?.addEventListener('click', closeRules);
+  rulesDialog?.addEventListener('click', (e) => {
+    if (e.target === rulesDialog) closeRules();
+  });
+  rulesDialog?.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeRules();
+  });
+
+  // controls: hotkey remapping
+  const editHotkeys = document.getElementById('editHotkeys');
+  const hotkeysDialog = document.getElementById('hotkeysDialog');
+  const hotkeysList = document.getElementById('hotkeysList');
+  const hotkeysErrors = document.getElementById('hotkeysErrors');
+  /** @type {string|null} Command waiting for its new key */
+  let capturing = null;
+
+  function renderHotkeys() {
+    hotkeysList.replaceChildren(...COMMANDS.map((c) => {
+      const row = document.createElement('li');
+      row.className = 'hotkeys-row';
+      const label = document.createElement('span');
+      label.className = 'hotkeys-label';
+      label.textContent = c.title;
+      const key = document.createElement('button');
+      key.type = 'button';
+      key.className = 'hotkeys-key';
+      key.dataset.hotkey = c.id;
+      key.textContent = capturing === c.id ? 'Press a key…' : getHotkey(c.id);
+      key.setAttribute('aria-pressed', String(capturing === c.id));
+      key.setAttribute('aria-label', `${c.title}: ${getHotkey(c.id)}. Change`);
+      row.append(label, key);
+      return row;
+    }));
+  }
+
+  function hotkeysChanged() {
+    if (commandGrid) refreshCommandCard(commandGrid, commandContext());
+  }
+
+  function closeHotkeys() {
+    capturing = null;
+    hotkeysDialog.hidden = true;
+    editHotkeys?.focus();
+  }
+
+  editHotkeys?.addEventListener('click', () => {
+    capturing = null;
+    hotkeysErrors.replaceChildren();
+    renderHotkeys();
+    hotkeysDialog.hidden = false;
+    hotkeysList.querySelector('button')?.focus();
+  });
+
+  hotkeysList?.addEventListener('click', (e) => {
+    const btn = /** @type {HTMLElement} */ (e.target).closest('[data-hotkey]');
+    if (!btn) return;
+    capturing = capturing === btn.dataset.hotkey ? null : btn.dataset.hotkey;
+    hotkeysErrors.replaceChildren();
+    renderHotkeys();
+    /** @type {HTMLElement|null} */ (hotkeysList.querySelector(`[data-hotkey="${btn.dataset.hotkey}"]`))?.focus();
+  });
+
+  // Keys pressed in the dialog never reach the command hotkeys
+  hotkeysDialog?.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      if (capturing) {
+        capturing = null;
+        renderHotkeys();
+      } else {
+        closeHotkeys();
+      }
+      return;
+    }
+    if (!capturing || e.ctrlKey || e.metaKey || e.altKey || e.key === 'Tab' || e.key === 'Shift') return;
+    e.preventDefault();
+
+    const id = capturing;
+    const result = setHotkey(id, e.key);
+    if (!result.ok) {
+      hotkeysErrors.replaceChildren(Object.assign(document.createElement('li'), { textContent: result.reason }));
+      return;
+    }
+    capturing = null;
+    hotkeysErrors.replaceChildren();
+    renderHotkeys();
+    hotkeysChanged();
+    /** @type {HTMLElement|null} */ (hotkeysList.querySelector(`[data-hotkey="${id}"]`))?.focus();
+  });
+
+  document.getElementById('hotkeysReset')?.addEventListener('click', () => {
+    resetHotkeys();
+    capturing = null;
+    hotkeysErrors.replaceChildren();
+    renderHotkeys();
+    hotkeysChanged();
+    state.pushScoutLine('Hotkeys reset to defaults.');
+  });
+  document.getElementById('hotkeysClose')?.addEventListener('click', closeHotkeys);
+  hotkeysDialog?.addEventListener('click', (e) => {
+    if (e.target === hotkeysDialog) closeHotkeys();
+  });
+
+  // particle effects quality; until one is picked it follows prefers-reduced-motion
+  const effectsQuality = document.getElementById('effectsQuality');
+  /** @param {import('./particles.js').EffectsQuality} quality */
+  function applyEffectsQuality(quality) {
+    renderer.setEffectsQuality(quality);
+    if (!effectsQuality) return;
+    effectsQuality.textContent = `FX ${EFFECTS_LABELS[quality]}`;
+    effectsQuality.dataset.quality = quality;
+  }
+  applyEffectsQuality(loadEffectsQuality());
+
+  effectsQuality?.addEventListener('click', () => {
+    const order = /** @type {import('./particles.js').EffectsQuality[]} */ (Object.keys(EFFECTS_LABELS));
+    const current = /** @type {import('./particles.js').EffectsQuality} */ (effectsQuality.dataset.quality);
+    const next = order[(order.indexOf(current) + 1) % order.length];
+    saveEffectsQuality(next);
+    applyEffectsQuality(next);
+    state.pushScoutLine(`Effects: ${EFFECTS_LABELS[next].toLowerCase()}.`);
+  });
+  onReducedMotionChange(() => {
+    if (!hasSavedEffectsQuality()) applyEffectsQuality(loadEffectsQuality());
+  });
+
+  // 2D map or 3D battlefield, switchable any time. Three.js loads on first
+  // use; the 3D view shares the 2D renderer's camera, so the view stays put
+  const mapWrap = document.getElementById('mapWrap');
+  const viewMode = document.getElementById('viewMode');
+  const factionPick = document.getElementById('factionPick');
+  let viewSwitching = false;
+
+  /** @param {Renderer|WorkerRenderer|import('./renderer-3d.js').Renderer3D} next */
+  function useRenderer(next) {
+    disconnectRenderer();
+    renderer = next;
+    disconnectRenderer = renderer.connect(state);
+    renderer.setEffectsQuality(/** @type {import('./particles.js').EffectsQuality} */ (effectsQuality?.dataset.quality || loadEffectsQuality()));
+    alertSystem.renderer = renderer;
+  }
+
+  /** @param {import('./battlefield.js').ViewMode} mode */
+  async function applyViewMode(mode) {
+    if (viewSwitching) return;
+    viewSwitching = true;
+    try {
+      if (mode === '3d' && renderer === mapRenderer) {
+        try {
+          const { Renderer3D } = await import('./renderer-3d.js');
+          const view = new Renderer3D(mapCanvas, minimapCanvas, mapRenderer, { faction: loadFaction() });
+          await view.loadTextures();
+          useRenderer(view);
+        } catch (err) {
+          console.warn('[Renderer3D] 3D view unavailable; staying on the 2D map.', err);
+          state.pushScoutLine('3D view is not available in this browser.');
+          mode = '2d';
+        }
+      } else if (mode === '2d' && renderer !== mapRenderer) {
+        const view = /** @type {import('./renderer-3d.js').Renderer3D} */ (renderer);
+        useRenderer(mapRenderer);
+        view.dispose();
+      }
+    } finally {
+      viewSwitching = false;
+    }
+    mapWrap?.classList.toggle('view-3d', mode === '3d');
+    if (viewMode) {
+      viewMode.textContent = mode === '3d' ? '2D' : '3D';
+      viewMode.setAttribute('aria-pressed', String(mode === '3d'));
+    }
+    if (factionPick) factionPick.hidden = mode !== '3d';
+    return mode;
+  }
+
+  /** @param {import('./battlefield.js').Faction} faction */
+  function showFaction(faction) {
+    if (!factionPick) return;
+    factionPick.textContent = FACTIONS[faction].label;
+    factionPick.dataset.faction = faction;
+  }
+  showFaction(loadFaction());
+  if (loadViewMode() === '3d') applyViewMode('3d');
+
+  viewMode?.addEventListener('click', async () => {
+    if (viewSwitching) return;
+    const mode = await applyViewMode(renderer === mapRenderer ? '3d' : '2d');
+    saveViewMode(mode);
+    state.pushScoutLine(mode === '3d' ? '3D battlefield.' : '2D map.');
+  });
+
+  factionPick?.addEventListener('click', async () => {
+    const order = /** @type {import('./battlefield.js').Faction[]} */ (Object.keys(FACTIONS));
+    const current = /** @type {import('./battlefield.js').Faction} */ (factionPick.dataset.faction);
+    const next = order[(order.indexOf(current) + 1) % order.length];
+    saveFaction(next);
+    showFaction(next);
+    if ('setFaction' in renderer) await renderer.setFaction(next);
+    state.pushScoutLine(`Faction: ${FACTIONS[next].label}.`);
+  });
+
+  // session recording & replay
+  const saveSession = document.getElementById('saveSession');
+  const openReplay = document.getElementById('openReplay');
+  const replayFile = /** @type {HTMLInputElement} */ (document.getElementById('replayFile'));
+  const replayBar = document.getElementById('replayBar');
+  const replayPlay = document.getElementById('replayPlay');
+  const replaySpeed = /** @type {HTMLSelectElement} */ (document.getElementById('replaySpeed'));
+  const replayScrub = /** @type {HTMLInputElement} */ (document.getElementById('replayScrub'));
+  const replayTime = document.getElementById('replayTime');
+  const replayExit = document.getElementById('replayExit');
+  let scrubbing = false;
+
+  function updateReplayBar() {
+    if (!replayBar) return;
+    replayPlay.textContent = player.playing ? '❚❚' : '▶';
+    replayPlay.setAttribute('aria-label', player.playing ? 'Pause replay' : 'Play replay');
+    replaySpeed.value = String(player.speed);
+    replayScrub.max = String(player.duration);
+    if (!scrubbing) replayScrub.value = String(player.position);
+    replayTime.textContent = `${formatDuration(player.position)} / ${formatDuration(player.duration)}`;
+  }
+
+  saveSession?.addEventListener('click', () => {
+    recorder.download();
+    state.pushScoutLine('Session recording saved.');
+  });
+
+  openReplay?.addEventListener('click', () => replayFile?.click());
+
+  replayFile?.addEventListener('change', async () => {
+    const file = replayFile.files && replayFile.files[0];
+    replayFile.value = '';
+    if (!file) return;
+
+    let loaded;
+    try {
+      loaded = player.load(await file.text());
+    } catch (err) {
+      console.warn('[Replay] Could not load recording:', err);
+      state.pushScoutLine(`Replay failed: ${err.message}`);
+      return;
+    }
+    if (loaded.skipped) console.warn(`[Replay] Skipped ${loaded.skipped} unreadable line(s) in ${file.name}`);
+
+    if (!player.open) {
+      bridge.disconnect();
+      recorder.pause();
+      commands.assignMode = false;
+      commands.disabledReason = REPLAY_DISABLED_MESSAGE;
+      notesEditor.close();
+      ui.log.setPaused(false);
+      toggleDemo.disabled = true;
+      if (freshSession) freshSession.disabled = true;
+      document.body.classList.add('replaying');
+      if (replayBar) replayBar.hidden = false;
+    }
+    renderer.regionActivity.clear();
+    player.enter();
+  });
+
+  replayPlay?.addEventListener('click', () => (player.playing ? player.pause() : player.play()));
+  replaySpeed?.addEventListener('change', () => player.setSpeed(Number(replaySpeed.value)));
+  replayScrub?.addEventListener('input', () => {
+    scrubbing = true;
+    player.seek(Number(replayScrub.value));
+  });
+  replayScrub?.addEventListener('change', () => {
+    scrubbing = false;
+    updateReplayBar();
+  });
+
+  replayExit?.addEventListener('click', async () => {
+    player.exit();
+    ui.log.setPaused(false);
+    commands.disabledReason = null;
+    toggleDemo.disabled = false;
+    if (freshSession) freshSession.disabled = false;
+    document.body.classList.remove('replaying');
+    if (replayBar) replayBar.hidden = true;
+    renderer.regionActivity.clear();
+    recorder.resume();
+    state.pushScoutLine('Replay closed. Back to the live session.');
+    await bridge.connect();
   });
 
   // mode switching (RTS/Ops)
@@ -656,7 +1153,7 @@ async function init() {
   modeRTS?.addEventListener('click', () => setMode('rts'));
   modeOps?.addEventListener('click', () => setMode('ops'));
 
-  // start demo
+  // start the bridge for the initial mode
   await bridge.connect();
 
   // map interactions
@@ -683,7 +1180,7 @@ async function init() {
       const region = renderer.regionAt(wpt.x, wpt.y);
       if (region) {
         if (state.selected.size) {
-          commands.assignSelectedTo(region);
+          commands.assignSelectedTo(region, { queue: e.shiftKey });
         } else {
           state.reportInvalidCommand(ASSIGN_INVALID_MESSAGE);
         }
@@ -733,10 +1230,13 @@ async function init() {
     const wpt = renderer.screenToWorld(e.clientX, e.clientY);
     const hit = hitTestWorker(state, wpt.x, wpt.y, renderer.camera.zoom);
     renderer.setHoveredWorker(hit ? hit.id : null);
+    // Buildings show their service's latency, unless a unit is in the way
+    renderer.setHoveredRegion(hit ? null : renderer.regionAt(wpt.x, wpt.y)?.id ?? null);
   });
 
   mapCanvas.addEventListener('mouseleave', () => {
     renderer.setHoveredWorker(null);
+    renderer.setHoveredRegion(null);
   });
 
   window.addEventListener('mouseup', (e) => {
@@ -750,13 +1250,7 @@ async function init() {
       const x1 = Math.max(r.x0, r.x1);
       const y1 = Math.max(r.y0, r.y1);
 
-      const ids = [];
-      for (const w of state.workers.values()) {
-        if (w.position.x >= x0 && w.position.x <= x1 && w.position.y >= y0 && w.position.y <= y1) {
-          ids.push(w.id);
-        }
-      }
-      state.setSelected(ids);
+      state.setSelected(state.workers.within(x0, y0, x1, y1).map((w) => w.id));
       renderer.setSelection(false, 0, 0, 0, 0);
     }
   });
@@ -825,28 +1319,31 @@ async function init() {
 
   // command card buttons (support both .cmd and .wc3-cmd)
   for (const b of Array.from(document.querySelectorAll('button[data-cmd]'))) {
-    b.addEventListener('click', () => {
+    b.addEventListener('click', (e) => {
       const cmd = /** @type {any} */ (b.getAttribute('data-cmd'));
-      commands.exec(cmd);
+      commands.exec(cmd, { queue: e.shiftKey });
     });
   }
 
   // hotkeys
   window.addEventListener('keydown', (e) => {
-    if (e.target && /** @type {HTMLElement} */ (e.target).tagName === 'INPUT') return;
-    const key = e.key.toLowerCase();
-    if (key === 's') commands.exec('stop');
-    if (key === 'h') commands.exec('hold');
-    if (key === 'r') commands.exec('resume');
-    if (key === 'a') commands.exec('reassign');
-    if (key === 'i') commands.exec('inspect');
-    if (key === 'x') commands.exec('terminate');
-    if (key === 'l') commands.exec('logs');
-    if (key === 'f') commands.exec('files');
-    if (key === 'n') commands.exec('notes');
-    if (key === 'c') commands.exec('focus');
-    if (key === 'g') commands.exec('guard');
-    if (key === 'q') commands.exec('scan');
+    const target = /** @type {HTMLElement|null} */ (e.target);
+    if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) return;
+
+    // Control groups: Ctrl binds, Shift adds, the bare digit recalls
+    const digit = /^Digit(\d)$/.exec(e.code);
+    if (digit && !e.altKey) {
+      const group = Number(digit[1]);
+      e.preventDefault();
+      if (e.ctrlKey || e.metaKey) commands.bindGroup(group);
+      else if (e.shiftKey) commands.addToGroup(group);
+      else commands.recallGroup(group);
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const command = commandForKey(e.key);
+    if (command) commands.exec(command.id, { queue: e.shiftKey });
   });
 
   // render loop
@@ -862,6 +1359,21 @@ async function init() {
   clampCamera(renderer, mapCanvas);
 }
 
+/**
+ * Main-thread Renderer unless the worker renderer was asked for and the
+ * browser can hand canvases to a worker.
+ * @param {HTMLCanvasElement} mapCanvas
+ * @param {HTMLCanvasElement} minimapCanvas
+ * @returns {Renderer|WorkerRenderer}
+ */
+function createRenderer(mapCanvas, minimapCanvas) {
+  if (wantsWorkerRenderer()) {
+    if (canRenderInWorker()) return new WorkerRenderer(mapCanvas, minimapCanvas);
+    console.warn('[Renderer] OffscreenCanvas is not supported here; drawing on the main thread.');
+  }
+  return new Renderer(mapCanvas, minimapCanvas);
+}
+
 /**
  * @param {import('./game-state.js').GameState} state
  * @param {number} wx
@@ -873,7 +1385,7 @@ function hitTestWorker(state, wx, wy, zoom = 1) {
   // Scale hit radius by inverse of zoom for consistent screen-space behavior
   // Base radius 32px screen-space → larger in world-space when zoomed out
   const hitRadius = 32 / zoom;
-  for (const w of state.workers.values()) {
+  for (const w of state.workers.near(wx, wy, hitRadius)) {
     const dx = w.position.x - wx;
     const dy = w.position.y - wy;
     const d = Math.hypot(dx, dy);
@@ -0,0 +1,230 @@
+/**
+ * Builds a region layout from a repository file list, so each repo gets a
+ * map shaped like its own directory tree instead of the default six regions.
+ *
+ * Input is whatever `git ls-files` can be turned into: plain text (one path
+ * per line), a JSON array of paths, `{ "files": [...] }`, or a GitHub trees
+ * API response (`{ "tree": [{ "path", "type" }] }`).
+ *
+ * @typedef {import('./map.js').MapRegion} MapRegion
+ * @typedef {import('./map.js').RegionType} RegionType
+ * @typedef {{dir: string, files: string[], dirs: string[]}} PathGroup
+ */
+
+/** Regions besides the town hall; the grid has eight cells around it */
+const MAX_REGIONS = 8;
+
+/** A top-level directory holding more than this share of files is split one level down */
+const SPLIT_SHARE = 0.35;
+
+const MARGIN = 40;
+const TOWNHALL_SIZE = { width: 240, height: 180 };
+
+/** Cells next to the town hall fill first, corners last */
+const CELL_ORDER = [[0, -1], [1, 0], [0, 1], [-1, 0], [-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+/** Directory name rules, checked in order; the first match wins */
+const DIR_RULES = [
+  [/(^|\/)(tests?|__tests__|specs?|e2e|fixtures|cypress|playwright)(\/|$)/i, 'lumber'],
+  [/(^|\/)(\.github|\.circleci|\.husky|config|configs|conf|tools|infra|deploy|ci|docker|k8s|terraform|migrations)(\/|$)/i, 'lumber'],
+  [/(^|\/)(docs?|documentation|examples?|guides?|wiki|assets|public|static|images|media)(\/|$)/i, 'ground'],
+  [/(^|\/)(src|lib|app|apps|packages|components|pkg|cmd|internal|server|client|core|ui|api|workers?)(\/|$)/i, 'goldmine'],
+];
+
+/** Fallback by file extension when the directory name says nothing */
+const EXT_TYPES = {
+  goldmine: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'go', 'rs', 'rb', 'java', 'kt', 'swift', 'c', 'cc', 'cpp', 'h', 'cs', 'php', 'vue', 'svelte'],
+  lumber: ['json', 'yml', 'yaml', 'toml', 'ini', 'cfg', 'env', 'lock', 'sh', 'dockerfile'],
+  ground: ['md', 'mdx', 'txt', 'rst', 'adoc', 'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'glb', 'css', 'html'],
+};
+
+/**
+ * @param {string} text
+ * @returns {string[]} Normalized, de-duplicated file paths
+ */
+export function parseFileList(text) {
+  const trimmed = text.trim();
+  let paths;
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) {
+      paths = data;
+    } else if (data && Array.isArray(data.files)) {
+      paths = data.files;
+    } else if (data && Array.isArray(data.tree)) {
+      paths = data.tree.filter((entry) => entry && entry.type === 'blob').map((entry) => entry.path);
+    } else {
+      throw new Error('Expected a JSON array of paths, { "files": [...] } or a GitHub tree.');
+    }
+    paths = paths.map((p) => (p && typeof p === 'object' ? p.path : p));
+  } else {
+    paths = trimmed.split(/\r?\n/).filter((line) => !line.startsWith('#'));
+  }
+
+  const out = new Set();
+  for (const p of paths) {
+    if (typeof p !== 'string') continue;
+    const clean = p.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    if (clean) out.add(clean);
+  }
+  if (!out.size) throw new Error('No file paths found.');
+  return Array.from(out);
+}
+
+/**
+ * Building type for a directory, from its name and then its files.
+ * @param {string} dir
+ * @param {string[]} [files]
+ * @returns {RegionType}
+ */
+export function regionTypeForPath(dir, files = []) {
+  for (const [pattern, type] of DIR_RULES) {
+    if (pattern.test(dir)) return /** @type {RegionType} */ (type);
+  }
+
+  const counts = { goldmine: 0, lumber: 0, ground: 0 };
+  for (const file of files) {
+    const name = file.slice(file.lastIndexOf('/') + 1).toLowerCase();
+    const ext = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : name;
+    for (const [type, exts] of Object.entries(EXT_TYPES)) {
+      if (exts.includes(ext)) counts[type]++;
+    }
+  }
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? /** @type {RegionType} */ (best) : 'ground';
+}
+
+/**
+ * Group files by top-level directory, splitting dominant directories one
+ * level down (src/ -> src/core, src/ui) and folding the smallest groups into
+ * "other" when there are more than MAX_REGIONS.
+ * @param {string[]} paths
+ * @returns {PathGroup[]} Largest first; root-level files are not included
+ */
+export function groupPaths(paths) {
+  /** @type {Map<string, string[]>} */
+  const top = new Map();
+  for (const p of paths) {
+    const slash = p.indexOf('/');
+    if (slash === -1) continue;
+    const dir = p.slice(0, slash);
+    if (!top.has(dir)) top.set(dir, []);
+    top.get(dir).push(p);
+  }
+
+  /** @type {PathGroup[]} */
+  let groups = [];
+  for (const [dir, files] of top) {
+    const subdirs = new Map();
+    const direct = [];
+    for (const f of files) {
+      const rest = f.slice(dir.length + 1);
+      const slash = rest.indexOf('/');
+      if (slash === -1) {
+        direct.push(f);
+        continue;
+      }
+      const sub = `${dir}/${rest.slice(0, slash)}`;
+      if (!subdirs.has(sub)) subdirs.set(sub, []);
+      subdirs.get(sub).push(f);
+    }
+
+    if (files.length > paths.length * SPLIT_SHARE && subdirs.size >= 2) {
+      for (const [sub, subFiles] of subdirs) groups.push({ dir: sub, files: subFiles, dirs: [sub] });
+      if (direct.length) groups.push({ dir, files: direct, dirs: [dir] });
+    } else {
+      groups.push({ dir, files, dirs: [dir] });
+    }
+  }
+
+  groups.sort((a, b) => b.files.length - a.files.length || a.dir.localeCompare(b.dir));
+
+  if (groups.length > MAX_REGIONS) {
+    const rest = groups.slice(MAX_REGIONS - 1);
+    groups = groups.slice(0, MAX_REGIONS - 1);
+    groups.push({
+      dir: 'other',
+      files: rest.flatMap((g) => g.files),
+      dirs: rest.flatMap((g) => g.dirs),
+    });
+  }
+  return groups;
+}
+
+/**
+ * Lay out regions for a file list: the town hall (repo root) in the middle,
+ * directory regions in the surrounding cells of a 3x3 grid, sized by file
+ * count. Cells never overlap, so neither do regions.
+ * @param {string[]} paths
+ * @param {object} [options]
+ * @param {{width:number,height:number}} [options.world]
+ * @param {string} [options.rootName] - Town hall label (repo name)
+ * @returns {MapRegion[]}
+ */
+export function layoutRegions(paths, options = {}) {
+  const world = options.world || { width: 1280, height: 720 };
+  const groups = groupPaths(paths);
+
+  const cellW = (world.width - MARGIN * 2) / 3;
+  const cellH = (world.height - MARGIN * 2) / 3;
+  const cx = world.width / 2;
+  const cy = world.height / 2;
+
+  /** @type {MapRegion[]} */
+  const regions = [{
+    id: 'townhall',
+    name: options.rootName || 'Town Hall',
+    type: 'townhall',
+    bounds: {
+      x: Math.round(cx - TOWNHALL_SIZE.width / 2),
+      y: Math.round(cy - TOWNHALL_SIZE.height / 2),
+      width: TOWNHALL_SIZE.width,
+      height: TOWNHALL_SIZE.height,
+    },
+    level: 1,
+    tasksCompleted: 0,
+    lastActivity: 0,
+    upgradeProgress: 0,
+  }];
+
+  // "other" is appended after the sort and can outgrow groups[0]
+  const largest = Math.max(1, ...groups.map((g) => g.files.length));
+  const usedIds = new Set(['townhall']);
+
+  groups.forEach((group, i) => {
+    const [col, row] = CELL_ORDER[i];
+    const scale = 0.6 + 0.3 * Math.sqrt(group.files.length / largest);
+    const width = Math.round(cellW * scale);
+    const height = Math.round(cellH * scale);
+    const cellX = cx + col * cellW;
+    const cellY = cy + row * cellH;
+
+    regions.push({
+      id: uniqueId(group.dir, usedIds),
+      name: group.dir,
+      type: regionTypeForPath(group.dir, group.files),
+      bounds: { x: Math.round(cellX - width / 2), y: Math.round(cellY - height / 2), width, height },
+      level: 1,
+      tasksCompleted: 0,
+      lastActivity: 0,
+      upgradeProgress: 0,
+      match: group.dirs.map((dir) => `${dir}/**`),
+    });
+  });
+
+  return regions;
+}
+
+/**
+ * Region ids follow the existing convention: 'src/core' -> 'src_core'.
+ * @param {string} dir
+ * @param {Set<string>} used
+ */
+function uniqueId(dir, used) {
+  const base = dir.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'region';
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}_${n}`;
+  used.add(id);
+  return id;
+}
@@ -3,7 +3,9 @@
  * Building types evolve based on real agent activity.
  * @typedef {'goldmine'|'lumber'|'townhall'|'ground'|'barracks'|'library'|'workshop'|'market'|'farm'|'blacksmith'|'tower'|'stables'} RegionType
  * @typedef {{x:number,y:number,width:number,height:number}} Rect
- * @typedef {{id:string,name:string,type:RegionType,bounds:Rect,level:number,tasksCompleted:number,lastActivity:number,upgradeProgress:number}} MapRegion
+ *
+ * `match` lists the path globs that route work to a region (region-rules.js).
+ * @typedef {{id:string,name:string,type:RegionType,bounds:Rect,level:number,tasksCompleted:number,lastActivity:number,upgradeProgress:number,match?:string[]}} MapRegion
  */
 
 // Building upgrade paths based on activity type
@@ -20,13 +22,43 @@ const UPGRADE_THRESHOLDS = [0, 5, 15, 30];
 /** @type {MapRegion[]} */
 export const REGIONS = [
   { id: 'townhall', name: 'Town Hall', type: 'townhall', bounds: { x: 540, y: 280, width: 240, height: 180 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0 },
-  { id: 'src_core', name: 'src/core', type: 'goldmine', bounds: { x: 180, y: 170, width: 260, height: 180 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0 },
-  { id: 'src_ui', name: 'src/ui', type: 'goldmine', bounds: { x: 860, y: 150, width: 260, height: 170 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0 },
-  { id: 'tests', name: 'tests', type: 'lumber', bounds: { x: 850, y: 400, width: 280, height: 160 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0 },
-  { id: 'config', name: 'config', type: 'lumber', bounds: { x: 190, y: 390, width: 240, height: 150 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0 },
-  { id: 'docs', name: 'docs', type: 'ground', bounds: { x: 460, y: 500, width: 360, height: 140 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0 },
+  { id: 'src_core', name: 'src/core', type: 'goldmine', bounds: { x: 180, y: 170, width: 260, height: 180 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0, match: ['src/core/**', 'scripts/**'] },
+  { id: 'src_ui', name: 'src/ui', type: 'goldmine', bounds: { x: 860, y: 150, width: 260, height: 170 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0, match: ['src/ui/**', 'styles/**', '**/*.{css,html}'] },
+  { id: 'tests', name: 'tests', type: 'lumber', bounds: { x: 850, y: 400, width: 280, height: 160 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0, match: ['{test,tests}/**', '**/*.{test,spec}.*'] },
+  { id: 'config', name: 'config', type: 'lumber', bounds: { x: 190, y: 390, width: 240, height: 150 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0, match: ['config/**', '.github/**', '*.{json,toml,yml,yaml}', '*.config.*'] },
+  { id: 'docs', name: 'docs', type: 'ground', bounds: { x: 460, y: 500, width: 360, height: 140 }, level: 1, tasksCompleted: 0, lastActivity: 0, upgradeProgress: 0, match: ['docs/**', '**/*.md'] },
 ];
 
+/** Bumped whenever the layout changes, so cached terrain can be rebuilt */
+let layoutRevision = 0;
+
+/**
+ * Replace the map layout. REGIONS is updated in place so pickers and bridges
+ * holding the array see the new regions. The layout must include a
+ * 'townhall' region; spawns and unmatched work default to it.
+ * @param {MapRegion[]} regions
+ */
+export function setRegions(regions) {
+  if (!regions.some((r) => r.id === 'townhall')) {
+    throw new Error('Region layout needs a townhall region.');
+  }
+  const next = regions.map((r) => ({
+    level: 1,
+    tasksCompleted: 0,
+    lastActivity: 0,
+    upgradeProgress: 0,
+    ...r,
+    bounds: { ...r.bounds },
+  }));
+  REGIONS.splice(0, REGIONS.length, ...next);
+  layoutRevision++;
+}
+
+/** @returns {number} */
+export function getLayoutRevision() {
+  return layoutRevision;
+}
+
 /**
  * Record task completion in a region and check for upgrades
  * @param {string} regionId
@@ -68,6 +100,19 @@ export function recordRegionActivity(regionId, taskValue = 1) {
   return { upgraded: false, newType: null, level: region.level };
 }
 
+/**
+ * Return every region to its unupgraded base building.
+ */
+export function resetRegions() {
+  for (const region of REGIONS) {
+    region.type = getBaseType(region.type);
+    region.level = 1;
+    region.tasksCompleted = 0;
+    region.lastActivity = 0;
+    region.upgradeProgress = 0;
+  }
+}
+
 /**
  * Get the base type for an upgraded building
  * @param {RegionType} type
@@ -80,6 +125,21 @@ function getBaseType(type) {
   return 'ground';
 }
 
+/**
+ * Resolve a region reference from an external event. Accepts a region id
+ * ('src_ui') or a building type ('goldmine', including upgraded types),
+ * matching the first region of that type.
+ * @param {string} ref
+ * @returns {MapRegion|null}
+ */
+export function resolveRegion(ref) {
+  if (!ref) return null;
+  return REGIONS.find((r) => r.id === ref)
+    || REGIONS.find((r) => r.type === ref)
+    || REGIONS.find((r) => getBaseType(r.type) === ref && UPGRADE_PATHS[ref])
+    || null;
+}
+
 /**
  * Get region activity level (0-1) based on recent events
  * @param {MapRegion} region
@@ -1,7 +1,8 @@
-import { REGIONS, randomPointIn, dist, clamp } from './map.js';
+import { REGIONS, randomPointIn } from './map.js';
 import { createWorkerBehaviorTree } from './ai/behavior-tree.js';
 import { createUtilityPicker } from './ai/utility-ai.js';
 import { createSteeringBehaviors, getNearbyPositions } from './ai/steering.js';
+import { regionForPath } from './region-rules.js';
 
 /**
  * Mock AgentBridge that simulates Claude subagents.
@@ -23,6 +24,23 @@ const TASK_SNIPPETS = [
   'Extract state store and event bus',
 ];
 
+/** File names simulated agents touch, by the type of region they work in */
+const FILE_NAMES = {
+  townhall: ['index.js', 'main.js', 'Makefile'],
+  goldmine: ['renderer.js', 'state.ts', 'router.ts', 'api.js', 'panel.tsx', 'styles.css'],
+  lumber: ['renderer.test.js', 'state.spec.ts', 'settings.json', 'deploy.yml', 'setup.js'],
+  ground: ['README.md', 'guide.md', 'changelog.md', 'logo.svg'],
+};
+
+/** Reasons a simulated agent turns down a command */
+const NACK_REASONS = [
+  'mid-write; try again shortly.',
+  'task already wrapping up.',
+  'lost the session lock.',
+];
+
+const COMMAND_NACK_RATE = 0.08;
+
 function rnd(arr) {
   return arr[Math.floor(Math.random() * arr.length)];
 }
@@ -31,10 +49,6 @@ function id() {
   return Math.random().toString(16).slice(2, 10);
 }
 
-function now() {
-  return Date.now();
-}
-
 /**
  * Legacy weighted random region picker (fallback)
  */
@@ -47,6 +61,24 @@ function pickRegionLegacy() {
   return rnd(weighted);
 }
 
+/**
+ * A plausible file inside a region: a name for its type under one of its
+ * directory globs. Only paths the region rules would route back to the same
+ * region are used, so simulated edits never pull a worker off its task.
+ * @param {import('./map.js').MapRegion} region
+ * @returns {string|null}
+ */
+function samplePath(region) {
+  const dirs = (region.match || [])
+    .map((glob) => glob.replace(/\{([^,}]*)[^}]*\}/g, '$1'))
+    .filter((glob) => /^[^*?]+\/\*\*$/.test(glob))
+    .map((glob) => glob.slice(0, -3));
+  const names = FILE_NAMES[region.type] || FILE_NAMES.goldmine;
+  const candidates = (dirs.length ? dirs : ['']).flatMap((dir) => names.map((name) => (dir ? `${dir}/${name}` : name)));
+  const fitting = candidates.filter((path) => regionForPath(path) === region);
+  return fitting.length ? rnd(fitting) : null;
+}
+
 /** @param {number} n */
 function formatInt(n) {
   return n.toLocaleString(undefined, { maximumFractionDigits: 0 });
@@ -83,7 +115,7 @@ export class MockBridge {
       reassignChance: 0.03,
       onArrive: (context) => this.handleWorkerArrive(context),
       onComplete: (context) => this.handleWorkerComplete(context),
-      onBlocked: (context) => this.handleWorkerBlocked(context),
+      onTouchFile: (context) => this.touchFiles(context.worker, 1),
     });
   }
 
@@ -91,16 +123,18 @@ export class MockBridge {
    * Handle worker arriving at destination
    */
   handleWorkerArrive(context) {
-    const { worker, state } = context;
-
-    worker.status = Math.random() < 0.12 ? 'idle' : 'working';
-    worker.progress = worker.status === 'working' ? Math.floor(5 + Math.random() * 14) : 0;
-    worker.updatedAt = now();
+    this.arrive(context.worker.id);
+  }
 
-    if (worker.status === 'working') {
-      state.pushEvent({ type: 'task_start', workerId: worker.id, details: `Started: ${worker.currentTask}` });
+  /**
+   * Settle an arrived worker: most start their task, a few wait for orders.
+   * @param {string} workerId
+   */
+  arrive(workerId) {
+    if (Math.random() < 0.12) {
+      this.state.dispatch({ type: 'arrive', agentId: workerId, data: { status: 'idle', message: 'Awaiting orders.' } });
     } else {
-      state.pushEvent({ type: 'status', workerId: worker.id, details: 'Awaiting orders.' });
+      this.state.dispatch({ type: 'task_start', agentId: workerId, data: { progress: Math.floor(5 + Math.random() * 14) } });
     }
   }
 
@@ -110,85 +144,132 @@ export class MockBridge {
   handleWorkerComplete(context) {
     const { worker } = context;
 
-    // Bump stats for completed task
-    this.state.bumpCompleted(1);
-    this.state.bumpFiles(Math.floor(1 + Math.random() * 3));
+    // Completion usually lands a few extra files
+    this.touchFiles(worker, 1 + Math.floor(Math.random() * 3));
 
-    // Log task completion
-    this.state.pushEvent({
-      type: 'task_complete',
-      workerId: worker.id,
-      details: `${worker.name}: ${worker.currentTask || 'Task'} complete.`,
-    });
+    this.scheduleDespawn(worker.id);
+  }
 
-    // Schedule despawn
+  /**
+   * Report simulated edits in the worker's region, one file_op per file.
+   * @param {import('./game-state.js').Worker} worker
+   * @param {number} count
+   */
+  touchFiles(worker, count) {
+    const region = REGIONS.find((r) => r.id === worker.targetRegion);
+    if (!region) return;
+
+    for (let i = 0; i < count; i++) {
+      const path = samplePath(region);
+      if (!path) return;
+      const reading = Math.random() < 0.3;
+      this.state.dispatch({
+        type: 'file_op',
+        agentId: worker.id,
+        data: {
+          paths: [path],
+          op: reading ? 'read' : 'edit',
+          added: reading ? 0 : Math.floor(Math.random() * 40),
+          removed: reading ? 0 : Math.floor(Math.random() * 15),
+        },
+      });
+    }
+  }
+
+  /**
+   * Dismiss a finished worker after a short pause.
+   * @param {string} workerId
+   */
+  scheduleDespawn(workerId) {
     setTimeout(() => {
       if (!this.running) return;
-      const still = this.state.workers.get(worker.id);
+      const still = this.state.workers.get(workerId);
       if (!still) return;
 
-      still.status = 'terminated';
-      still.updatedAt = now();
-      this.state.upsertWorker({ ...still });
-      this.state.pushEvent({ type: 'terminate', workerId: still.id, details: `${still.name} dismissed.` });
-
-      setTimeout(() => this.state.removeWorker(still.id), 900);
+      if (still.status !== 'terminated') {
+        this.state.dispatch({ type: 'terminate', agentId: still.id, data: { message: `${still.name} dismissed.` } });
+      }
+      setTimeout(() => {
+        if (this.state.workers.has(still.id)) this.state.dispatch({ type: 'remove', agentId: still.id });
+      }, 900);
     }, 1400);
   }
 
   /**
-   * Handle worker getting blocked
+   * Manual assignment hook used by the command card (right-click a region).
+   * @param {string[]} workerIds
+   * @param {import('./map.js').MapRegion} region
+   * @param {string} [message] - Logged instead of "Assigned to …"
    */
-  handleWorkerBlocked(context) {
-    const { worker } = context;
+  manualAssign(workerIds, region, message) {
+    for (const wid of workerIds) {
+      if (!this.state.workers.has(wid)) continue;
 
-    // Occasionally bump failed tasks when workers get blocked
-    if (Math.random() < 0.3) {
-      this.state.bumpFailed(1);
-      this.state.pushEvent({
-        type: 'error',
-        workerId: worker.id,
-        details: `${worker.name}: Task blocked - ${worker.errorMessage || 'conflict detected'}.`,
-      });
+      const goal = randomPointIn(region);
+      this.motion.set(wid, { vx: 0, vy: 0, goal, speed: 1.7 + Math.random() * 1.8 });
+      this.state.dispatch({ type: 'assign', agentId: wid, source: 'command', data: { region: region.id, message } });
     }
   }
 
   /**
-   * Manual assignment hook used by the command card (right-click a region).
-   * @param {string[]} workerIds
-   * @param {import('./map.js').MapRegion} region
+   * Simulated agents answer commands after a short delay, occasionally
+   * declining. An accepted terminate ends the session.
+   * @param {import('./commands.js').CommandRequest} request
    */
-  manualAssign(workerIds, region) {
-    for (const wid of workerIds) {
-      const w = this.state.workers.get(wid);
-      if (!w) continue;
+  sendCommand({ id: commandId, agentId, command }) {
+    const latency = 150 + Math.random() * 450;
 
-      w.targetRegion = region.id;
-      w.status = 'moving';
-      w.progress = 0;
-      w.errorMessage = null;
-      w.updatedAt = now();
+    setTimeout(() => {
+      if (!this.running || !this.state.workers.has(agentId)) return;
 
-      const goal = randomPointIn(region);
-      this.motion.set(w.id, { vx: 0, vy: 0, goal, speed: 1.7 + Math.random() * 1.8 });
+      if (Math.random() < COMMAND_NACK_RATE) {
+        this.state.dispatch({ type: 'command_nack', agentId, data: { commandId, message: rnd(NACK_REASONS) } });
+        return;
+      }
 
-      this.state.upsertWorker({ ...w });
-      this.state.pushEvent({ type: 'command', workerId: w.id, details: `Assigned to ${region.name}.` });
-    }
+      const acked = this.state.dispatch({ type: 'command_ack', agentId, data: { commandId } });
+      if (acked.ok && command === 'terminate') {
+        this.motion.delete(agentId);
+        this.state.dispatch({ type: 'terminate', agentId });
+        setTimeout(() => {
+          if (this.state.workers.has(agentId)) this.state.dispatch({ type: 'remove', agentId });
+        }, 800);
+      }
+    }, latency);
   }
 
   async connect() {
     this.running = true;
 
-    // initial trickle
-    this.spawn();
-    this.spawn();
+    // initial trickle, unless a restored session already has workers
+    if (this.state.workers.size) {
+      this.adoptWorkers();
+    } else {
+      this.spawn();
+      this.spawn();
+    }
 
     this.timers.push(setInterval(() => this.maybeSpawn(), 1600));
     this.timers.push(setInterval(() => this.step(), 50));
     this.timers.push(setInterval(() => this.heartbeat(), 1000));
   }
 
+  /**
+   * Pick up workers this bridge didn't spawn (restored session, or the live
+   * state coming back after a replay): give moving workers a goal again and
+   * dismiss ones that had already finished.
+   */
+  adoptWorkers() {
+    for (const w of Array.from(this.state.workers.values())) {
+      if (w.status === 'complete' || w.status === 'terminated') {
+        this.scheduleDespawn(w.id);
+      } else if (w.status === 'moving' && !this.motion.has(w.id)) {
+        const region = REGIONS.find((r) => r.id === w.targetRegion) || REGIONS[0];
+        this.motion.set(w.id, { vx: 0, vy: 0, goal: randomPointIn(region), speed: 1.6 + Math.random() * 1.6 });
+      }
+    }
+  }
+
   disconnect() {
     this.running = false;
     for (const t of this.timers) clearInterval(t);
@@ -211,26 +292,24 @@ export class MockBridge {
     const target = this.pickRegion(tempWorker, this.state);
 
     const wid = `w-${id()}`;
-    const w = {
-      id: wid,
-      name: `Subagent-${Math.floor(1 + Math.random() * 99)}`,
-      status: 'moving',
-      currentTask: rnd(TASK_SNIPPETS),
-      targetRegion: target.id,
-      position: { x: start.x, y: start.y },
-      spawnedAt: now(),
-      tokensUsed: Math.floor(200 + Math.random() * 800),
-      progress: 0,
-      errorMessage: null,
-      updatedAt: now(),
-    };
-
-    this.state.upsertWorker(w);
-    this.state.pushEvent({ type: 'spawn', workerId: w.id, details: `${w.name} rallied.` });
+    const name = `Subagent-${Math.floor(1 + Math.random() * 99)}`;
+
+    this.state.dispatch({
+      type: 'spawn',
+      agentId: wid,
+      data: {
+        name,
+        task: rnd(TASK_SNIPPETS),
+        region: target.id,
+        position: start,
+        tokens: Math.floor(200 + Math.random() * 800),
+        message: `${name} rallied.`,
+      },
+    });
 
     // movement goal is a random point in target region
     const goal = randomPointIn(target);
-    this.motion.set(w.id, { vx: 0, vy: 0, goal, speed: 1.6 + Math.random() * 1.6 });
+    this.motion.set(wid, { vx: 0, vy: 0, goal, speed: 1.6 + Math.random() * 1.6 });
   }
 
   /**
@@ -239,7 +318,10 @@ export class MockBridge {
   step() {
     if (!this.running) return;
 
-    for (const w of this.state.workers.values()) {
+    for (const w of Array.from(this.state.workers.values())) {
+      // Agents hold still while a command is in flight
+      if (w.pendingCommand) continue;
+
       // Build context for behavior tree
       const context = {
         worker: w,
@@ -264,8 +346,13 @@ export class MockBridge {
    * Handle moving workers with steering behaviors
    */
   stepMoving(w) {
-    const m = this.motion.get(w.id);
-    if (!m) return;
+    let m = this.motion.get(w.id);
+    if (!m) {
+      // Sent somewhere without a goal from this bridge (e.g. by a file_op)
+      const region = REGIONS.find((r) => r.id === w.targetRegion) || REGIONS[0];
+      m = { vx: 0, vy: 0, goal: randomPointIn(region), speed: 1.6 + Math.random() * 1.6 };
+      this.motion.set(w.id, m);
+    }
 
     // Get nearby worker positions for separation
     const neighbors = getNearbyPositions(w, this.state.workers, this.steering.separationRadius);
@@ -280,32 +367,19 @@ export class MockBridge {
       { behavior: separationForce, weight: 0.3 },
     ]);
 
-    // Apply velocity
-    w.position.x += combined.x;
-    w.position.y += combined.y;
-    w.updatedAt = now();
-
-    const distToGoal = Math.hypot(m.goal.x - w.position.x, m.goal.y - w.position.y);
+    let position = { x: w.position.x + combined.x, y: w.position.y + combined.y };
+    const distToGoal = Math.hypot(m.goal.x - position.x, m.goal.y - position.y);
+    const arrived = distToGoal < 10;
 
-    if (distToGoal < 10) {
-      // Arrive at goal
-      w.position.x = m.goal.x;
-      w.position.y = m.goal.y;
+    if (arrived) {
+      position = { x: m.goal.x, y: m.goal.y };
       this.motion.delete(w.id);
-
-      // Transition to working or idle
-      w.status = Math.random() < 0.12 ? 'idle' : 'working';
-      w.progress = w.status === 'working' ? Math.floor(5 + Math.random() * 14) : 0;
-      w.updatedAt = now();
-
-      if (w.status === 'working') {
-        this.state.pushEvent({ type: 'task_start', workerId: w.id, details: `Started: ${w.currentTask}` });
-      } else {
-        this.state.pushEvent({ type: 'status', workerId: w.id, details: 'Awaiting orders.' });
-      }
     }
 
-    this.state.upsertWorker({ ...w });
+    this.state.dispatch({ type: 'move', agentId: w.id, data: { position } });
+
+    // Transition to working or idle
+    if (arrived) this.arrive(w.id);
   }
 
   heartbeat() {
@@ -313,9 +387,10 @@ export class MockBridge {
     this.state.tickStats();
 
     // Increment tokens over time (simulate ongoing work)
-    for (const w of this.state.workers.values()) {
+    for (const w of Array.from(this.state.workers.values())) {
       if (w.status === 'working') {
-        w.tokensUsed += Math.floor(10 + Math.random() * 30);
+        const tokens = w.tokensUsed + Math.floor(10 + Math.random() * 30);
+        this.state.dispatch({ type: 'progress', agentId: w.id, data: { tokens } });
       }
     }
 
@@ -0,0 +1,238 @@
+/**
+ * Notes (N): free-text annotations per worker, with tags that show as an
+ * icon over the unit. Notes live in GameState and change through the `note`
+ * action, so they are recorded, replayed and saved with the session.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {import('./game-state.js').WorkerNote} WorkerNote
+ */
+
+/** Tags with their own map icon, in the order they win when a note has several */
+export const NOTE_TAG_ICONS = {
+  blocked: '⛔',
+  'needs review': '👁',
+  priority: '★',
+  flaky: '⚠',
+  'follow up': '↻',
+};
+
+/** Icon for notes without a known tag */
+const DEFAULT_NOTE_ICON = '✎';
+
+const MAX_RESULTS = 20;
+
+function el(id) { return document.getElementById(id); }
+
+/**
+ * Map icon for a note: its highest-ranked known tag, else a pencil.
+ * @param {WorkerNote|undefined} note
+ * @returns {string|null}
+ */
+export function noteIcon(note) {
+  if (!note) return null;
+  for (const [tag, icon] of Object.entries(NOTE_TAG_ICONS)) {
+    if (note.tags.includes(tag)) return icon;
+  }
+  return DEFAULT_NOTE_ICON;
+}
+
+/**
+ * Split the editor's tag field on commas.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+  return text.split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Notes whose text, tags or worker name contain the query, newest first.
+ * @param {GameState} state
+ * @param {string} query
+ * @returns {{workerId: string, worker: Worker|undefined, note: WorkerNote}[]}
+ */
+export function searchNotes(state, query) {
+  const q = query.trim().toLowerCase();
+  const out = [];
+  for (const [workerId, note] of state.notes) {
+    const worker = state.workers.get(workerId);
+    const haystack = [note.text, ...note.tags, worker ? worker.name : workerId].join('\n').toLowerCase();
+    if (!q || haystack.includes(q)) out.push({ workerId, worker, note });
+  }
+  return out.sort((a, b) => b.note.updatedAt - a.note.updatedAt);
+}
+
+export class NotesEditor {
+  /**
+   * @param {GameState} state
+   */
+  constructor(state) {
+    this.state = state;
+
+    this.$dialog = el('notesDialog');
+    this.$title = el('notesTitle');
+    this.$text = /** @type {HTMLTextAreaElement} */ (el('notesText'));
+    this.$tags = /** @type {HTMLInputElement} */ (el('notesTags'));
+    this.$tagPicks = el('notesTagPicks');
+    this.$meta = el('notesMeta');
+    this.$delete = /** @type {HTMLButtonElement} */ (el('notesDelete'));
+    this.$search = /** @type {HTMLInputElement} */ (el('notesSearch'));
+    this.$results = el('notesResults');
+
+    /** @type {string|null} */
+    this.workerId = null;
+    /** @type {HTMLElement|null} Focus returns here on close */
+    this.opener = null;
+
+    if (!this.$dialog) return;
+
+    this.$tagPicks.replaceChildren(...Object.entries(NOTE_TAG_ICONS).map(([tag, icon]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'notes-tag-pick';
+      btn.dataset.tag = tag;
+      btn.textContent = `${icon} ${tag}`;
+      return btn;
+    }));
+    this.$tagPicks.addEventListener('click', (e) => {
+      const btn = /** @type {HTMLElement} */ (e.target).closest('[data-tag]');
+      if (btn) this.toggleTag(btn.dataset.tag);
+    });
+    this.$tags.addEventListener('input', () => this.syncTagPicks());
+
+    el('notesForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save(this.$text.value, parseTags(this.$tags.value));
+    });
+    this.$delete.addEventListener('click', () => this.save('', []));
+    el('notesCancel')?.addEventListener('click', () => this.close());
+    this.$dialog.addEventListener('click', (e) => {
+      if (e.target === this.$dialog) this.close();
+    });
+    this.$dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+
+    this.$search.addEventListener('input', () => this.renderResults());
+    // Picking a result selects that worker and opens its note
+    const pick = (/** @type {Event} */ e) => {
+      const item = /** @type {HTMLElement} */ (e.target).closest('[data-worker]');
+      if (!item) return;
+      this.state.setSelected([item.dataset.worker]);
+      this.show(item.dataset.worker);
+    };
+    this.$results.addEventListener('click', pick);
+    this.$results.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') pick(e);
+    });
+  }
+
+  get open() {
+    return !!this.$dialog && !this.$dialog.hidden;
+  }
+
+  /**
+   * Edit a worker's note.
+   * @param {string} workerId
+   */
+  show(workerId) {
+    if (!this.$dialog) return;
+    if (!this.open) this.opener = /** @type {HTMLElement|null} */ (document.activeElement);
+
+    const worker = this.state.workers.get(workerId);
+    const note = this.state.notes.get(workerId);
+    this.workerId = workerId;
+
+    this.$title.textContent = `Notes · ${worker ? worker.name : workerId}`;
+    this.$text.value = note ? note.text : '';
+    this.$tags.value = note ? note.tags.join(', ') : '';
+    this.$delete.disabled = !note;
+    this.$meta.textContent = note
+      ? `Created ${formatStamp(note.createdAt)}${note.updatedAt !== note.createdAt ? ` · edited ${formatStamp(note.updatedAt)}` : ''}`
+      : 'No note yet.';
+    this.syncTagPicks();
+    this.renderResults();
+
+    this.$dialog.hidden = false;
+    this.$text.focus();
+  }
+
+  close() {
+    if (!this.$dialog) return;
+    this.$dialog.hidden = true;
+    this.workerId = null;
+    this.opener?.focus();
+    this.opener = null;
+  }
+
+  /**
+   * Write the note; empty text and no tags deletes it.
+   * @param {string} text
+   * @param {string[]} tags
+   */
+  save(text, tags) {
+    if (!this.workerId) return;
+    const result = this.state.dispatch({
+      type: 'note',
+      agentId: this.workerId,
+      source: 'command',
+      data: { text, tags },
+    });
+    if (result.ok) this.close();
+  }
+
+  /** @param {string} tag */
+  toggleTag(tag) {
+    const tags = parseTags(this.$tags.value);
+    const next = tags.includes(tag) ? tags.filter((t) => t !== tag) : [...tags, tag];
+    this.$tags.value = next.join(', ');
+    this.syncTagPicks();
+  }
+
+  syncTagPicks() {
+    const tags = parseTags(this.$tags.value);
+    for (const btn of this.$tagPicks.querySelectorAll('[data-tag]')) {
+      btn.setAttribute('aria-pressed', String(tags.includes(/** @type {HTMLElement} */ (btn).dataset.tag)));
+    }
+  }
+
+  renderResults() {
+    const matches = searchNotes(this.state, this.$search.value).slice(0, MAX_RESULTS);
+    if (!matches.length) {
+      const empty = document.createElement('li');
+      empty.className = 'notes-empty';
+      empty.textContent = this.state.notes.size ? 'No notes match.' : 'No notes yet.';
+      this.$results.replaceChildren(empty);
+      return;
+    }
+
+    this.$results.replaceChildren(...matches.map(({ workerId, worker, note }) => {
+      const item = document.createElement('li');
+      item.className = 'notes-result';
+      item.classList.toggle('is-current', workerId === this.workerId);
+      item.dataset.worker = workerId;
+      item.tabIndex = 0;
+
+      const head = document.createElement('span');
+      head.className = 'notes-result-head';
+      head.textContent = `${noteIcon(note)} ${worker ? worker.name : workerId}`;
+      const tags = document.createElement('span');
+      tags.className = 'notes-result-tags';
+      tags.textContent = note.tags.join(', ');
+      const text = document.createElement('span');
+      text.className = 'notes-result-text';
+      text.textContent = note.text.split('\n')[0];
+
+      item.append(head, tags, text);
+      return item;
+    }));
+  }
+}
+
+/** @param {number} ts */
+function formatStamp(ts) {
+  const t = new Date(ts);
+  if (Number.isNaN(t.getTime())) return 'unknown';
+  return t.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
@@ -5,6 +5,20 @@
  * Lightweight canvas-based particle rendering.
  */
 
+/**
+ * @typedef {'high'|'low'|'off'} EffectsQuality
+ */
+
+/** How many of the particles an effect asks for are made, and the most alive at once */
+export const EFFECTS_QUALITY = {
+  high: { density: 1, maxParticles: 1500 },
+  low: { density: 0.35, maxParticles: 300 },
+  off: { density: 0, maxParticles: 0 },
+};
+
+const QUALITY_KEY = 'blazecraft_effects';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
 /**
  * Particle types with their visual configs
  */
@@ -139,10 +153,34 @@ class Particle {
  * Particle System Manager
  */
 export class ParticleSystem {
-  constructor() {
+  /** @param {EffectsQuality} [quality] */
+  constructor(quality = 'high') {
     /** @type {Particle[]} */
     this.particles = [];
     this.lastUpdate = Date.now();
+    /** @type {EffectsQuality} */
+    this.quality = 'high';
+    this.setQuality(quality);
+  }
+
+  /**
+   * Thin out (or stop) new particles. Turning effects off clears the live ones.
+   * @param {EffectsQuality} quality
+   */
+  setQuality(quality) {
+    this.quality = EFFECTS_QUALITY[quality] ? quality : 'high';
+    const { maxParticles } = EFFECTS_QUALITY[this.quality];
+    if (this.particles.length > maxParticles) this.particles = maxParticles ? this.particles.slice(-maxParticles) : [];
+  }
+
+  /**
+   * Particles to actually make for a request of `count`, after quality and the cap.
+   * @param {number} count
+   */
+  budget(count) {
+    const { density, maxParticles } = EFFECTS_QUALITY[this.quality];
+    const wanted = density >= 1 ? count : Math.round(count * density);
+    return Math.max(0, Math.min(wanted, maxParticles - this.particles.length));
   }
 
   /**
@@ -159,7 +197,8 @@ export class ParticleSystem {
       return;
     }
 
-    for (let i = 0; i < count; i++) {
+    const n = this.budget(count);
+    for (let i = 0; i < n; i++) {
       this.particles.push(new Particle(x, y, config));
     }
   }
@@ -176,8 +215,9 @@ export class ParticleSystem {
     const config = PARTICLE_CONFIGS[type];
     if (!config) return;
 
-    for (let i = 0; i < count; i++) {
-      const angle = (i / count) * Math.PI * 2;
+    const n = this.budget(count);
+    for (let i = 0; i < n; i++) {
+      const angle = (i / n) * Math.PI * 2;
       const px = x + Math.cos(angle) * (Math.random() * radius);
       const py = y + Math.sin(angle) * (Math.random() * radius);
       this.particles.push(new Particle(px, py, config));
@@ -197,8 +237,9 @@ export class ParticleSystem {
     const config = PARTICLE_CONFIGS[type];
     if (!config) return;
 
-    for (let i = 0; i < count; i++) {
-      const t = i / count;
+    const n = this.budget(count);
+    for (let i = 0; i < n; i++) {
+      const t = i / n;
       const x = x1 + (x2 - x1) * t;
       const y = y1 + (y2 - y1) * t;
       this.particles.push(new Particle(x, y, config));
@@ -241,6 +282,57 @@ export class ParticleSystem {
   }
 }
 
+// =============================================================================
+// Quality setting
+// =============================================================================
+
+/**
+ * Effects quality picked in the top bar. Without a saved choice it's high,
+ * or off when the system asks for reduced motion.
+ * @returns {EffectsQuality}
+ */
+export function loadEffectsQuality() {
+  try {
+    const saved = localStorage.getItem(QUALITY_KEY);
+    if (saved && EFFECTS_QUALITY[saved]) return /** @type {EffectsQuality} */ (saved);
+  } catch {
+    // storage blocked; fall through to the default
+  }
+  return prefersReducedMotion() ? 'off' : 'high';
+}
+
+/** @param {EffectsQuality} quality */
+export function saveEffectsQuality(quality) {
+  try {
+    localStorage.setItem(QUALITY_KEY, quality);
+  } catch {
+    // not persisted; the choice still applies until reload
+  }
+}
+
+/** @returns {boolean} Whether a quality has been picked, rather than defaulted */
+export function hasSavedEffectsQuality() {
+  try {
+    return !!localStorage.getItem(QUALITY_KEY);
+  } catch {
+    return false;
+  }
+}
+
+/** @returns {boolean} */
+export function prefersReducedMotion() {
+  return typeof matchMedia === 'function' && matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Call `fn` when the reduced-motion preference flips.
+ * @param {() => void} fn
+ */
+export function onReducedMotionChange(fn) {
+  if (typeof matchMedia !== 'function') return;
+  matchMedia(REDUCED_MOTION_QUERY).addEventListener?.('change', fn);
+}
+
 // =============================================================================
 // Pre-built effect functions
 // =============================================================================
@@ -299,6 +391,19 @@ export function effectMoveDust(ps, x, y) {
   }
 }
 
+/**
+ * Embers rising off a burning building, called every frame while it burns
+ * @param {ParticleSystem} ps
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width - Spread of the fire
+ */
+export function effectBuildingFire(ps, x, y, width) {
+  if (Math.random() < 0.5) {
+    ps.emit('spark', x + (Math.random() - 0.5) * width, y, 1);
+  }
+}
+
 // =============================================================================
 // MACRO ANIMATION EFFECTS - Big visual feedback for significant events
 // =============================================================================
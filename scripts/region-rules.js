@@ -0,0 +1,220 @@
+import { REGIONS, resolveRegion } from './map.js';
+
+/**
+ * File path -> region routing.
+ *
+ * Rules are `{ glob, region }` pairs checked in order, first match wins.
+ * User rules (persisted in localStorage) come first, then each region's own
+ * `match` globs. Paths nothing matches go to the town hall.
+ *
+ * Globs: `*` and `?` stay within one path segment, `**` spans segments and
+ * `{a,b}` picks alternatives. `tests/**` matches everything under tests/,
+ * `**\/*.md` matches Markdown anywhere.
+ *
+ * @typedef {import('./map.js').MapRegion} MapRegion
+ * @typedef {{glob: string, region: string}} RegionRule
+ */
+
+const STORAGE_KEY = 'blazecraft_region_rules';
+
+/** @type {RegionRule[]} */
+let userRules = loadRules();
+
+/** @type {Map<string, RegExp>} */
+const compiled = new Map();
+
+/**
+ * @returns {RegionRule[]} User rules, in priority order
+ */
+export function getRegionRules() {
+  return userRules.map((r) => ({ ...r }));
+}
+
+/**
+ * Replace the user rules and persist them.
+ * @param {RegionRule[]} rules
+ */
+export function setRegionRules(rules) {
+  userRules = rules.map(({ glob, region }) => ({ glob, region }));
+  if (typeof localStorage === 'undefined') return;
+  if (userRules.length) localStorage.setItem(STORAGE_KEY, JSON.stringify(userRules));
+  else localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Parse the rule editor's text: one `glob region` pair per line, `#` for
+ * comments. Errors name the line so the editor can point at it.
+ * @param {string} text
+ * @returns {{rules: RegionRule[], errors: string[]}}
+ */
+export function parseRegionRules(text) {
+  /** @type {RegionRule[]} */
+  const rules = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const parts = line.split(/\s+/);
+    if (parts.length !== 2) {
+      errors.push(`Line ${i + 1}: expected "<glob> <region>".`);
+      return;
+    }
+    const [glob, region] = parts;
+    if (!resolveRegion(region)) {
+      errors.push(`Line ${i + 1}: unknown region "${region}".`);
+      return;
+    }
+    rules.push({ glob, region });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * @param {RegionRule[]} rules
+ * @returns {string}
+ */
+export function formatRegionRules(rules) {
+  return rules.map((r) => `${r.glob} ${r.region}`).join('\n');
+}
+
+/**
+ * Region for a single path, or null when no rule matches.
+ * @param {string} path
+ * @returns {MapRegion|null}
+ */
+export function matchRegion(path) {
+  const candidates = pathCandidates(path);
+  if (!candidates.length) return null;
+
+  for (const rule of userRules) {
+    if (candidates.some((p) => globToRegExp(rule.glob).test(p))) {
+      const region = resolveRegion(rule.region);
+      if (region) return region;
+    }
+  }
+  for (const region of REGIONS) {
+    for (const glob of region.match || []) {
+      if (candidates.some((p) => globToRegExp(glob).test(p))) return region;
+    }
+  }
+  return null;
+}
+
+/**
+ * Region for a single path, falling back to the town hall.
+ * @param {string} path
+ * @returns {MapRegion}
+ */
+export function regionForPath(path) {
+  return matchRegion(path) || REGIONS.find((r) => r.id === 'townhall') || REGIONS[0];
+}
+
+/**
+ * Region for a set of paths: the one most of them match, ties going to the
+ * earliest path. Unmatched paths count toward the town hall.
+ * @param {string[]} paths
+ * @returns {MapRegion}
+ */
+export function routePaths(paths) {
+  /** @type {Map<MapRegion, number>} */
+  const votes = new Map();
+
+  for (const path of paths) {
+    const region = regionForPath(path);
+    votes.set(region, (votes.get(region) || 0) + 1);
+  }
+
+  let best = REGIONS.find((r) => r.id === 'townhall') || REGIONS[0];
+  let bestVotes = 0;
+  for (const [region, count] of votes) {
+    if (count > bestVotes) {
+      best = region;
+      bestVotes = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Compile a glob to an anchored RegExp (cached).
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let re = compiled.get(glob);
+  if (re) return re;
+
+  re = new RegExp(`^${globSource(glob)}$`);
+  compiled.set(glob, re);
+  return re;
+}
+
+/**
+ * Repo-relative forms of a path. Absolute paths (runners that don't strip
+ * their working directory) are tried at every directory boundary.
+ * @param {string} path
+ * @returns {string[]}
+ */
+function pathCandidates(path) {
+  const clean = String(path).trim().replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!clean) return [];
+  if (!clean.startsWith('/') && !/^[a-z]:\//i.test(clean)) return [clean];
+
+  const out = [];
+  const parts = clean.split('/').filter(Boolean);
+  for (let i = 0; i < parts.length; i++) out.push(parts.slice(i).join('/'));
+  return out;
+}
+
+/**
+ * Unanchored RegExp source for a glob. Brace alternatives are globs too.
+ * @param {string} glob
+ * @returns {string}
+ */
+function globSource(glob) {
+  let src = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        src += '(?:.*/)?';
+      } else {
+        src += '.*';
+      }
+    } else if (c === '*') {
+      src += '[^/]*';
+    } else if (c === '?') {
+      src += '[^/]';
+    } else if (c === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      src += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+      i = end;
+    } else {
+      src += escapeRegExp(c);
+    }
+  }
+  return src;
+}
+
+/** @param {string} s */
+function escapeRegExp(s) {
+  return s.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+}
+
+/** @returns {RegionRule[]} */
+function loadRules() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed)
+      ? parsed.filter((r) => r && typeof r.glob === 'string' && typeof r.region === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,130 @@
+import { Renderer } from './renderer.js';
+import { REGIONS, setRegions } from './map.js';
+
+/**
+ * Render worker: runs the canvas Renderer on the map and minimap after the
+ * page hands them over as OffscreenCanvases. worker-renderer.js on the main
+ * thread keeps the input side and streams a frame message per animation
+ * frame; each one is drawn and acknowledged with `drawn`.
+ *
+ * The page's GameState never crosses over. `scene` stands in for it with
+ * just the fields render() reads, kept up to date from the frame diffs.
+ *
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {import('./game-state.js').WorkerNote} WorkerNote
+ * @typedef {import('./commands.js').Waypoint} Waypoint
+ * @typedef {import('./map.js').MapRegion} MapRegion
+ * @typedef {import('./renderer.js').ViewSize} ViewSize
+ *
+ * @typedef {object} FrameMessage
+ * @property {'frame'} type
+ * @property {boolean} minimapOnly - The 3D view has the map; draw just the minimap
+ * @property {{x: number, y: number, zoom: number}} camera
+ * @property {{active: boolean, x0: number, y0: number, x1: number, y1: number}} selection - Marquee
+ * @property {string|null} hoveredWorkerId
+ * @property {string|null} hoveredRegionId
+ * @property {boolean} showTerrain
+ * @property {boolean} showUnits
+ * @property {number} layout - Layout revision of `regions`
+ * @property {MapRegion[]} regions
+ * @property {[string, number][]} regionActivity
+ * @property {[string, {health: import('../src/service-map.js').ServiceHealth, lastCheck: number, latency: number}][]} services - serviceState lives on the page
+ * @property {boolean} reset - `workers` is every worker, not just the changed ones
+ * @property {Worker[]} workers - Added or changed since the last frame
+ * @property {string[]} removed
+ * @property {string[]} selected
+ * @property {[string, WorkerNote][]} notes
+ * @property {[string, number[]][]} groups - Control groups per worker, for workers in any
+ * @property {[string, Waypoint[]][]} waypoints
+ */
+
+/** @type {Renderer|null} */
+let renderer = null;
+let layout = -1;
+
+const scene = {
+  /** @type {Map<string, Worker>} */
+  workers: new Map(),
+  /** @type {Set<string>} */
+  selected: new Set(),
+  /** @type {Map<string, WorkerNote>} */
+  notes: new Map(),
+  /** @type {Map<string, number[]>} */
+  groups: new Map(),
+  /** @param {string} workerId */
+  getWorkerGroups(workerId) {
+    return this.groups.get(workerId) || [];
+  },
+};
+
+/** @type {Map<string, Waypoint[]>} */
+let waypoints = new Map();
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'init':
+      renderer = new Renderer(msg.map, msg.minimap, { view: msg.view, dpr: msg.dpr });
+      renderer.waypoints = (workerId) => waypoints.get(workerId) || null;
+      await renderer.loadTextures();
+      self.postMessage({ type: 'ready' });
+      break;
+    case 'resize':
+      renderer?.setView(msg.view, msg.dpr);
+      break;
+    case 'ping':
+      renderer?.addPing(msg.x, msg.y, msg.kind);
+      break;
+    case 'pulse':
+      renderer?.applySelectionPulse(msg.ids);
+      break;
+    case 'effect':
+      renderer?.addEffect(msg.kind, msg.x, msg.y);
+      break;
+    case 'quality':
+      renderer?.setEffectsQuality(msg.quality);
+      break;
+    case 'frame':
+      drawFrame(msg);
+      self.postMessage({ type: 'drawn' });
+      break;
+  }
+};
+
+/** @param {FrameMessage} msg */
+function drawFrame(msg) {
+  if (!renderer) return;
+
+  if (msg.layout !== layout) {
+    setRegions(msg.regions);
+    layout = msg.layout;
+  } else {
+    // Same layout: levels, upgrades and activity may still have moved
+    msg.regions.forEach((r, i) => Object.assign(REGIONS[i], r));
+  }
+
+  if (msg.reset) scene.workers.clear();
+  for (const id of msg.removed) scene.workers.delete(id);
+  for (const w of msg.workers) scene.workers.set(w.id, w);
+  scene.selected = new Set(msg.selected);
+  scene.notes = new Map(msg.notes);
+  scene.groups = new Map(msg.groups);
+  waypoints = new Map(msg.waypoints);
+
+  Object.assign(renderer.camera, msg.camera);
+  Object.assign(renderer.selection, msg.selection);
+  renderer.hoveredWorkerId = msg.hoveredWorkerId;
+  renderer.hoveredRegionId = msg.hoveredRegionId;
+  renderer.showTerrain = msg.showTerrain;
+  renderer.showUnits = msg.showUnits;
+  renderer.regionActivity = new Map(msg.regionActivity);
+  renderer.services = new Map(msg.services);
+
+  try {
+    if (msg.minimapOnly) renderer.drawMinimap(/** @type {any} */ (scene));
+    else renderer.render(/** @type {any} */ (scene));
+  } catch (err) {
+    // Keep acknowledging frames so one bad frame doesn't stall the map
+    console.error('[RenderWorker] Frame failed:', err);
+  }
+}
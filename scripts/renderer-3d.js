@@ -0,0 +1,723 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { REGIONS, clamp, regionAt, getLayoutRevision } from './map.js';
+import { measureView, connectEvents, BUILDING_FALLBACK_COLORS } from './renderer.js';
+import { modelUrl, ROCK_MODEL_URL } from './battlefield.js';
+
+/**
+ * 3D battlefield: the same map drawn with Three.js and the faction GLB models
+ * in public/models, seen from an angled orthographic camera. It has
+ * Renderer's interface, so main.js can swap it in and out while the app runs.
+ *
+ * The 2D renderer it replaces stays alive underneath. This one borrows its
+ * camera, selection and activity objects, so switching keeps the view where
+ * it was, and leaves the minimap to it. The 2D map canvas stays on top,
+ * transparent, and keeps receiving input; this draws on a canvas behind it.
+ *
+ * World coordinates carry over unchanged: world (x, y) is (x, 0, y) here,
+ * one unit per world pixel.
+ *
+ * Loaded on demand, so the `three` import map entry is only fetched when
+ * someone opens the 3D view.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./battlefield.js').Faction} Faction
+ * @typedef {import('./battlefield.js').ModelKind} ModelKind
+ * @typedef {import('./renderer.js').ViewSize} ViewSize
+ * @typedef {{geometry: THREE.BufferGeometry, material: THREE.Material|THREE.Material[]}} ModelPart
+ */
+
+/** Camera tilt above the ground */
+const CAMERA_ELEVATION = 55 * (Math.PI / 180);
+const CAMERA_DISTANCE = 2000;
+
+/** Width of a unit, and of a building as a share of its region's shorter side */
+const UNIT_SIZE = 26;
+const BUILDING_FILL = 0.65;
+/** Buildings grow this much per level */
+const BUILDING_LEVEL_GROWTH = 0.08;
+
+/** Unit models, picked per worker so a crowd isn't all one model */
+const UNIT_KINDS = /** @type {ModelKind[]} */ (['warrior', 'archer', 'caster']);
+const INITIAL_UNIT_CAPACITY = 64;
+const UNIT_TINTS = { normal: 0xffffff, hovered: 0xfff3d0, selected: 0xffd86b };
+
+/**
+ * Faction model standing in for each region type; `rock` is the shared
+ * scenery rock, null draws no building (trees for lumber, bare ground).
+ * @type {Record<import('./map.js').RegionType, ModelKind|'rock'|null>}
+ */
+const BUILDING_MODELS = {
+  townhall: 'townhall',
+  tower: 'tower',
+  stables: 'barracks',
+  goldmine: 'rock',
+  market: 'farm',
+  library: 'library',
+  lumber: null,
+  workshop: 'barracks',
+  blacksmith: 'barracks',
+  ground: null,
+  farm: 'farm',
+  barracks: 'barracks',
+};
+
+const TILE_OPACITY = 0.3;
+const TILE_ACTIVE_OPACITY = 0.7;
+const ACTIVITY_MS = 5000;
+
+const SELECTION_FLASH_MS = 150;
+const PING_MS = 1200;
+const EFFECT_MS = 700;
+const PING_COLORS = { spawn: 0xdaa520, error: 0xff4d4d };
+const EFFECT_COLORS = { spawn: 0xdaa520, complete: 0x37d67a, error: 0xff4d4d };
+
+const LABEL_FONT = '600 28px Cinzel, serif';
+
+const loader = new GLTFLoader();
+/** @type {Map<string, Promise<ModelPart|null>>} Shared across instances so switching back is instant */
+const modelCache = new Map();
+
+// Scratch objects for per-frame math
+const NDC = new THREE.Vector2();
+const RAY = new THREE.Raycaster();
+const GROUND_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const HIT = new THREE.Vector3();
+const MATRIX = new THREE.Matrix4();
+const POSITION = new THREE.Vector3();
+const ROTATION = new THREE.Quaternion();
+const SCALE = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
+const COLOR = new THREE.Color();
+
+export class Renderer3D {
+  /**
+   * Throws when the browser has no WebGL at all.
+   * @param {HTMLCanvasElement} mapCanvas - The 2D map canvas; stays on top for input
+   * @param {HTMLCanvasElement} minimapCanvas
+   * @param {import('./renderer.js').Renderer|import('./worker-renderer.js').WorkerRenderer} base - 2D renderer to share view state with
+   * @param {{faction?: Faction}} [options]
+   */
+  constructor(mapCanvas, minimapCanvas, base, options = {}) {
+    this.mapCanvas = mapCanvas;
+    this.minimapCanvas = minimapCanvas;
+    this.base = base;
+
+    this.camera = base.camera;
+    this.selection = base.selection;
+    this.regionActivity = base.regionActivity;
+    this.world = base.world;
+    this.waypoints = base.waypoints;
+    this.showTerrain = base.showTerrain;
+    this.showUnits = base.showUnits;
+    /** @type {string|null} */
+    this.hoveredWorkerId = null;
+    /** @type {string|null} */
+    this.hoveredRegionId = null;
+    /** @type {Map<string, number>} */
+    this.selectionFlash = new Map();
+    /** @type {import('./particles.js').EffectsQuality} */
+    this.effectsQuality = 'high';
+
+    /** @type {Faction} */
+    this.faction = options.faction || 'human';
+    /** @type {Map<ModelKind, ModelPart|null>} */
+    this.models = new Map();
+    /** @type {ModelPart|null} */
+    this.rock = null;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.id = 'mapCanvas3d';
+    this.canvas.setAttribute('aria-hidden', 'true');
+    mapCanvas.before(this.canvas);
+    try {
+      ({ gl: this.gl, software: this.software } = createGLRenderer(this.canvas));
+    } catch (err) {
+      this.canvas.remove();
+      throw err;
+    }
+
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x2d2419);
+    this.scene.add(new THREE.HemisphereLight(0xfff4e0, 0x2d2419, 1.6));
+    const sun = new THREE.DirectionalLight(0xffffff, 1.8);
+    sun.position.set(-0.4, 1, 0.6);
+    this.scene.add(sun);
+
+    this.orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 1, CAMERA_DISTANCE * 2);
+
+    this.ground = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshLambertMaterial({ color: 0x3b3224 }),
+    );
+    this.ground.rotation.x = -Math.PI / 2;
+    this.scene.add(this.ground);
+
+    // Regions: tinted tiles, buildings and name labels, rebuilt when any of them change
+    this.regionGroup = new THREE.Group();
+    this.scene.add(this.regionGroup);
+    /** @type {Map<string, THREE.Mesh>} */
+    this.tiles = new Map();
+    this.regionKey = '';
+    this.tileGeometry = new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2);
+    this.treeGeometry = new THREE.ConeGeometry(0.35, 1, 6).translate(0, 0.5, 0);
+    this.treeMaterial = new THREE.MeshLambertMaterial({ color: 0x2f5a2a });
+    this.blockGeometry = new THREE.BoxGeometry(1, 0.6, 1).translate(0, 0.3, 0);
+
+    // Units: one instanced mesh per model kind, plus rings under selected ones
+    /** @type {Map<ModelKind, THREE.InstancedMesh>} */
+    this.unitMeshes = new Map();
+    this.standInGeometry = new THREE.ConeGeometry(0.4, 1.1, 8).translate(0, 0.55, 0);
+    this.standInMaterial = new THREE.MeshLambertMaterial({ color: 0xc9a227 });
+    this.ringGeometry = new THREE.RingGeometry(0.8, 1, 32).rotateX(-Math.PI / 2);
+    this.ringMaterial = new THREE.MeshBasicMaterial({ color: 0xc9a227, transparent: true, opacity: 0.85, depthWrite: false });
+    /** @type {THREE.InstancedMesh|null} */
+    this.rings = null;
+    /** @type {Map<string, {x: number, y: number, yaw: number}>} Last position and heading per worker */
+    this.facing = new Map();
+
+    // Queued orders and the drag marquee
+    this.waypointLines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineDashedMaterial({ color: 0xc9a227, dashSize: 6, gapSize: 5, transparent: true, opacity: 0.7 }),
+    );
+    this.waypointLines.frustumCulled = false;
+    this.scene.add(this.waypointLines);
+    this.marquee = new THREE.LineLoop(
+      new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(new Float32Array(12), 3)),
+      new THREE.LineBasicMaterial({ color: 0xc9a227 }),
+    );
+    this.marquee.frustumCulled = false;
+    this.scene.add(this.marquee);
+
+    /** @type {{mesh: THREE.Mesh, t: number, ms: number, size: number}[]} Pings and effects, as expanding rings */
+    this.pings = [];
+
+    /** @type {ViewSize} */
+    this.view = measureView(mapCanvas, minimapCanvas);
+    this.onResize = () => this.resize();
+    window.addEventListener('resize', this.onResize);
+    this.resize();
+  }
+
+  /**
+   * Load the faction's models. Models that fail to load are drawn as simple
+   * shapes instead, so this always resolves.
+   */
+  loadTextures() {
+    return this.loadModels();
+  }
+
+  /**
+   * Switch model sets; takes effect once the new models are in.
+   * @param {Faction} faction
+   */
+  setFaction(faction) {
+    this.faction = faction;
+    return this.loadModels();
+  }
+
+  async loadModels() {
+    const faction = this.faction;
+    const kinds = /** @type {ModelKind[]} */ ([...new Set(Object.values(BUILDING_MODELS).filter((k) => k && k !== 'rock')), ...UNIT_KINDS]);
+    const [rock, ...parts] = await Promise.all([
+      loadModel(ROCK_MODEL_URL),
+      ...kinds.map((kind) => loadModel(modelUrl(faction, kind))),
+    ]);
+    // A later pick won the race
+    if (faction !== this.faction) return;
+    this.rock = rock;
+    this.models = new Map(kinds.map((kind, i) => [kind, parts[i]]));
+    this.regionKey = '';
+    this.clearUnits();
+  }
+
+  resize() {
+    this.view = measureView(this.mapCanvas, this.minimapCanvas);
+    this.gl.setPixelRatio(this.software ? 1 : Math.min(2, window.devicePixelRatio || 1));
+    this.gl.setSize(this.view.w, this.view.h, false);
+  }
+
+  /** Stop drawing and give the WebGL context back; the 2D renderer takes over */
+  dispose() {
+    window.removeEventListener('resize', this.onResize);
+    this.gl.dispose();
+    this.gl.forceContextLoss();
+    this.canvas.remove();
+  }
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  screenToWorld(clientX, clientY) {
+    this.syncCamera();
+    const rect = this.mapCanvas.getBoundingClientRect();
+    NDC.set(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+    RAY.setFromCamera(NDC, this.orthoCamera);
+    const hit = RAY.ray.intersectPlane(GROUND_PLANE, HIT);
+    return hit ? { x: hit.x, y: hit.z } : { x: this.camera.x, y: this.camera.y };
+  }
+
+  worldToScreen(wx, wy) {
+    this.syncCamera();
+    const rect = this.mapCanvas.getBoundingClientRect();
+    const p = POSITION.set(wx, 0, wy).project(this.orthoCamera);
+    return {
+      x: ((p.x + 1) / 2) * rect.width,
+      y: ((1 - p.y) / 2) * rect.height,
+    };
+  }
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  minimapToWorld(clientX, clientY) {
+    const rect = this.minimapCanvas.getBoundingClientRect();
+    return {
+      x: clamp((clientX - rect.left) / rect.width, 0, 1) * this.world.w,
+      y: clamp((clientY - rect.top) / rect.height, 0, 1) * this.world.h,
+    };
+  }
+
+  regionAt(wx, wy) {
+    return regionAt(wx, wy);
+  }
+
+  setSelection(active, x0, y0, x1, y1) {
+    Object.assign(this.selection, { active, x0, y0, x1, y1 });
+  }
+
+  /** @param {string|null} workerId */
+  setHoveredWorker(workerId) {
+    this.hoveredWorkerId = workerId;
+  }
+
+  /** @param {string|null} regionId */
+  setHoveredRegion(regionId) {
+    this.hoveredRegionId = regionId;
+  }
+
+  /**
+   * @param {GameState} state
+   * @returns {() => void} Disconnect
+   */
+  connect(state) {
+    return connectEvents(this, state);
+  }
+
+  /** @param {string[]} ids */
+  applySelectionPulse(ids) {
+    const until = performance.now() + SELECTION_FLASH_MS;
+    for (const id of ids) this.selectionFlash.set(id, until);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {'spawn'|'error'} kind
+   */
+  addPing(x, y, kind) {
+    this.addRing(x, y, PING_COLORS[kind] ?? PING_COLORS.spawn, PING_MS, 40);
+  }
+
+  /**
+   * Effects are rings here rather than particles; quality only turns them off.
+   * @param {import('./renderer.js').EffectKind} kind
+   * @param {number} x
+   * @param {number} y
+   */
+  addEffect(kind, x, y) {
+    if (this.effectsQuality === 'off') return;
+    this.addRing(x, y, EFFECT_COLORS[kind], EFFECT_MS, 24);
+  }
+
+  /** @param {import('./particles.js').EffectsQuality} quality */
+  setEffectsQuality(quality) {
+    this.effectsQuality = quality;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} color
+   * @param {number} ms
+   * @param {number} size - Radius it grows to
+   */
+  addRing(x, y, color, ms, size) {
+    const mesh = new THREE.Mesh(
+      this.ringGeometry,
+      new THREE.MeshBasicMaterial({ color, transparent: true, depthWrite: false }),
+    );
+    mesh.position.set(x, 1, y);
+    this.scene.add(mesh);
+    this.pings.push({ mesh, t: performance.now(), ms, size });
+  }
+
+  /** @param {GameState} state */
+  render(state) {
+    const now = performance.now();
+    for (const [id, until] of this.selectionFlash) {
+      if (until <= now) this.selectionFlash.delete(id);
+    }
+
+    // activity (fog), kept for the minimap too
+    for (const w of state.workers.values()) {
+      const last = this.regionActivity.get(w.targetRegion) || 0;
+      this.regionActivity.set(w.targetRegion, Math.max(last, w.updatedAt));
+    }
+
+    this.syncCamera();
+    if (this.regionKey !== regionsKey(this.faction)) this.buildRegions();
+    this.updateTiles();
+    this.updateUnits(state);
+    this.updateWaypoints(state);
+    this.updateMarquee();
+    this.updatePings(now);
+    this.gl.render(this.scene, this.orthoCamera);
+
+    // The minimap stays 2D
+    this.base.showTerrain = this.showTerrain;
+    this.base.showUnits = this.showUnits;
+    this.base.drawMinimap(state);
+  }
+
+  /** Point the orthographic camera at `camera.x/y`, framing `view` at `camera.zoom` */
+  syncCamera() {
+    const { w, h } = this.view;
+    const { x, y, zoom } = this.camera;
+    const cam = this.orthoCamera;
+    cam.left = -w / 2 / zoom;
+    cam.right = w / 2 / zoom;
+    cam.top = h / 2 / zoom;
+    cam.bottom = -h / 2 / zoom;
+    cam.position.set(x, Math.sin(CAMERA_ELEVATION) * CAMERA_DISTANCE, y + Math.cos(CAMERA_ELEVATION) * CAMERA_DISTANCE);
+    cam.lookAt(x, 0, y);
+    cam.updateProjectionMatrix();
+    cam.updateMatrixWorld();
+  }
+
+  /** Ground, region tiles, buildings and labels for the current layout and faction */
+  buildRegions() {
+    for (const child of [...this.regionGroup.children]) {
+      this.regionGroup.remove(child);
+      // Model geometry is shared; only tiles and labels are ours to free
+      if (child instanceof THREE.Sprite) {
+        child.material.map?.dispose();
+        child.material.dispose();
+      } else if (child.userData.tile) {
+        /** @type {THREE.Material} */ (/** @type {THREE.Mesh} */ (child).material).dispose();
+      }
+    }
+    this.tiles.clear();
+
+    this.ground.scale.set(this.world.w, this.world.h, 1);
+    this.ground.position.set(this.world.w / 2, 0, this.world.h / 2);
+
+    for (const r of REGIONS) {
+      const b = r.bounds;
+      const cx = b.x + b.width / 2;
+      const cy = b.y + b.height / 2;
+
+      const tile = new THREE.Mesh(
+        this.tileGeometry,
+        new THREE.MeshLambertMaterial({ color: BUILDING_FALLBACK_COLORS[r.type] || 0x696969, transparent: true, opacity: TILE_OPACITY }),
+      );
+      tile.userData.tile = true;
+      tile.scale.set(b.width, 1, b.height);
+      tile.position.set(cx, 0.5, cy);
+      this.regionGroup.add(tile);
+      this.tiles.set(r.id, tile);
+
+      const size = Math.min(b.width, b.height) * BUILDING_FILL * (1 + (r.level - 1) * BUILDING_LEVEL_GROWTH);
+      const kind = BUILDING_MODELS[r.type];
+      if (kind) {
+        const part = kind === 'rock' ? this.rock : this.models.get(kind);
+        const mesh = part
+          ? new THREE.Mesh(part.geometry, part.material)
+          : new THREE.Mesh(this.blockGeometry, this.standInMaterial);
+        mesh.scale.setScalar(size);
+        mesh.position.set(cx, 0, cy);
+        this.regionGroup.add(mesh);
+      } else if (r.type === 'lumber') {
+        for (const [dx, dy, s] of [[-0.25, -0.15, 1], [0.05, -0.25, 1.2], [0.28, -0.05, 0.9], [-0.1, 0.15, 1.1], [0.2, 0.22, 0.8]]) {
+          const tree = new THREE.Mesh(this.treeGeometry, this.treeMaterial);
+          tree.scale.setScalar(size * 0.45 * s);
+          tree.position.set(cx + dx * b.width, 0, cy + dy * b.height);
+          this.regionGroup.add(tree);
+        }
+      }
+
+      const label = makeLabel(r.name);
+      label.position.set(cx, 6, b.y + b.height - 14);
+      this.regionGroup.add(label);
+    }
+    this.regionKey = regionsKey(this.faction);
+  }
+
+  /** Brighten tiles with recent work, and the one under the cursor */
+  updateTiles() {
+    const nowMs = Date.now();
+    for (const [id, tile] of this.tiles) {
+      const last = this.regionActivity.get(id) || 0;
+      const age = nowMs - last;
+      const activity = last && age < ACTIVITY_MS ? 1 - age / ACTIVITY_MS : 0;
+      const hovered = id === this.hoveredRegionId ? 0.15 : 0;
+      /** @type {THREE.MeshLambertMaterial} */ (tile.material).opacity =
+        TILE_OPACITY + (TILE_ACTIVE_OPACITY - TILE_OPACITY) * activity + hovered;
+    }
+  }
+
+  /** @param {GameState} state */
+  updateUnits(state) {
+    /** @type {Map<ModelKind, import('./game-state.js').Worker[]>} */
+    const byKind = new Map(UNIT_KINDS.map((k) => [k, []]));
+    for (const w of state.workers.values()) {
+      byKind.get(UNIT_KINDS[hashId(w.id) % UNIT_KINDS.length]).push(w);
+    }
+
+    /** @type {Map<string, {x: number, y: number, yaw: number}>} */
+    const facing = new Map();
+    /** @type {{x: number, y: number, size: number}[]} */
+    const rings = [];
+
+    for (const [kind, workers] of byKind) {
+      const mesh = this.unitMesh(kind, workers.length);
+      workers.forEach((w, i) => {
+        const { x, y } = w.position;
+        const prev = this.facing.get(w.id);
+        let yaw = prev?.yaw ?? 0;
+        if (prev && Math.hypot(x - prev.x, y - prev.y) > 0.5) yaw = Math.atan2(x - prev.x, y - prev.y);
+        facing.set(w.id, { x, y, yaw });
+
+        MATRIX.compose(POSITION.set(x, 0, y), ROTATION.setFromAxisAngle(UP, yaw), SCALE.setScalar(UNIT_SIZE));
+        mesh.setMatrixAt(i, MATRIX);
+
+        const selected = state.selected.has(w.id);
+        const hovered = this.hoveredWorkerId === w.id;
+        mesh.setColorAt(i, COLOR.set(selected ? UNIT_TINTS.selected : hovered ? UNIT_TINTS.hovered : UNIT_TINTS.normal));
+
+        const flash = this.selectionFlash.has(w.id);
+        if (selected || hovered || flash) rings.push({ x, y, size: UNIT_SIZE * (flash ? 0.9 : 0.7) });
+      });
+      mesh.count = workers.length;
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+    this.facing = facing;
+
+    const ringMesh = this.ringMesh(rings.length);
+    rings.forEach((r, i) => {
+      MATRIX.compose(POSITION.set(r.x, 1, r.y), ROTATION.identity(), SCALE.setScalar(r.size));
+      ringMesh.setMatrixAt(i, MATRIX);
+    });
+    ringMesh.count = rings.length;
+    ringMesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * The instanced mesh for one unit kind, regrown when it can't hold `count`.
+   * Software GL gets low-poly stand-ins; the models are too heavy for it.
+   * @param {ModelKind} kind
+   * @param {number} count
+   */
+  unitMesh(kind, count) {
+    let mesh = this.unitMeshes.get(kind);
+    if (mesh && mesh.instanceMatrix.count >= count) return mesh;
+
+    let capacity = mesh ? mesh.instanceMatrix.count : INITIAL_UNIT_CAPACITY;
+    while (capacity < count) capacity *= 2;
+    if (mesh) {
+      this.scene.remove(mesh);
+      mesh.dispose();
+    }
+    const part = this.software ? null : this.models.get(kind);
+    mesh = new THREE.InstancedMesh(part?.geometry ?? this.standInGeometry, part?.material ?? this.standInMaterial, capacity);
+    // Instances spread over the whole map; the base geometry's bounds say nothing about them
+    mesh.frustumCulled = false;
+    mesh.count = 0;
+    this.scene.add(mesh);
+    this.unitMeshes.set(kind, mesh);
+    return mesh;
+  }
+
+  /** @param {number} count */
+  ringMesh(count) {
+    if (this.rings && this.rings.instanceMatrix.count >= count) return this.rings;
+    let capacity = this.rings ? this.rings.instanceMatrix.count : INITIAL_UNIT_CAPACITY;
+    while (capacity < count) capacity *= 2;
+    if (this.rings) {
+      this.scene.remove(this.rings);
+      this.rings.dispose();
+    }
+    this.rings = new THREE.InstancedMesh(this.ringGeometry, this.ringMaterial, capacity);
+    this.rings.frustumCulled = false;
+    this.scene.add(this.rings);
+    return this.rings;
+  }
+
+  /** Drop unit meshes so the next frame rebuilds them from the current models */
+  clearUnits() {
+    for (const mesh of this.unitMeshes.values()) {
+      this.scene.remove(mesh);
+      mesh.dispose();
+    }
+    this.unitMeshes.clear();
+  }
+
+  /** @param {GameState} state */
+  updateWaypoints(state) {
+    const points = [];
+    if (this.waypoints) {
+      for (const w of state.workers.values()) {
+        if (!state.selected.has(w.id)) continue;
+        const route = this.waypoints(w.id);
+        if (!route) continue;
+        let from = w.position;
+        for (const p of route) {
+          points.push(from.x, 2, from.y, p.x, 2, p.y);
+          from = p;
+        }
+      }
+    }
+    this.waypointLines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    this.waypointLines.computeLineDistances();
+    this.waypointLines.visible = points.length > 0;
+  }
+
+  updateMarquee() {
+    const { active, x0, y0, x1, y1 } = this.selection;
+    this.marquee.visible = active;
+    if (!active) return;
+    const attr = /** @type {THREE.BufferAttribute} */ (this.marquee.geometry.getAttribute('position'));
+    attr.setXYZ(0, x0, 2, y0);
+    attr.setXYZ(1, x1, 2, y0);
+    attr.setXYZ(2, x1, 2, y1);
+    attr.setXYZ(3, x0, 2, y1);
+    attr.needsUpdate = true;
+  }
+
+  /** @param {number} now */
+  updatePings(now) {
+    this.pings = this.pings.filter((p) => {
+      const t = (now - p.t) / p.ms;
+      if (t >= 1) {
+        this.scene.remove(p.mesh);
+        /** @type {THREE.Material} */ (p.mesh.material).dispose();
+        return false;
+      }
+      p.mesh.scale.setScalar(4 + p.size * t);
+      /** @type {THREE.MeshBasicMaterial} */ (p.mesh.material).opacity = 1 - t;
+      return true;
+    });
+  }
+}
+
+/**
+ * WebGL on the GPU when there is one, otherwise whatever software GL the
+ * browser has (SwiftShader, llvmpipe). Throws when there's no WebGL at all.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {{gl: THREE.WebGLRenderer, software: boolean}}
+ */
+function createGLRenderer(canvas) {
+  try {
+    return {
+      gl: new THREE.WebGLRenderer({ canvas, antialias: true, powerPreference: 'high-performance', failIfMajorPerformanceCaveat: true }),
+      software: false,
+    };
+  } catch {
+    console.warn('[Renderer3D] No hardware WebGL; using software GL with simpler units.');
+    return {
+      gl: new THREE.WebGLRenderer({ canvas, antialias: false, powerPreference: 'low-power' }),
+      software: true,
+    };
+  }
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<ModelPart|null>}
+ */
+function loadModel(url) {
+  let pending = modelCache.get(url);
+  if (!pending) {
+    pending = loader.loadAsync(url)
+      .then((gltf) => normalizeModel(gltf.scene))
+      .catch((err) => {
+        console.warn('[Renderer3D] Could not load model:', url, err);
+        return null;
+      });
+    modelCache.set(url, pending);
+  }
+  return pending;
+}
+
+/**
+ * A model's first mesh, centred over the origin with its base at y = 0 and
+ * scaled to one unit across its wider side, so callers scale it to size.
+ * @param {THREE.Object3D} root
+ * @returns {ModelPart|null}
+ */
+function normalizeModel(root) {
+  /** @type {THREE.Mesh|null} */
+  let mesh = null;
+  root.updateMatrixWorld(true);
+  root.traverse((o) => {
+    if (!mesh && /** @type {THREE.Mesh} */ (o).isMesh) mesh = /** @type {THREE.Mesh} */ (o);
+  });
+  if (!mesh) return null;
+
+  const geometry = mesh.geometry.clone().applyMatrix4(mesh.matrixWorld);
+  geometry.computeBoundingBox();
+  const box = geometry.boundingBox;
+  const size = box.getSize(new THREE.Vector3());
+  const scale = 1 / Math.max(size.x, size.z, 1e-6);
+  geometry.translate(-(box.min.x + box.max.x) / 2, -box.min.y, -(box.min.z + box.max.z) / 2);
+  geometry.scale(scale, scale, scale);
+  return { geometry, material: mesh.material };
+}
+
+/**
+ * What the region meshes were built from.
+ * @param {Faction} faction
+ */
+function regionsKey(faction) {
+  return `${faction}|${getLayoutRevision()}|${REGIONS.map((r) => `${r.id}:${r.type}:${r.level}:${r.name}`).join('|')}`;
+}
+
+/**
+ * Region name on a sprite that always faces the camera.
+ * @param {string} text
+ */
+function makeLabel(text) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  ctx.font = LABEL_FONT;
+  canvas.width = Math.ceil(ctx.measureText(text).width) + 16;
+  canvas.height = 40;
+  ctx.font = LABEL_FONT;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.shadowColor = 'rgba(0,0,0,0.9)';
+  ctx.shadowBlur = 6;
+  ctx.fillStyle = '#F4E4BC';
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+  // Half the canvas size: 14 world units tall text
+  sprite.scale.set(canvas.width / 2, canvas.height / 2, 1);
+  return sprite;
+}
+
+/**
+ * Small stable hash of a worker id, to spread workers over unit models.
+ * @param {string} id
+ */
+function hashId(id) {
+  let h = 0;
+  for (let i = 0; i < id.length; i++) h = (h * 31 + id.charCodeAt(i)) | 0;
+  return Math.abs(h);
+}
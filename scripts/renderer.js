@@ -1,4 +1,16 @@
-import { REGIONS, clamp, regionAt } from './map.js';
+import { REGIONS, clamp, regionAt, getLayoutRevision } from './map.js';
+import { noteIcon } from './notes.js';
+import {
+  ParticleSystem,
+  effectWorkerSpawn,
+  effectTaskComplete,
+  effectError,
+  effectBuildingUpgrade,
+  effectMoveDust,
+  effectResourceCollect,
+  effectBuildingFire,
+} from './particles.js';
+import { BSI_SERVICES, BUILDING_TO_SERVICE, healthToVisualState, serviceState } from '../src/service-map.js';
 
 const SELECTION_FLASH_MS = 150;
 const SELECTION_DIM_ALPHA = 0.9;
@@ -20,6 +32,78 @@ const BADGE_TEXT_COLOR = '#1A0A0A';
 const BADGE_LINE_WIDTH = 1;
 const BADGE_TEXT_OFFSET = 0.5;
 
+const PENDING_RING_RADIUS = 11;
+const PENDING_RING_Y_OFFSET = 36;
+const PENDING_RING_SPEED = 220;
+
+/** Note marker sits up and to the right of the head, clear of status icons */
+const NOTE_MARKER_X_OFFSET = 14;
+const NOTE_MARKER_Y_OFFSET = 30;
+const NOTE_MARKER_RADIUS = 7;
+const NOTE_MARKER_FONT = 'bold 9px sans-serif';
+
+/** Control group number, mirrored on the left */
+const GROUP_BADGE_X_OFFSET = 14;
+const GROUP_BADGE_Y_OFFSET = 30;
+const GROUP_BADGE_SIZE = 11;
+const GROUP_BADGE_FONT = 'bold 9px Cinzel, serif';
+
+/** Queued-order lines; units that aren't selected get a fainter line */
+const WAYPOINT_DASH = [6, 5];
+const WAYPOINT_DASH_SPEED = 40;
+const WAYPOINT_UNSELECTED_ALPHA = 0.35;
+
+/**
+ * Ground, terrain and buildings are drawn once into a world-sized layer per
+ * zoom bucket. The bucket is the smallest at or above the camera zoom, so a
+ * layer is only ever scaled down onto the map.
+ */
+const LAYER_ZOOM_BUCKETS = [0.75, 1, 1.5, 2.25];
+/** Longest side of a cached layer in device pixels; bigger zooms get a softer layer */
+const LAYER_MAX_SIZE = 4096;
+/** Layers kept at once, so zooming back and forth over a bucket edge doesn't redraw */
+const LAYER_CACHE_SIZE = 2;
+
+/** Building level shield, in the region's top-left corner */
+const LEVEL_BADGE_INSET = 16;
+const LEVEL_BADGE_RADIUS = 9;
+const LEVEL_BADGE_FONT = 'bold 9px Cinzel, serif';
+const ROMAN_LEVELS = ['', 'I', 'II', 'III', 'IV', 'V'];
+const UPGRADE_RING_GAP = 4;
+const UPGRADE_RING_WIDTH = 3;
+
+/** How long a new building takes to rise, and how far above and below its centre it reaches */
+const CONSTRUCTION_MS = 2400;
+const CONSTRUCTION_REACH_UP = 140;
+const CONSTRUCTION_REACH_DOWN = 60;
+
+/** Service health light, in the region's top-right corner */
+const HEALTH_LIGHT_INSET = 16;
+const HEALTH_LIGHT_RADIUS = 5;
+const HEALTH_PULSE_MS = 260;
+const HEALTH_SHAKE_PX = 2;
+const HEALTH_FOG_PUFFS = 5;
+const HEALTH_TOOLTIP_FONT = '11px Cinzel, serif';
+
+/** Flat fill per building type, for when the detailed drawing fails; the 3D view tints region tiles with it */
+export const BUILDING_FALLBACK_COLORS = {
+  townhall: '#8B7355',
+  tower: '#6a6055',
+  stables: '#7a5a40',
+  goldmine: '#DAA520',
+  market: '#BF5700',
+  library: '#3a5a8a',
+  lumber: '#228B22',
+  workshop: '#7a6248',
+  blacksmith: '#5a5550',
+  ground: '#5a4630',
+  farm: '#9aa83a',
+  barracks: '#696969',
+};
+
+/** World units a unit's sprite, badges and nameplate reach past its position; units further off screen are skipped */
+const UNIT_CULL_MARGIN = 60;
+
 const STATUS_BADGES = {
   idle: { glyph: 'I', color: '#4a6fa5' },
   moving: { glyph: 'M', color: '#5a88c5' },
@@ -30,21 +114,38 @@ const STATUS_BADGES = {
   hold: { glyph: 'H', color: '#8b6b30' },
 };
 
+const TEXTURE_URLS = {
+  parchment: new URL('../styles/textures/parchment.png', import.meta.url).href,
+  stone: new URL('../styles/textures/stone.png', import.meta.url).href,
+};
+
+/**
+ * @typedef {{w: number, h: number, mw: number, mh: number}} ViewSize - CSS pixel sizes of the map and minimap
+ * @typedef {'spawn'|'complete'|'error'} EffectKind - Event-driven particle effects; upgrades and dust come from render()
+ */
+
 /**
  * Canvas renderer for the main map + minimap.
+ *
+ * Also runs inside render-worker.js on transferred OffscreenCanvases. There
+ * it can't measure the page, so the view size and pixel ratio come in through
+ * `options` and setView() instead of resize().
  */
 export class Renderer {
   /**
-   * @param {HTMLCanvasElement} mapCanvas
-   * @param {HTMLCanvasElement} minimapCanvas
+   * @param {HTMLCanvasElement|OffscreenCanvas} mapCanvas
+   * @param {HTMLCanvasElement|OffscreenCanvas} minimapCanvas
+   * @param {{view?: ViewSize, dpr?: number}} [options] - Given when drawing off the main thread
    */
-  constructor(mapCanvas, minimapCanvas) {
+  constructor(mapCanvas, minimapCanvas, options = {}) {
     this.mapCanvas = mapCanvas;
     this.minimapCanvas = minimapCanvas;
     this.ctx = mapCanvas.getContext('2d', { alpha: false });
     this.mctx = minimapCanvas.getContext('2d', { alpha: false });
 
-    this.dpr = Math.max(1, window.devicePixelRatio || 1);
+    this.dpr = options.dpr || Math.max(1, window.devicePixelRatio || 1);
+    /** @type {ViewSize} */
+    this.view = { w: 320, h: 240, mw: 0, mh: 0 };
 
     this.camera = {
       x: 0,
@@ -64,17 +165,33 @@ export class Renderer {
     /** @type {Map<string, number>} */
     this.selectionFlash = new Map();
 
-    /** @type {HTMLImageElement|null} */
+    /** @type {HTMLImageElement|ImageBitmap|null} */
     this.texPar = null;
-    /** @type {HTMLImageElement|null} */
+    /** @type {HTMLImageElement|ImageBitmap|null} */
     this.texStone = null;
 
-    this.lastEventTs = 0;
     /** @type {{x:number,y:number,kind:'spawn'|'error',t:number}[]} */
     this.pings = [];
 
     /** @type {Map<string, number>} */
     this.regionActivity = new Map();
+    /** @type {Map<string, {health: import('../src/service-map.js').ServiceHealth, lastCheck: number, latency: number}>} Service health by id, as OpsBridge reports it */
+    this.services = serviceState.services;
+    /** @type {string|null} Region under the cursor, for the latency readout */
+    this.hoveredRegionId = null;
+
+    /** World-space effects, drawn over units */
+    this.particles = new ParticleSystem();
+    /** @type {Map<string, number>} Building level per region as last drawn, to spot upgrades */
+    this.regionLevels = new Map();
+    /** @type {Map<string, import('./map.js').RegionType>} */
+    this.regionTypes = new Map();
+    this.regionLevelsLayout = -1;
+    /** @type {Map<string, number>} Regions whose new building is still going up, by start time */
+    this.construction = new Map();
+
+    /** @type {((workerId: string) => import('./commands.js').Waypoint[]|null)|null} Queued orders to draw */
+    this.waypoints = null;
 
     /** Minimap visibility toggles */
     this.showTerrain = true;
@@ -82,26 +199,46 @@ export class Renderer {
 
     this.world = { w: 1280, h: 720 };
 
-    // Procedural terrain
+    // Procedural terrain, rebuilt when the region layout changes
     this.terrainElements = [];
+    this.terrainLayout = -1;
     this.generateTerrain();
 
-    this.resize();
-
-    window.addEventListener('resize', () => this.resize());
+    /** @type {Map<number, HTMLCanvasElement|OffscreenCanvas>} Static world layers by zoom bucket, least recently used first */
+    this.staticLayers = new Map();
+    /** What the cached layers were drawn from; see staticLayerKey() */
+    this.staticKey = '';
+    /** @type {{key: string, canvas: HTMLCanvasElement|OffscreenCanvas}|null} Screen-space backdrop */
+    this.backgroundLayer = null;
+    // Building names are baked into the layers; redraw them once web fonts arrive
+    const fonts = typeof document !== 'undefined' ? document.fonts : globalThis.fonts;
+    fonts?.addEventListener?.('loadingdone', () => this.invalidateStaticLayers());
+
+    if (options.view) {
+      this.setView(options.view);
+    } else {
+      this.resize();
+      window.addEventListener('resize', () => this.resize());
+    }
   }
 
   async loadTextures() {
-    const load = (src) => new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = src;
-    });
+    // Workers have no Image; decode to ImageBitmaps there instead
+    const load = typeof Image === 'undefined'
+      ? (src) => fetch(src).then((res) => {
+        if (!res.ok) throw new Error(`${src}: ${res.status}`);
+        return res.blob();
+      }).then((blob) => createImageBitmap(blob))
+      : (src) => new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = src;
+      });
 
     try {
-      this.texPar = await load('styles/textures/parchment.png');
-      this.texStone = await load('styles/textures/stone.png');
+      this.texPar = await load(TEXTURE_URLS.parchment);
+      this.texStone = await load(TEXTURE_URLS.stone);
     } catch {
       // texture load failing is non-fatal; we fall back to flat fills.
       this.texPar = null;
@@ -110,26 +247,29 @@ export class Renderer {
   }
 
   resize() {
-    const rect = this.mapCanvas.getBoundingClientRect();
-    const w = Math.max(320, Math.floor(rect.width));
-    const h = Math.max(240, Math.floor(rect.height));
+    const view = measureView(
+      /** @type {HTMLCanvasElement} */ (this.mapCanvas),
+      /** @type {HTMLCanvasElement} */ (this.minimapCanvas),
+    );
+    this.setView(view);
+  }
 
-    this.mapCanvas.width = Math.floor(w * this.dpr);
-    this.mapCanvas.height = Math.floor(h * this.dpr);
-    this.mapCanvas.style.width = `${w}px`;
-    this.mapCanvas.style.height = `${h}px`;
+  /**
+   * Size the backing stores for a view.
+   * @param {ViewSize} view
+   * @param {number} [dpr]
+   */
+  setView(view, dpr = this.dpr) {
+    this.view = { ...view };
+    this.dpr = dpr;
 
-    this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    this.mapCanvas.width = Math.floor(view.w * dpr);
+    this.mapCanvas.height = Math.floor(view.h * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-    // minimap
-    const mrect = this.minimapCanvas.getBoundingClientRect();
-    const mw = Math.floor(mrect.width);
-    const mh = Math.floor(mrect.height);
-    this.minimapCanvas.width = Math.floor(mw * this.dpr);
-    this.minimapCanvas.height = Math.floor(mh * this.dpr);
-    this.minimapCanvas.style.width = `${mw}px`;
-    this.minimapCanvas.style.height = `${mh}px`;
-    this.mctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+    this.minimapCanvas.width = Math.floor(view.mw * dpr);
+    this.minimapCanvas.height = Math.floor(view.mh * dpr);
+    this.mctx.setTransform(dpr, 0, 0, dpr, 0, 0);
   }
 
   seededRandom(seed) {
@@ -140,6 +280,7 @@ export class Renderer {
   generateTerrain() {
     const { w, h } = this.world;
     this.terrainElements = [];
+    this.terrainLayout = getLayoutRevision();
 
     const regionBounds = REGIONS.map(r => ({
       x: r.bounds.x - 30, y: r.bounds.y - 30,
@@ -176,8 +317,11 @@ export class Renderer {
     this.terrainElements.sort((a, b) => a.y - b.y);
   }
 
-  drawTerrain(now) {
-    const ctx = this.ctx;
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} now
+   */
+  drawTerrain(ctx, now) {
     for (const el of this.terrainElements) {
       if (el.type === 'grass') this.drawGrass(ctx, el.x, el.y, el.size, el.shade);
       else if (el.type === 'tree') this.drawTree(ctx, el.x, el.y, el.height, el.variant, now);
@@ -267,6 +411,73 @@ export class Renderer {
     this.selection.y1 = y1;
   }
 
+  /**
+   * Ping and spark spawns and errors where they happen, burst completed
+   * tasks and pulse new selections.
+   * @param {import('./game-state.js').GameState} state
+   * @returns {() => void} Disconnect
+   */
+  connect(state) {
+    return connectEvents(this, state);
+  }
+
+  /**
+   * Effects quality; see particles.js for what each level keeps.
+   * @param {import('./particles.js').EffectsQuality} quality
+   */
+  setEffectsQuality(quality) {
+    this.particles.setQuality(quality);
+  }
+
+  /**
+   * Fire a particle effect at a world point.
+   * @param {EffectKind} kind
+   * @param {number} x
+   * @param {number} y
+   */
+  addEffect(kind, x, y) {
+    if (kind === 'spawn') {
+      effectWorkerSpawn(this.particles, x, y);
+    } else if (kind === 'error') {
+      effectError(this.particles, x, y);
+    } else if (kind === 'complete') {
+      effectTaskComplete(this.particles, x, y);
+      // The finished work is carried home to the town hall
+      const hall = REGIONS.find((r) => r.id === 'townhall');
+      if (hall) {
+        const b = hall.bounds;
+        effectResourceCollect(this.particles, x, y, b.x + b.width / 2, b.y + b.height / 2);
+      }
+    }
+  }
+
+  /**
+   * Confetti over buildings whose level went up since the last frame, and
+   * construction for those that became a different building. A new layout
+   * only resets what's known; it isn't an upgrade.
+   * @param {number} now
+   */
+  detectUpgrades(now) {
+    const layout = getLayoutRevision();
+    const fresh = layout !== this.regionLevelsLayout;
+    if (fresh) {
+      this.regionLevels.clear();
+      this.regionTypes.clear();
+      this.construction.clear();
+      this.regionLevelsLayout = layout;
+    }
+    for (const r of REGIONS) {
+      const known = this.regionLevels.get(r.id);
+      if (!fresh && known !== undefined && r.level > known) {
+        effectBuildingUpgrade(this.particles, r.bounds.x + r.bounds.width / 2, r.bounds.y + r.bounds.height / 2);
+      }
+      const knownType = this.regionTypes.get(r.id);
+      if (!fresh && knownType !== undefined && r.type !== knownType) this.construction.set(r.id, now);
+      this.regionLevels.set(r.id, r.level);
+      this.regionTypes.set(r.id, r.type);
+    }
+  }
+
   addPing(x, y, kind) {
     this.pings.push({ x, y, kind, t: performance.now() });
     if (this.pings.length > 32) this.pings.shift();
@@ -285,59 +496,69 @@ export class Renderer {
       this.regionActivity.set(w.targetRegion, Math.max(last, w.updatedAt));
     }
 
-    // detect new events for pings
-    if (state.events.length) {
-      const latest = state.events[state.events.length - 1];
-      if (latest.timestamp > this.lastEventTs) {
-        this.lastEventTs = latest.timestamp;
-        const w = state.workers.get(latest.workerId);
-        if (w) {
-          if (latest.type === 'spawn') this.addPing(w.position.x, w.position.y, 'spawn');
-          if (latest.type === 'error') this.addPing(w.position.x, w.position.y, 'error');
-        }
-      }
-    }
-
     // clear
-    const rect = this.mapCanvas.getBoundingClientRect();
-    this.ctx.clearRect(0, 0, rect.width, rect.height);
+    const { w: viewW, h: viewH } = this.view;
+    this.ctx.clearRect(0, 0, viewW, viewH);
 
     // background
-    this.drawBackground(rect.width, rect.height);
+    this.ctx.drawImage(this.getBackgroundLayer(viewW, viewH), 0, 0, viewW, viewH);
 
     // world transform
     this.ctx.save();
-    this.ctx.translate(rect.width / 2, rect.height / 2);
+    this.ctx.translate(viewW / 2, viewH / 2);
     this.ctx.scale(this.camera.zoom, this.camera.zoom);
     this.ctx.translate(-this.camera.x, -this.camera.y);
 
-    // ground with grass gradient
-    const groundGrad = this.ctx.createRadialGradient(
-      this.world.w / 2, this.world.h / 2, 100,
-      this.world.w / 2, this.world.h / 2, this.world.w
-    );
-    groundGrad.addColorStop(0, '#2a4a25');
-    groundGrad.addColorStop(0.5, '#1e3a1a');
-    groundGrad.addColorStop(1, '#152815');
-    this.ctx.fillStyle = groundGrad;
-    this.ctx.fillRect(0, 0, this.world.w, this.world.h);
-
-    // Procedural terrain (grass, trees, rocks)
-    this.drawTerrain(now);
-
-    // regions
-    for (const r of REGIONS) this.drawRegion(r, now);
+    // ground, terrain and buildings, from cache
+    if (this.terrainLayout !== getLayoutRevision()) this.generateTerrain();
+    this.detectUpgrades(now);
+    for (const [id, started] of this.construction) {
+      if (now - started >= CONSTRUCTION_MS) this.construction.delete(id);
+    }
+    this.ctx.drawImage(this.getStaticLayer(), 0, 0, this.world.w, this.world.h);
+
+    // buildings going up, region activity and upgrade progress
+    for (const r of REGIONS) {
+      const started = this.construction.get(r.id);
+      if (started !== undefined) this.drawConstruction(r, started, now);
+      this.drawRegionActivity(r, now);
+      this.drawUpgradeProgress(r);
+      this.drawServiceHealth(r, now);
+    }
 
     // pings
     for (const p of this.pings) this.drawPing(p, now);
 
+    // queued orders
+    if (this.waypoints) {
+      for (const w of state.workers.values()) {
+        const points = this.waypoints(w.id);
+        if (points) this.drawWaypoints(w, points, state.selected.has(w.id), now);
+      }
+    }
+
     // workers
+    const reachX = viewW / 2 / this.camera.zoom + UNIT_CULL_MARGIN;
+    const reachY = viewH / 2 / this.camera.zoom + UNIT_CULL_MARGIN;
     for (const w of state.workers.values()) {
+      if (Math.abs(w.position.x - this.camera.x) > reachX || Math.abs(w.position.y - this.camera.y) > reachY) continue;
+      if (w.status === 'moving') effectMoveDust(this.particles, w.position.x, w.position.y);
       const isSelected = state.selected.has(w.id);
       const isHovered = this.hoveredWorkerId === w.id;
-      this.drawWorker(w, isSelected, isHovered, now);
+      this.drawWorker(w, isSelected, isHovered, now, {
+        note: state.notes.get(w.id),
+        groups: state.getWorkerGroups(w.id),
+      });
     }
 
+    // effects
+    this.particles.update();
+    this.particles.draw(this.ctx);
+
+    // latency of the hovered building's service, over everything in the world
+    const hoveredRegion = this.hoveredRegionId && REGIONS.find((r) => r.id === this.hoveredRegionId);
+    if (hoveredRegion) this.drawServiceTooltip(hoveredRegion);
+
     // selection marquee
     if (this.selection.active) {
       this.ctx.save();
@@ -363,6 +584,11 @@ export class Renderer {
     this.hoveredWorkerId = workerId;
   }
 
+  /** @param {string|null} regionId */
+  setHoveredRegion(regionId) {
+    this.hoveredRegionId = regionId;
+  }
+
   /** @param {string[]} ids */
   applySelectionPulse(ids) {
     const until = performance.now() + SELECTION_FLASH_MS;
@@ -378,8 +604,96 @@ export class Renderer {
     }
   }
 
-  drawBackground(w, h) {
-    const ctx = this.ctx;
+  /**
+   * Parchment backdrop for the current view, redrawn only when the view
+   * size or textures change.
+   * @param {number} w
+   * @param {number} h
+   */
+  getBackgroundLayer(w, h) {
+    const key = `${w}x${h}@${this.dpr}:${!!this.texPar}`;
+    if (this.backgroundLayer?.key !== key) {
+      const canvas = createLayerCanvas(Math.max(1, Math.floor(w * this.dpr)), Math.max(1, Math.floor(h * this.dpr)));
+      const ctx = canvas.getContext('2d');
+      ctx.scale(this.dpr, this.dpr);
+      this.drawBackground(ctx, w, h);
+      this.backgroundLayer = { key, canvas };
+    }
+    return this.backgroundLayer.canvas;
+  }
+
+  /**
+   * Ground, terrain and buildings for the camera's zoom bucket. All cached
+   * layers are dropped when the layout changes or a building upgrades.
+   */
+  getStaticLayer() {
+    const key = this.staticLayerKey();
+    if (key !== this.staticKey) {
+      this.staticLayers.clear();
+      this.staticKey = key;
+    }
+
+    const bucket = LAYER_ZOOM_BUCKETS.find((z) => z >= this.camera.zoom) ?? LAYER_ZOOM_BUCKETS[LAYER_ZOOM_BUCKETS.length - 1];
+    let layer = this.staticLayers.get(bucket);
+    if (layer) {
+      this.staticLayers.delete(bucket);
+    } else {
+      layer = this.buildStaticLayer(bucket);
+      if (this.staticLayers.size >= LAYER_CACHE_SIZE) {
+        this.staticLayers.delete(this.staticLayers.keys().next().value);
+      }
+    }
+    this.staticLayers.set(bucket, layer);
+    return layer;
+  }
+
+  /** Redraw the cached layers on the next frame */
+  invalidateStaticLayers() {
+    this.staticKey = '';
+  }
+
+  /**
+   * Everything a static layer depends on: layout, each building's type, level,
+   * name and whether it's still under construction, and pixel ratio.
+   * @returns {string}
+   */
+  staticLayerKey() {
+    const buildings = REGIONS.map((r) => `${r.id}:${r.type}:${r.level}:${r.name}${this.construction.has(r.id) ? ':building' : ''}`).join('|');
+    return `${getLayoutRevision()}@${this.dpr}:${buildings}`;
+  }
+
+  /**
+   * @param {number} bucket - Zoom the layer is drawn for
+   */
+  buildStaticLayer(bucket) {
+    const { w, h } = this.world;
+    const scale = Math.min(bucket * this.dpr, LAYER_MAX_SIZE / Math.max(w, h));
+    const canvas = createLayerCanvas(Math.ceil(w * scale), Math.ceil(h * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    // ground with grass gradient
+    const groundGrad = ctx.createRadialGradient(w / 2, h / 2, 100, w / 2, h / 2, w);
+    groundGrad.addColorStop(0, '#2a4a25');
+    groundGrad.addColorStop(0.5, '#1e3a1a');
+    groundGrad.addColorStop(1, '#152815');
+    ctx.fillStyle = groundGrad;
+    ctx.fillRect(0, 0, w, h);
+
+    // Procedural terrain (grass, trees, rocks) and buildings, posed as at t=0
+    this.drawTerrain(ctx, 0);
+    for (const r of REGIONS) {
+      if (!this.construction.has(r.id)) this.drawBuilding(ctx, r, 0);
+    }
+    return canvas;
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} w
+   * @param {number} h
+   */
+  drawBackground(ctx, w, h) {
 
     // base
     ctx.fillStyle = '#1a1410';
@@ -405,8 +719,12 @@ export class Renderer {
     ctx.fillRect(0, 0, w, h);
   }
 
-  drawRegion(region, now) {
-    const ctx = this.ctx;
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {import('./map.js').MapRegion} region
+   * @param {number} now
+   */
+  drawBuilding(ctx, region, now) {
     const b = region.bounds;
     const cx = b.x + b.width / 2;
     const cy = b.y + b.height / 2;
@@ -421,19 +739,25 @@ export class Renderer {
 
     // Draw isometric building based on region type
     try {
-      if (region.type === 'townhall') {
-        this.drawTownHall(ctx, cx, cy, b.width, b.height, now, region.name);
-      } else if (region.type === 'goldmine') {
-        this.drawGoldMine(ctx, cx, cy, b.width, b.height, now, region.name);
-      } else if (region.type === 'lumber') {
-        this.drawLumberMill(ctx, cx, cy, b.width, b.height, now, region.name);
-      } else {
-        this.drawBarracks(ctx, cx, cy, b.width, b.height, now, region.name);
+      const args = [ctx, cx, cy, b.width, b.height, now, region.name];
+      switch (region.type) {
+        case 'townhall': this.drawTownHall(...args); break;
+        case 'tower': this.drawTower(...args); break;
+        case 'stables': this.drawStables(...args); break;
+        case 'goldmine': this.drawGoldMine(...args); break;
+        case 'market': this.drawMarket(...args); break;
+        case 'library': this.drawLibrary(...args); break;
+        case 'lumber': this.drawLumberMill(...args); break;
+        case 'workshop': this.drawWorkshop(...args); break;
+        case 'blacksmith': this.drawBlacksmith(...args); break;
+        case 'ground': this.drawGround(...args); break;
+        case 'farm': this.drawFarm(...args); break;
+        default: this.drawBarracks(...args);
       }
     } catch (e) {
       // Fallback: draw simple rectangle if building drawing fails
       ctx.save();
-      ctx.fillStyle = region.type === 'townhall' ? '#8B7355' : region.type === 'goldmine' ? '#DAA520' : region.type === 'lumber' ? '#228B22' : '#696969';
+      ctx.fillStyle = BUILDING_FALLBACK_COLORS[region.type] || '#696969';
       ctx.fillRect(b.x, b.y, b.width, b.height);
       ctx.strokeStyle = '#D4AF37';
       ctx.lineWidth = 3;
@@ -445,7 +769,109 @@ export class Renderer {
       ctx.restore();
     }
 
-    // activity sparkle
+    this.drawLevelBadge(ctx, region);
+  }
+
+  /**
+   * Roman numeral shield in the region's top-left corner.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {import('./map.js').MapRegion} region
+   */
+  drawLevelBadge(ctx, region) {
+    const { x, y } = levelBadgeAt(region);
+    ctx.save();
+    ctx.fillStyle = '#1A0A0A';
+    ctx.strokeStyle = '#D4AF37';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, LEVEL_BADGE_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.font = LEVEL_BADGE_FONT;
+    ctx.fillStyle = '#F4E4BC';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(ROMAN_LEVELS[region.level] || String(region.level), x, y + 0.5);
+    ctx.restore();
+  }
+
+  /**
+   * Ring around the level badge filling toward the next upgrade; redrawn every frame.
+   * @param {import('./map.js').MapRegion} region
+   */
+  drawUpgradeProgress(region) {
+    if (!(region.upgradeProgress > 0)) return;
+    const ctx = this.ctx;
+    const { x, y } = levelBadgeAt(region);
+    const r = LEVEL_BADGE_RADIUS + UPGRADE_RING_GAP;
+    ctx.save();
+    ctx.lineWidth = UPGRADE_RING_WIDTH;
+    ctx.strokeStyle = 'rgba(0,0,0,0.55)';
+    ctx.beginPath();
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.arc(x, y, r, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, region.upgradeProgress));
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * A region that just changed building: the new one rises out of
+   * scaffolding, bottom first. It stays out of the static layer until done.
+   * @param {import('./map.js').MapRegion} region
+   * @param {number} started - performance.now() when the type changed
+   * @param {number} now
+   */
+  drawConstruction(region, started, now) {
+    const ctx = this.ctx;
+    const t = clamp((now - started) / CONSTRUCTION_MS, 0, 1);
+    const b = region.bounds;
+    const cx = b.x + b.width / 2;
+    const cy = b.y + b.height / 2;
+    const top = cy - CONSTRUCTION_REACH_UP;
+    const bottom = cy + CONSTRUCTION_REACH_DOWN;
+    const line = bottom - (bottom - top) * t;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(b.x - CONSTRUCTION_REACH_DOWN, line, b.width + CONSTRUCTION_REACH_DOWN * 2, bottom - line);
+    ctx.clip();
+    this.drawBuilding(ctx, region, 0);
+    ctx.restore();
+
+    // Scaffolding up to the build line, fading out as it finishes
+    const halfW = Math.min(b.width * 0.4, 55);
+    const base = cy + 12;
+    ctx.save();
+    ctx.globalAlpha = t < 0.85 ? 1 : (1 - t) / 0.15;
+    ctx.strokeStyle = '#8a6a40';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const x of [cx - halfW, cx, cx + halfW]) {
+      ctx.moveTo(x, base);
+      ctx.lineTo(x, Math.min(base, line) - 6);
+    }
+    for (let y = base - 14; y > line; y -= 14) {
+      ctx.moveTo(cx - halfW - 4, y);
+      ctx.lineTo(cx + halfW + 4, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+
+    if (Math.random() < 0.3) this.particles.emit('dust', cx + (Math.random() - 0.5) * halfW * 2, base, 1);
+  }
+
+  /**
+   * Green outline on regions with recent work; redrawn every frame.
+   * @param {import('./map.js').MapRegion} region
+   * @param {number} now
+   */
+  drawRegionActivity(region, now) {
+    const ctx = this.ctx;
+    const b = region.bounds;
     const last = this.regionActivity.get(region.id) || 0;
     const age = Date.now() - last;
     if (last && age < 5000) {
@@ -459,6 +885,110 @@ export class Renderer {
     }
   }
 
+  /**
+   * Health of the BSI service behind a region's building, via
+   * BUILDING_TO_SERVICE: a status light always, plus a warning pulse when
+   * degraded, fire when down and fog while unknown. Redrawn every frame.
+   * @param {import('./map.js').MapRegion} region
+   * @param {number} now
+   */
+  drawServiceHealth(region, now) {
+    const service = serviceForRegion(region, this.services);
+    if (!service) return;
+    const visual = healthToVisualState(service.health);
+    const ctx = this.ctx;
+    const b = region.bounds;
+    const cx = b.x + b.width / 2;
+    const cy = b.y + b.height / 2;
+
+    if (visual.overlay === 'fog') {
+      ctx.save();
+      for (let i = 0; i < HEALTH_FOG_PUFFS; i++) {
+        const drift = Math.sin(now / 2400 + i * 1.7) * 12;
+        const x = b.x + ((i + 0.5) / HEALTH_FOG_PUFFS) * b.width + drift;
+        const y = cy + Math.cos(now / 3100 + i * 2.3) * b.height * 0.2;
+        const r = Math.min(b.width, b.height) * 0.45;
+        const g = ctx.createRadialGradient(x, y, 0, x, y, r);
+        g.addColorStop(0, 'rgba(150,150,150,0.45)');
+        g.addColorStop(1, 'rgba(150,150,150,0)');
+        ctx.fillStyle = g;
+        ctx.fillRect(x - r, y - r, r * 2, r * 2);
+      }
+      ctx.restore();
+    }
+
+    if (visual.animation === 'pulse') {
+      ctx.save();
+      ctx.globalAlpha = 0.35 + 0.35 * Math.sin(now / HEALTH_PULSE_MS);
+      ctx.strokeStyle = visual.color;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(b.x - 2, b.y - 2, b.width + 4, b.height + 4);
+      ctx.restore();
+    }
+
+    if (visual.overlay === 'warning') {
+      drawWarningSign(ctx, cx, b.y + 6, visual.color);
+    }
+
+    if (visual.overlay === 'fire') {
+      const shake = visual.animation === 'shake' ? Math.sin(now / 25) * HEALTH_SHAKE_PX : 0;
+      ctx.save();
+      ctx.strokeStyle = visual.color;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(b.x - 3 + shake, b.y - 3, b.width + 6, b.height + 6);
+      for (const [dx, dy, size] of [[-0.22, 0.02, 1], [0.05, -0.12, 1.3], [0.25, 0.06, 0.9]]) {
+        drawFlame(ctx, cx + dx * b.width + shake, cy + dy * b.height, 14 * size, now + dx * 1000);
+      }
+      ctx.restore();
+      effectBuildingFire(this.particles, cx, cy - b.height * 0.1, b.width * 0.5);
+    }
+
+    // Status light
+    const lx = b.x + b.width - HEALTH_LIGHT_INSET;
+    const ly = b.y + HEALTH_LIGHT_INSET;
+    ctx.save();
+    ctx.fillStyle = visual.color;
+    ctx.strokeStyle = '#1A0A0A';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(lx, ly, HEALTH_LIGHT_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Service name, health and last latency for the hovered building.
+   * @param {import('./map.js').MapRegion} region
+   */
+  drawServiceTooltip(region) {
+    const service = serviceForRegion(region, this.services);
+    if (!service) return;
+    const visual = healthToVisualState(service.health);
+    const latency = service.lastCheck ? `${Math.round(service.latency)} ms` : 'no data';
+    const text = `${service.name} · ${service.health} · ${latency}`;
+
+    const ctx = this.ctx;
+    const scale = 1 / this.camera.zoom;
+    const x = region.bounds.x + region.bounds.width / 2;
+    const y = region.bounds.y - 8 * scale;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(scale, scale);
+    ctx.font = HEALTH_TOOLTIP_FONT;
+    const w = ctx.measureText(text).width + 16;
+    ctx.fillStyle = 'rgba(26,10,10,0.85)';
+    ctx.strokeStyle = visual.color;
+    ctx.lineWidth = 1;
+    ctx.fillRect(-w / 2, -22, w, 20);
+    ctx.strokeRect(-w / 2, -22, w, 20);
+    ctx.fillStyle = '#F4E4BC';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 0, -12);
+    ctx.restore();
+  }
+
   // Isometric Town Hall - Main command center
   drawTownHall(ctx, cx, cy, w, h, now, name) {
     const baseW = Math.min(w * 0.85, 120);
@@ -716,7 +1246,7 @@ export class Renderer {
     ctx.restore();
   }
 
-  // Isometric Barracks (default building)
+  // Isometric Barracks (docs level 3)
   drawBarracks(ctx, cx, cy, w, h, now, name) {
     const baseW = Math.min(w * 0.75, 100);
     const baseH = baseW * 0.5;
@@ -785,7 +1315,456 @@ export class Renderer {
     ctx.restore();
   }
 
-  drawWorker(worker, selected, hovered, now) {
+  // Cleared plot (docs) - staked ground with a notice board
+  drawGround(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.8, 110);
+    const baseH = baseW * 0.5;
+
+    ctx.save();
+
+    // Tilled dirt
+    ctx.fillStyle = '#5a4630';
+    this.traceIsoDiamond(ctx, cx, cy, baseW * 0.45, baseH * 0.3);
+    ctx.fill();
+    ctx.strokeStyle = '#3f3020';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    // Corner stakes and rope
+    const corners = [[-0.45, 0], [0, 0.3], [0.45, 0], [0, -0.3]];
+    ctx.strokeStyle = 'rgba(232,220,196,0.6)';
+    ctx.beginPath();
+    corners.forEach(([fx, fy], i) => {
+      const x = cx + fx * baseW;
+      const y = cy + fy * baseH - 6;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+    ctx.fillStyle = '#6a5040';
+    for (const [fx, fy] of corners) ctx.fillRect(cx + fx * baseW - 1.5, cy + fy * baseH - 9, 3, 10);
+
+    // Notice board
+    ctx.fillStyle = '#4a3728';
+    ctx.fillRect(cx - 12, cy - baseH * 0.5, 3, baseH * 0.5);
+    ctx.fillRect(cx + 9, cy - baseH * 0.5, 3, baseH * 0.5);
+    ctx.fillStyle = '#E8DCC4';
+    ctx.fillRect(cx - 14, cy - baseH * 0.85, 28, 18);
+    ctx.strokeStyle = '#4a3728';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(cx - 14, cy - baseH * 0.85, 28, 18);
+    ctx.strokeStyle = 'rgba(60,40,20,0.6)';
+    ctx.lineWidth = 1;
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      ctx.moveTo(cx - 10, cy - baseH * 0.85 + 5 + i * 4);
+      ctx.lineTo(cx + 10 - i * 4, cy - baseH * 0.85 + 5 + i * 4);
+      ctx.stroke();
+    }
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.55, '#E8DCC4');
+    ctx.restore();
+  }
+
+  // Isometric Farm (docs level 2) - crop rows and a barn
+  drawFarm(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.85, 120);
+    const baseH = baseW * 0.5;
+
+    ctx.save();
+
+    // Field with crop rows
+    ctx.fillStyle = '#6b5a2a';
+    this.traceIsoDiamond(ctx, cx - baseW * 0.1, cy + baseH * 0.05, baseW * 0.45, baseH * 0.3);
+    ctx.fill();
+    ctx.save();
+    ctx.clip();
+    ctx.strokeStyle = '#9aa83a';
+    ctx.lineWidth = 3;
+    for (let i = -6; i <= 6; i++) {
+      ctx.beginPath();
+      ctx.moveTo(cx - baseW * 0.6 + i * 9, cy - baseH * 0.4);
+      ctx.lineTo(cx + i * 9, cy + baseH * 0.45);
+      ctx.stroke();
+    }
+    ctx.restore();
+
+    // Barn
+    const bx = cx + baseW * 0.22;
+    const by = cy - baseH * 0.05;
+    this.drawIsoBlock(ctx, bx, by, baseW * 0.2, baseH * 0.12, baseH * 0.45, { left: '#8b2a1e', right: '#a53a2a', top: '#7a2418' });
+    this.drawIsoRoof(ctx, bx, by - baseH * 0.45, baseW * 0.24, baseH * 0.14, baseH * 0.35, '#5a3a22', '#6e4a2c');
+    ctx.strokeStyle = '#E8DCC4';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(bx - 5, by - baseH * 0.28, 10, baseH * 0.28);
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.6, '#F0E68C');
+    ctx.restore();
+  }
+
+  // Isometric Market (src level 2) - awnings and crates
+  drawMarket(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.8, 110);
+    const baseH = baseW * 0.55;
+
+    ctx.save();
+
+    // Cobbled square
+    ctx.fillStyle = '#5a5045';
+    this.traceIsoDiamond(ctx, cx, cy, baseW * 0.48, baseH * 0.3);
+    ctx.fill();
+
+    // Two stalls with striped awnings
+    for (const [dx, stripe] of [[-0.2, '#8B1A1A'], [0.2, '#BF5700']]) {
+      const sx = cx + dx * baseW;
+      const sy = cy - baseH * 0.05;
+      this.drawIsoBlock(ctx, sx, sy, baseW * 0.14, baseH * 0.08, baseH * 0.25, { left: '#6a5040', right: '#7a6050', top: '#5a4030' });
+      const top = sy - baseH * 0.55;
+      for (let i = 0; i < 4; i++) {
+        ctx.fillStyle = i % 2 === 0 ? stripe : '#E8DCC4';
+        ctx.beginPath();
+        ctx.moveTo(sx - baseW * 0.16 + i * baseW * 0.08, top + 4);
+        ctx.lineTo(sx - baseW * 0.16 + (i + 1) * baseW * 0.08, top + 4);
+        ctx.lineTo(sx - baseW * 0.16 + (i + 1) * baseW * 0.08, top + 14);
+        ctx.lineTo(sx - baseW * 0.16 + i * baseW * 0.08, top + 14);
+        ctx.closePath();
+        ctx.fill();
+      }
+      ctx.fillStyle = '#4a3728';
+      ctx.fillRect(sx - baseW * 0.16, top + 14, 2, baseH * 0.3);
+      ctx.fillRect(sx + baseW * 0.16 - 2, top + 14, 2, baseH * 0.3);
+    }
+
+    // Crates and coins
+    ctx.fillStyle = '#8a6a40';
+    ctx.fillRect(cx - 6, cy + baseH * 0.05, 12, 10);
+    ctx.strokeStyle = '#5a4030';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(cx - 6, cy + baseH * 0.05, 12, 10);
+    ctx.fillStyle = '#DAA520';
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      ctx.ellipse(cx + 12 + i * 4, cy + baseH * 0.15 - i * 2, 3, 1.5, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.55, '#FFD700');
+    ctx.restore();
+  }
+
+  // Isometric Library (src level 3) - columned hall with a tall roof
+  drawLibrary(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.8, 115);
+    const baseH = baseW * 0.55;
+
+    ctx.save();
+
+    // Steps
+    this.drawIsoBlock(ctx, cx, cy, baseW * 0.46, baseH * 0.28, 6, { left: '#6a6560', right: '#7a7570', top: '#8a8580' });
+
+    // Hall
+    this.drawIsoBlock(ctx, cx, cy - 6, baseW * 0.38, baseH * 0.22, baseH * 0.55, { left: '#8a8275', right: '#9a9285', top: '#7a7265' });
+
+    // Columns on the front faces
+    ctx.fillStyle = '#D8D0C0';
+    for (let i = 0; i < 3; i++) {
+      const t = (i + 0.5) / 3;
+      ctx.fillRect(cx - baseW * 0.38 * (1 - t) - 2, cy - 6 + baseH * 0.22 * t - baseH * 0.52, 4, baseH * 0.48);
+      ctx.fillRect(cx + baseW * 0.38 * (1 - t) - 2, cy - 6 + baseH * 0.22 * t - baseH * 0.52, 4, baseH * 0.48);
+    }
+
+    // Tall blue roof
+    this.drawIsoRoof(ctx, cx, cy - 6 - baseH * 0.55, baseW * 0.42, baseH * 0.25, baseH * 0.6, '#2a4a7a', '#3a5a8a');
+
+    // Lit window in the gable
+    ctx.fillStyle = 'rgba(255,220,140,0.8)';
+    ctx.beginPath();
+    ctx.arc(cx, cy - 6 - baseH * 0.72, 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.55, '#9ec5ff');
+    ctx.restore();
+  }
+
+  // Isometric Workshop (tests/config level 2) - timber frame, gear and chimney
+  drawWorkshop(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.8, 110);
+    const baseH = baseW * 0.55;
+
+    ctx.save();
+
+    this.drawIsoBlock(ctx, cx, cy, baseW * 0.38, baseH * 0.22, baseH * 0.5, { left: '#6a5238', right: '#7a6248', top: '#5a4430' });
+
+    // Timber frame
+    ctx.strokeStyle = '#3a2a1a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx - baseW * 0.38, cy - baseH * 0.25);
+    ctx.lineTo(cx, cy + baseH * 0.22 - baseH * 0.25);
+    ctx.lineTo(cx + baseW * 0.38, cy - baseH * 0.25);
+    ctx.stroke();
+
+    this.drawIsoRoof(ctx, cx, cy - baseH * 0.5, baseW * 0.42, baseH * 0.25, baseH * 0.35, '#6a3a2a', '#7a4a3a');
+
+    // Chimney
+    ctx.fillStyle = '#5a5550';
+    ctx.fillRect(cx + baseW * 0.15, cy - baseH * 1.0, 8, baseH * 0.3);
+    ctx.fillStyle = 'rgba(200,200,200,0.35)';
+    ctx.beginPath();
+    ctx.arc(cx + baseW * 0.15 + 4, cy - baseH * 1.08, 5, 0, Math.PI * 2);
+    ctx.arc(cx + baseW * 0.15 + 9, cy - baseH * 1.2, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Gear on the left wall
+    const gx = cx - baseW * 0.2;
+    const gy = cy - baseH * 0.3;
+    ctx.fillStyle = '#8a8a8a';
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2;
+      ctx.fillRect(gx + Math.cos(a) * 8 - 2, gy + Math.sin(a) * 8 - 2, 4, 4);
+    }
+    ctx.beginPath();
+    ctx.arc(gx, gy, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#5a4430';
+    ctx.beginPath();
+    ctx.arc(gx, gy, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.55, '#c8e6a0');
+    ctx.restore();
+  }
+
+  // Isometric Blacksmith (tests/config level 3) - stone forge and anvil
+  drawBlacksmith(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.8, 110);
+    const baseH = baseW * 0.55;
+
+    ctx.save();
+
+    this.drawIsoBlock(ctx, cx, cy, baseW * 0.38, baseH * 0.22, baseH * 0.45, { left: '#4a4540', right: '#5a5550', top: '#3d3832' });
+    this.drawIsoRoof(ctx, cx, cy - baseH * 0.45, baseW * 0.42, baseH * 0.25, baseH * 0.25, '#3a3530', '#4a4540');
+
+    // Forge mouth
+    ctx.fillStyle = '#FF6B35';
+    ctx.beginPath();
+    ctx.arc(cx - baseW * 0.18, cy - baseH * 0.12, 7, Math.PI, 0);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(255,107,53,0.25)';
+    ctx.beginPath();
+    ctx.arc(cx - baseW * 0.18, cy - baseH * 0.12, 13, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Chimney
+    ctx.fillStyle = '#3d3832';
+    ctx.fillRect(cx + baseW * 0.12, cy - baseH * 0.95, 10, baseH * 0.35);
+    ctx.fillStyle = '#FF6B35';
+    ctx.fillRect(cx + baseW * 0.12 + 2, cy - baseH * 0.95, 6, 2);
+
+    // Anvil
+    ctx.fillStyle = '#2a2a2a';
+    ctx.fillRect(cx + baseW * 0.1, cy + baseH * 0.08, 14, 4);
+    ctx.fillRect(cx + baseW * 0.1 + 4, cy + baseH * 0.08 + 4, 6, 5);
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.55, '#ffb38a');
+    ctx.restore();
+  }
+
+  // Isometric Tower (town hall level 2) - tall keep with a cone roof and flag
+  drawTower(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.6, 80);
+    const baseH = baseW * 0.55;
+    const towerH = baseH * 1.6;
+
+    ctx.save();
+
+    this.drawIsoBlock(ctx, cx, cy, baseW * 0.3, baseH * 0.18, towerH, { left: '#6a6055', right: '#7a7065', top: '#5a5045' });
+
+    // Crenellations
+    ctx.fillStyle = '#5a5045';
+    for (let i = 0; i < 4; i++) {
+      ctx.fillRect(cx - baseW * 0.3 + i * baseW * 0.18, cy - towerH - 8, baseW * 0.09, 8);
+    }
+
+    // Cone roof
+    ctx.fillStyle = '#1a3a6b';
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - towerH - baseH * 0.9);
+    ctx.lineTo(cx - baseW * 0.34, cy - towerH - 4);
+    ctx.lineTo(cx + baseW * 0.34, cy - towerH - 4);
+    ctx.closePath();
+    ctx.fill();
+
+    // Flag
+    ctx.strokeStyle = '#4a3728';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - towerH - baseH * 0.9);
+    ctx.lineTo(cx, cy - towerH - baseH * 1.3);
+    ctx.stroke();
+    ctx.fillStyle = '#BF5700';
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - towerH - baseH * 1.3);
+    ctx.lineTo(cx + 14, cy - towerH - baseH * 1.2);
+    ctx.lineTo(cx, cy - towerH - baseH * 1.1);
+    ctx.closePath();
+    ctx.fill();
+
+    // Arrow slits
+    ctx.fillStyle = '#1a1410';
+    ctx.fillRect(cx - baseW * 0.16, cy - towerH * 0.6, 3, 9);
+    ctx.fillRect(cx + baseW * 0.14, cy - towerH * 0.6, 3, 9);
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.7, '#D4AF37', 13);
+    ctx.restore();
+  }
+
+  // Isometric Stables (town hall level 3) - long barn, fence and hay
+  drawStables(ctx, cx, cy, w, h, now, name) {
+    const baseW = Math.min(w * 0.85, 120);
+    const baseH = baseW * 0.5;
+
+    ctx.save();
+
+    this.drawIsoBlock(ctx, cx - baseW * 0.08, cy, baseW * 0.36, baseH * 0.2, baseH * 0.35, { left: '#6a4a30', right: '#7a5a40', top: '#5a3a20' });
+    this.drawIsoRoof(ctx, cx - baseW * 0.08, cy - baseH * 0.35, baseW * 0.4, baseH * 0.23, baseH * 0.3, '#8a6a30', '#9a7a40');
+
+    // Stall doors
+    ctx.fillStyle = '#2a1f15';
+    for (let i = 0; i < 3; i++) {
+      const t = (i + 0.5) / 3;
+      ctx.fillRect(cx - baseW * 0.08 + baseW * 0.36 * (1 - t) - 4, cy + baseH * 0.2 * t - baseH * 0.22, 8, baseH * 0.2);
+    }
+
+    // Fence
+    ctx.strokeStyle = '#8a6a40';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx + baseW * 0.2, cy + baseH * 0.3);
+    ctx.lineTo(cx + baseW * 0.5, cy + baseH * 0.05);
+    ctx.moveTo(cx + baseW * 0.2, cy + baseH * 0.22);
+    ctx.lineTo(cx + baseW * 0.5, cy - baseH * 0.03);
+    ctx.stroke();
+
+    // Hay bales
+    ctx.fillStyle = '#d8b84a';
+    ctx.beginPath();
+    ctx.ellipse(cx - baseW * 0.4, cy + baseH * 0.2, 8, 5, 0, 0, Math.PI * 2);
+    ctx.ellipse(cx - baseW * 0.3, cy + baseH * 0.28, 8, 5, 0, 0, Math.PI * 2);
+    ctx.fill();
+
+    this.drawBuildingLabel(ctx, name, cx, cy + baseH * 0.65, '#D4AF37', 13);
+    ctx.restore();
+  }
+
+  /**
+   * Path an isometric diamond centred on (cx, cy).
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} cx
+   * @param {number} cy
+   * @param {number} halfW
+   * @param {number} depth - Half height of the diamond
+   */
+  traceIsoDiamond(ctx, cx, cy, halfW, depth) {
+    ctx.beginPath();
+    ctx.moveTo(cx - halfW, cy);
+    ctx.lineTo(cx, cy + depth);
+    ctx.lineTo(cx + halfW, cy);
+    ctx.lineTo(cx, cy - depth);
+    ctx.closePath();
+  }
+
+  /**
+   * Isometric block standing on a diamond footprint: two front walls and a flat top.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} cx
+   * @param {number} cy - Centre of the footprint
+   * @param {number} halfW
+   * @param {number} depth
+   * @param {number} height
+   * @param {{left: string, right: string, top: string}} colors
+   */
+  drawIsoBlock(ctx, cx, cy, halfW, depth, height, colors) {
+    ctx.fillStyle = colors.left;
+    ctx.beginPath();
+    ctx.moveTo(cx - halfW, cy);
+    ctx.lineTo(cx - halfW, cy - height);
+    ctx.lineTo(cx, cy + depth - height);
+    ctx.lineTo(cx, cy + depth);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = colors.right;
+    ctx.beginPath();
+    ctx.moveTo(cx + halfW, cy);
+    ctx.lineTo(cx + halfW, cy - height);
+    ctx.lineTo(cx, cy + depth - height);
+    ctx.lineTo(cx, cy + depth);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = colors.top;
+    this.traceIsoDiamond(ctx, cx, cy - height, halfW, depth);
+    ctx.fill();
+  }
+
+  /**
+   * Hipped roof over a diamond footprint, rising `peak` above `cy`.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {number} cx
+   * @param {number} cy - Eave line
+   * @param {number} halfW
+   * @param {number} depth
+   * @param {number} peak
+   * @param {string} left
+   * @param {string} right
+   */
+  drawIsoRoof(ctx, cx, cy, halfW, depth, peak, left, right) {
+    ctx.fillStyle = left;
+    ctx.beginPath();
+    ctx.moveTo(cx - halfW, cy);
+    ctx.lineTo(cx, cy + depth);
+    ctx.lineTo(cx, cy - peak);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = right;
+    ctx.beginPath();
+    ctx.moveTo(cx + halfW, cy);
+    ctx.lineTo(cx, cy + depth);
+    ctx.lineTo(cx, cy - peak);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+   * @param {string} name
+   * @param {number} x
+   * @param {number} y
+   * @param {string} color
+   * @param {number} [size]
+   */
+  drawBuildingLabel(ctx, name, x, y, color, size = 12) {
+    ctx.save();
+    ctx.font = `bold ${size}px Cinzel, serif`;
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.shadowColor = 'rgba(0,0,0,0.9)';
+    ctx.shadowBlur = 4;
+    ctx.fillText(name, x, y);
+    ctx.restore();
+  }
+
+  /**
+   * @param {import('./game-state.js').Worker} worker
+   * @param {boolean} selected
+   * @param {boolean} hovered
+   * @param {number} now
+   * @param {{note?: import('./game-state.js').WorkerNote, groups?: number[]}} [marks] - Note and control groups
+   */
+  drawWorker(worker, selected, hovered, now, marks = {}) {
     const ctx = this.ctx;
     const x = worker.position.x;
     const y = worker.position.y;
@@ -863,6 +1842,9 @@ export class Renderer {
 
     // Status indicators above head
     this.drawStatusIndicator(ctx, x, y + bob, worker.status, now);
+    if (worker.pendingCommand) this.drawPendingIndicator(ctx, x, y + bob, now);
+    if (marks.note) this.drawNoteMarker(ctx, x, y + bob, noteIcon(marks.note));
+    if (marks.groups && marks.groups.length) this.drawGroupBadge(ctx, x, y + bob, marks.groups);
     ctx.restore();
 
     if (isHighlighted) {
@@ -1085,6 +2067,122 @@ export class Renderer {
     ctx.restore();
   }
 
+  /**
+   * Spinning arc over a unit whose command the agent hasn't answered yet.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} x
+   * @param {number} y
+   * @param {number} now
+   */
+  drawPendingIndicator(ctx, x, y, now) {
+    const start = (now / PENDING_RING_SPEED) % (Math.PI * 2);
+    ctx.save();
+    ctx.strokeStyle = 'rgba(90,136,197,0.9)';
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.arc(x, y - PENDING_RING_Y_OFFSET, PENDING_RING_RADIUS, start, start + Math.PI * 1.2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Tag icon over a unit that has a note.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} x
+   * @param {number} y
+   * @param {string} icon
+   */
+  drawNoteMarker(ctx, x, y, icon) {
+    const mx = x + NOTE_MARKER_X_OFFSET;
+    const my = y - NOTE_MARKER_Y_OFFSET;
+    ctx.save();
+    ctx.fillStyle = 'rgba(26,20,12,0.85)';
+    ctx.strokeStyle = '#C9A227';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(mx, my, NOTE_MARKER_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.font = NOTE_MARKER_FONT;
+    ctx.fillStyle = '#F4E4BC';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(icon, mx, my + 0.5);
+    ctx.restore();
+  }
+
+  /**
+   * First control group the unit is in; "+" when it is in more.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} x
+   * @param {number} y
+   * @param {number[]} groups
+   */
+  drawGroupBadge(ctx, x, y, groups) {
+    const label = `${groups[0]}${groups.length > 1 ? '+' : ''}`;
+    ctx.save();
+    ctx.font = GROUP_BADGE_FONT;
+    const w = Math.max(GROUP_BADGE_SIZE, ctx.measureText(label).width + 4);
+    const bx = x - GROUP_BADGE_X_OFFSET - w / 2;
+    const by = y - GROUP_BADGE_Y_OFFSET - GROUP_BADGE_SIZE / 2;
+    ctx.fillStyle = 'rgba(26,20,12,0.85)';
+    ctx.strokeStyle = '#C9A227';
+    ctx.lineWidth = 1;
+    ctx.fillRect(bx, by, w, GROUP_BADGE_SIZE);
+    ctx.strokeRect(bx, by, w, GROUP_BADGE_SIZE);
+    ctx.fillStyle = '#FFEC8B';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, x - GROUP_BADGE_X_OFFSET, y - GROUP_BADGE_Y_OFFSET + 0.5);
+    ctx.restore();
+  }
+
+  /**
+   * Dashed line through a worker's queued orders: a flag at each move and an
+   * "H" where it will hold.
+   * @param {import('./game-state.js').Worker} worker
+   * @param {import('./commands.js').Waypoint[]} points
+   * @param {boolean} selected
+   * @param {number} now
+   */
+  drawWaypoints(worker, points, selected, now) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = selected ? 1 : WAYPOINT_UNSELECTED_ALPHA;
+    ctx.strokeStyle = 'rgba(111,207,99,0.85)';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(WAYPOINT_DASH);
+    ctx.lineDashOffset = -(now / 1000) * WAYPOINT_DASH_SPEED;
+    ctx.beginPath();
+    ctx.moveTo(worker.position.x, worker.position.y);
+    for (const p of points) ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.font = 'bold 9px Cinzel, serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const p of points) {
+      ctx.fillStyle = p.kind === 'hold' ? 'rgba(139,107,48,0.95)' : 'rgba(45,122,79,0.95)';
+      ctx.strokeStyle = '#E8DCC4';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      if (p.kind === 'hold') {
+        ctx.rect(p.x + 6, p.y - 12, 12, 12);
+      } else {
+        ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+      }
+      ctx.fill();
+      ctx.stroke();
+      if (p.kind === 'hold') {
+        ctx.fillStyle = '#F4E4BC';
+        ctx.fillText('H', p.x + 12, p.y - 5.5);
+      }
+    }
+    ctx.restore();
+  }
+
   drawPing(p, now) {
     const age = (now - p.t) / 1000;
     if (age > 1.4) return;
@@ -1102,9 +2200,8 @@ export class Renderer {
 
   drawMinimap(state) {
     const ctx = this.mctx;
-    const rect = this.minimapCanvas.getBoundingClientRect();
-    const w = rect.width;
-    const h = rect.height;
+    const w = this.view.mw;
+    const h = this.view.mh;
 
     // base
     ctx.fillStyle = '#2d2419';
@@ -1159,9 +2256,8 @@ export class Renderer {
     }
 
     // camera box
-    const mapRect = this.mapCanvas.getBoundingClientRect();
-    const viewW = mapRect.width / this.camera.zoom;
-    const viewH = mapRect.height / this.camera.zoom;
+    const viewW = this.view.w / this.camera.zoom;
+    const viewH = this.view.h / this.camera.zoom;
 
     const vx = (this.camera.x - viewW / 2) * sx;
     const vy = (this.camera.y - viewH / 2) * sy;
@@ -1195,3 +2291,145 @@ export class Renderer {
     return regionAt(wx, wy);
   }
 }
+
+/**
+ * Lay out both canvases at their CSS size (the map never below 320x240) and
+ * report it. Only works on the main thread.
+ * @param {HTMLCanvasElement} mapCanvas
+ * @param {HTMLCanvasElement} minimapCanvas
+ * @returns {ViewSize}
+ */
+export function measureView(mapCanvas, minimapCanvas) {
+  const rect = mapCanvas.getBoundingClientRect();
+  const w = Math.max(320, Math.floor(rect.width));
+  const h = Math.max(240, Math.floor(rect.height));
+  mapCanvas.style.width = `${w}px`;
+  mapCanvas.style.height = `${h}px`;
+
+  const mrect = minimapCanvas.getBoundingClientRect();
+  const mw = Math.floor(mrect.width);
+  const mh = Math.floor(mrect.height);
+  minimapCanvas.style.width = `${mw}px`;
+  minimapCanvas.style.height = `${mh}px`;
+
+  return { w, h, mw, mh };
+}
+
+/**
+ * Wire a renderer to state events: pings and particle effects where workers
+ * spawn, finish tasks and fail, and a pulse on new selections. Shared with
+ * WorkerRenderer, which forwards each call to its worker.
+ * @param {{addPing: Renderer['addPing'], addEffect: Renderer['addEffect'], applySelectionPulse: Renderer['applySelectionPulse']}} target
+ * @param {import('./game-state.js').GameState} state
+ * @returns {() => void} Disconnect
+ */
+export function connectEvents(target, state) {
+  /**
+   * @param {import('./game-state.js').GameEvent} evt
+   * @param {'spawn'|'error'|null} ping
+   * @param {EffectKind} effect
+   */
+  const mark = (evt, ping, effect) => {
+    const w = state.workers.get(evt.workerId);
+    if (!w) return;
+    if (ping) target.addPing(w.position.x, w.position.y, ping);
+    target.addEffect(effect, w.position.x, w.position.y);
+  };
+  const offs = [
+    state.on('event:spawn', (evt) => mark(evt, 'spawn', 'spawn')),
+    state.on('event:task_complete', (evt) => mark(evt, null, 'complete')),
+    state.on('event:error', (evt) => mark(evt, 'error', 'error')),
+    state.on('selection:changed', ({ ids }) => target.applySelectionPulse(ids)),
+  ];
+  return () => offs.forEach((off) => off());
+}
+
+/**
+ * Offscreen canvas for a cached layer; OffscreenCanvas where there's no document (render worker).
+ * @param {number} w
+ * @param {number} h
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createLayerCanvas(w, h) {
+  if (typeof document === 'undefined') return new OffscreenCanvas(w, h);
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  return canvas;
+}
+
+/**
+ * Centre of a region's level badge.
+ * @param {import('./map.js').MapRegion} region
+ */
+function levelBadgeAt(region) {
+  return { x: region.bounds.x + LEVEL_BADGE_INSET, y: region.bounds.y + LEVEL_BADGE_INSET };
+}
+
+/**
+ * The service a region's building stands for, with its latest health, or
+ * null for buildings without one.
+ * @param {import('./map.js').MapRegion} region
+ * @param {Map<string, {health: import('../src/service-map.js').ServiceHealth, lastCheck: number, latency: number}>} services
+ */
+function serviceForRegion(region, services) {
+  const id = BUILDING_TO_SERVICE[region.type];
+  if (!id) return null;
+  const state = services.get(id);
+  return {
+    id,
+    name: BSI_SERVICES[id].name,
+    health: state?.health || 'unknown',
+    latency: state?.latency || 0,
+    lastCheck: state?.lastCheck || 0,
+  };
+}
+
+/**
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y - Bottom of the flame
+ * @param {number} size
+ * @param {number} now
+ */
+function drawFlame(ctx, x, y, size, now) {
+  const flicker = 0.8 + 0.2 * Math.sin(now / 70) + 0.1 * Math.sin(now / 37);
+  const h = size * 1.8 * flicker;
+  const g = ctx.createLinearGradient(x, y, x, y - h);
+  g.addColorStop(0, 'rgba(255,77,77,0.9)');
+  g.addColorStop(0.5, 'rgba(255,140,40,0.85)');
+  g.addColorStop(1, 'rgba(255,220,90,0)');
+  ctx.fillStyle = g;
+  ctx.beginPath();
+  ctx.moveTo(x - size / 2, y);
+  ctx.quadraticCurveTo(x - size * 0.6, y - h * 0.5, x + Math.sin(now / 90) * size * 0.2, y - h);
+  ctx.quadraticCurveTo(x + size * 0.6, y - h * 0.5, x + size / 2, y);
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y - Top point
+ * @param {string} color
+ */
+function drawWarningSign(ctx, x, y, color) {
+  ctx.save();
+  ctx.fillStyle = color;
+  ctx.strokeStyle = '#1A0A0A';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + 9, y + 16);
+  ctx.lineTo(x - 9, y + 16);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.fillStyle = '#1A0A0A';
+  ctx.font = 'bold 11px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('!', x, y + 10);
+  ctx.restore();
+}
@@ -0,0 +1,264 @@
+import { clamp } from './map.js';
+import { SESSION_FORMAT, SESSION_VERSION, captureKeyframe, restoreKeyframe } from './session-recorder.js';
+
+/**
+ * Plays a SessionRecorder NDJSON file back into the console's GameState.
+ * The live state is set aside on open and put back on close.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./session-recorder.js').SessionRecord} SessionRecord
+ * @typedef {import('./session-recorder.js').Keyframe} Keyframe
+ */
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+
+/** Playback tick */
+const TICK_MS = 50;
+
+export class SessionPlayer {
+  /**
+   * @param {GameState} state
+   * @param {object} [options]
+   * @param {(player: SessionPlayer) => void} [options.onTick] - Called after every playhead change
+   */
+  constructor(state, options = {}) {
+    this.state = state;
+    this.onTick = options.onTick || (() => {});
+
+    /** @type {SessionRecord[]} */
+    this.records = [];
+    /** @type {number[]} Indexes of keyframe records */
+    this.keyframes = [];
+    /** Recorded session start, for the HUD clock */
+    this.sessionStartedAt = 0;
+    this.start = 0;
+    this.end = 0;
+
+    /** Absolute recorded time currently shown */
+    this.playhead = 0;
+    /** Next record to apply */
+    this.cursor = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.open = false;
+
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this.timer = null;
+    this.lastTickAt = 0;
+
+    /** @type {Keyframe|null} Live state set aside while the replay is open */
+    this.stash = null;
+    /** @type {Map<string, import('./game-state.js').GameEvent[]>|null} Live per-worker history */
+    this.stashHistory = null;
+    /** @type {Map<number, string[]>|null} Live control groups; replayed removals would prune them */
+    this.stashGroups = null;
+  }
+
+  /** @returns {number} */
+  get duration() {
+    return this.end - this.start;
+  }
+
+  /** @returns {number} */
+  get position() {
+    return this.playhead - this.start;
+  }
+
+  /**
+   * Parse a recording. Truncated or garbled lines are skipped, so a file cut
+   * off mid-write still loads.
+   * @param {string} text
+   * @returns {{records: number, skipped: number}}
+   */
+  load(text) {
+    const lines = text.split('\n').filter((line) => line.trim());
+    let header = null;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch {
+      // reported below
+    }
+    if (!header || header.kind !== 'header' || header.format !== SESSION_FORMAT) {
+      throw new Error('Not a BlazeCraft session recording.');
+    }
+    if (header.version > SESSION_VERSION) {
+      throw new Error(`Recording format v${header.version} is newer than this console supports (v${SESSION_VERSION}).`);
+    }
+
+    /** @type {SessionRecord[]} */
+    const records = [];
+    let skipped = 0;
+    for (const line of lines.slice(1)) {
+      try {
+        const record = JSON.parse(line);
+        if (typeof record.t === 'number' && typeof record.kind === 'string') records.push(record);
+        else skipped++;
+      } catch {
+        skipped++;
+      }
+    }
+
+    const first = records.findIndex((r) => r.kind === 'keyframe');
+    if (first === -1) throw new Error('Recording has no keyframe to start from.');
+
+    this.pause();
+    this.records = records.slice(first);
+    this.keyframes = [];
+    this.records.forEach((r, i) => {
+      if (r.kind === 'keyframe') this.keyframes.push(i);
+    });
+    this.sessionStartedAt = header.startedAt || this.records[0].t;
+    this.start = this.records[0].t;
+    this.end = this.records[this.records.length - 1].t;
+    this.playhead = this.start;
+    this.cursor = 0;
+
+    return { records: this.records.length, skipped: skipped + first };
+  }
+
+  /**
+   * Set the live state aside and show the recording from its first frame.
+   */
+  enter() {
+    if (!this.open) {
+      this.stash = captureKeyframe(this.state);
+      this.stashHistory = this.state.history;
+      this.stashGroups = new Map(this.state.controlGroups);
+      this.open = true;
+    }
+    this.state.setSelected([]);
+    this.seek(0);
+  }
+
+  /**
+   * Stop playback and put the live state back.
+   */
+  exit() {
+    if (!this.open) return;
+    this.pause();
+    this.open = false;
+    if (this.stash) restoreKeyframe(this.state, this.stash);
+    if (this.stashHistory) this.state.history = this.stashHistory;
+    if (this.stashGroups) {
+      this.state.controlGroups = this.stashGroups;
+      this.state.controlGroupsRevision += 1;
+    }
+    this.stash = null;
+    this.stashHistory = null;
+    this.stashGroups = null;
+    this.state.notify();
+  }
+
+  play() {
+    if (!this.open || this.playing) return;
+    if (this.playhead >= this.end) this.seek(0);
+
+    this.playing = true;
+    this.lastTickAt = Date.now();
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.onTick(this);
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.onTick(this);
+  }
+
+  /** @param {number} speed */
+  setSpeed(speed) {
+    this.speed = REPLAY_SPEEDS.includes(speed) ? speed : 1;
+    this.onTick(this);
+  }
+
+  tick() {
+    const now = Date.now();
+    const target = this.playhead + (now - this.lastTickAt) * this.speed;
+    this.lastTickAt = now;
+
+    this.advance(Math.min(target, this.end));
+    if (this.playhead >= this.end) this.pause();
+  }
+
+  /**
+   * Jump to an offset from the start of the recording. Seeking backwards
+   * rebuilds from the nearest earlier keyframe.
+   * @param {number} offsetMs
+   */
+  seek(offsetMs) {
+    const target = this.start + clamp(offsetMs, 0, this.duration);
+
+    const k = this.keyframeAt(target);
+    if (target < this.playhead || this.cursor === 0 || k > this.cursor - 1) {
+      restoreKeyframe(this.state, /** @type {any} */ (this.records[k]).state);
+      this.cursor = k + 1;
+    }
+    this.advance(target);
+  }
+
+  /**
+   * Apply every record up to `target`, then notify once.
+   * @param {number} target
+   */
+  advance(target) {
+    while (this.cursor < this.records.length && this.records[this.cursor].t <= target) {
+      this.apply(this.records[this.cursor]);
+      this.cursor++;
+    }
+    this.playhead = target;
+
+    // HUD clock shows recorded session time
+    this.state.startedAt = Date.now() - (this.playhead - this.sessionStartedAt);
+    this.state.tickStats();
+    this.state.notify();
+    this.onTick(this);
+  }
+
+  /**
+   * Index of the last keyframe at or before `t`.
+   * @param {number} t
+   */
+  keyframeAt(t) {
+    let lo = 0;
+    let hi = this.keyframes.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.records[this.keyframes[mid]].t <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    return this.keyframes[lo];
+  }
+
+  /** @param {SessionRecord} record */
+  apply(record) {
+    const state = this.state;
+
+    switch (record.kind) {
+      case 'keyframe':
+        restoreKeyframe(state, record.state);
+        break;
+      case 'action': {
+        let action = record.action;
+        if (action && typeof action === 'object') {
+          if (action.timestamp === undefined) action = { ...action, timestamp: record.t };
+          // Route to the recorded region, not wherever today's rules send the paths
+          if (record.region) action = { ...action, data: { ...action.data, region: record.region } };
+        }
+        state.reduce(action);
+        break;
+      }
+      case 'event':
+        state.appendEvent({ ...record.event });
+        break;
+      case 'scout':
+        state.scout = [record.line, ...state.scout].slice(0, 3);
+        break;
+      case 'positions':
+        for (const [agentId, [x, y]] of Object.entries(record.positions)) {
+          if (state.workers.has(agentId)) state.reduce({ type: 'move', agentId, data: { position: { x, y } } });
+        }
+        break;
+    }
+  }
+}
@@ -0,0 +1,304 @@
+import { REGIONS, setRegions } from './map.js';
+import { WorkerMap } from './spatial-index.js';
+import { routePaths } from './region-rules.js';
+
+/**
+ * Session recording as NDJSON.
+ *
+ * The first line is a header; every following line is a record stamped with
+ * the wall-clock time `t` it happened:
+ *
+ *   {"kind":"header","format":"blazecraft-session","version":1,"startedAt":...}
+ *   {"t":...,"kind":"keyframe","state":{workers,stats,regions,files,notes,events,scout,startedAt}}
+ *   {"t":...,"kind":"action","action":{"type":"task_start","agentId":"a1",...}}
+ *   {"t":...,"kind":"action","action":{"type":"file_op",...},"region":"docs"}
+ *   {"t":...,"kind":"event","event":{"type":"command","details":"Scan complete",...}}
+ *   {"t":...,"kind":"scout","line":"Agent stream lost. Retrying..."}
+ *   {"t":...,"kind":"positions","positions":{"a1":[412.5,300.1]}}
+ *
+ * Actions are recorded as dispatched, except per-step `move` updates; worker
+ * positions are sampled instead. A file_op without an explicit region carries
+ * the region its paths routed to, so a replay ignores later rule changes. Keyframes give the player a place to seek
+ * from without replaying the whole file.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./game-state.js').Worker} Worker
+ * @typedef {import('./game-state.js').GameEvent} GameEvent
+ * @typedef {import('./game-state.js').StateRecord} StateRecord
+ * @typedef {import('./game-state.js').FileTouch} FileTouch
+ * @typedef {import('./game-state.js').WorkerNote} WorkerNote
+ * @typedef {import('./map.js').MapRegion} MapRegion
+ * @typedef {{startedAt:number,workers:Worker[],stats:{completed:number,files:number,failed:number,tokens:number},regions:MapRegion[],files?:[string,FileTouch[]][],notes?:[string,WorkerNote][],events:GameEvent[],scout:string[]}} Keyframe
+ * @typedef {{kind:'header',format:string,version:number,startedAt:number,recordedAt:number}} SessionHeader
+ * @typedef {{t:number,kind:'keyframe',state:Keyframe}|{t:number,kind:'positions',positions:Record<string,[number,number]>}|(StateRecord & {t:number,region?:string})} SessionRecord
+ */
+
+export const SESSION_FORMAT = 'blazecraft-session';
+export const SESSION_VERSION = 1;
+
+/** Full-state snapshot interval; a seek replays at most this much */
+const KEYFRAME_INTERVAL_MS = 30000;
+
+/** How often worker positions are sampled */
+const POSITION_SAMPLE_MS = 100;
+
+/**
+ * Line budget for the in-memory recording (~40 MB). Past it the oldest
+ * keyframe spans are dropped, so the end of a long session is always kept.
+ */
+const MAX_LINES = 400000;
+
+/**
+ * Newest events written into each keyframe. The live log keeps far more, but
+ * a full copy every 30 s would eat the line budget's memory.
+ */
+const KEYFRAME_EVENT_LIMIT = 250;
+
+export class SessionRecorder {
+  /**
+   * @param {GameState} state
+   */
+  constructor(state) {
+    this.state = state;
+    this.recording = false;
+
+    /** @type {string[]} NDJSON lines, header first */
+    this.lines = [];
+    /** @type {number[]} Indexes of keyframe lines in `lines` */
+    this.keyframeLines = [];
+    /** @type {Map<string, string>} Last written position per worker */
+    this.lastPositions = new Map();
+
+    this.timers = [];
+    /** @type {(() => void)|null} */
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Begin a new recording, discarding any previous one.
+   */
+  start() {
+    this.pause();
+
+    /** @type {SessionHeader} */
+    const header = {
+      kind: 'header',
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      startedAt: this.state.startedAt,
+      recordedAt: Date.now(),
+    };
+    this.lines = [JSON.stringify(header)];
+    this.keyframeLines = [];
+    this.resume();
+  }
+
+  /**
+   * Stop taking records but keep what was recorded.
+   */
+  pause() {
+    if (!this.recording) return;
+    this.recording = false;
+
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    for (const t of this.timers) clearInterval(t);
+    this.timers = [];
+  }
+
+  /**
+   * Continue after pause(), starting with a keyframe so whatever changed in
+   * between is captured.
+   */
+  resume() {
+    if (this.recording || !this.lines.length) return;
+    this.recording = true;
+
+    this.keyframe();
+    this.unsubscribe = this.state.onRecord((entry) => this.handleRecord(entry));
+    this.timers.push(setInterval(() => this.samplePositions(), POSITION_SAMPLE_MS));
+    this.timers.push(setInterval(() => this.keyframe(), KEYFRAME_INTERVAL_MS));
+  }
+
+  /**
+   * Snapshot the whole state. Called on a timer and whenever state is reset
+   * outside dispatch (mode switches).
+   */
+  keyframe() {
+    if (!this.recording) return;
+
+    // Positions are part of the snapshot; forget workers that are gone
+    this.lastPositions.clear();
+    for (const w of this.state.workers.values()) {
+      this.lastPositions.set(w.id, positionKey(w.position));
+    }
+
+    this.keyframeLines.push(this.lines.length);
+    this.write({ t: Date.now(), kind: 'keyframe', state: captureKeyframe(this.state, KEYFRAME_EVENT_LIMIT) });
+  }
+
+  /** @param {StateRecord} entry */
+  handleRecord(entry) {
+    if (entry.kind === 'action' && entry.action && entry.action.type === 'move') return;
+    this.write({ t: Date.now(), ...entry, ...routedRegion(entry) });
+  }
+
+  samplePositions() {
+    /** @type {Record<string, [number, number]>} */
+    const positions = {};
+    let changed = false;
+
+    for (const w of this.state.workers.values()) {
+      const key = positionKey(w.position);
+      if (this.lastPositions.get(w.id) === key) continue;
+      this.lastPositions.set(w.id, key);
+      positions[w.id] = [round1(w.position.x), round1(w.position.y)];
+      changed = true;
+    }
+
+    if (changed) this.write({ t: Date.now(), kind: 'positions', positions });
+  }
+
+  /** @param {SessionRecord} record */
+  write(record) {
+    this.lines.push(JSON.stringify(record));
+    if (this.lines.length > MAX_LINES) this.trim();
+  }
+
+  /**
+   * Drop the oldest quarter of the recording, cutting at a keyframe so the
+   * remainder still starts from a full snapshot.
+   */
+  trim() {
+    const cut = this.keyframeLines.find((i) => i > 1 && i >= this.lines.length / 4);
+    if (!cut) return;
+
+    this.lines = [this.lines[0], ...this.lines.slice(cut)];
+    this.keyframeLines = this.keyframeLines.filter((i) => i >= cut).map((i) => i - cut + 1);
+  }
+
+  /** @returns {string} */
+  toNDJSON() {
+    return this.lines.join('\n') + '\n';
+  }
+
+  /**
+   * Save the recording as a .ndjson file.
+   */
+  download() {
+    const blob = new Blob([this.toNDJSON()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `blazecraft-session-${stamp}.ndjson`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+/**
+ * Snapshot workers, stats, the region layout and progress, touched files,
+ * notes, the event log and scout lines.
+ * @param {GameState} state
+ * @param {number} [eventLimit] - Keep only this many of the newest events
+ * @returns {Keyframe}
+ */
+export function captureKeyframe(state, eventLimit = Infinity) {
+  return {
+    startedAt: state.startedAt,
+    workers: Array.from(state.workers.values(), (w) => ({ ...w, position: { ...w.position } })),
+    stats: { ...state.stats },
+    regions: REGIONS.map((r) => ({ ...r, bounds: { ...r.bounds } })),
+    files: Array.from(state.files, ([id, files]) => [id, Array.from(files.values(), (f) => ({ ...f }))]),
+    notes: Array.from(state.notes, ([id, note]) => [id, { ...note, tags: note.tags.slice() }]),
+    events: state.events.slice(0, eventLimit),
+    scout: state.scout.slice(),
+  };
+}
+
+/**
+ * Replace workers, stats, regions, files, notes, events and scout lines with
+ * a snapshot.
+ * Selection keeps only workers that still exist.
+ * @param {GameState} state
+ * @param {Keyframe} frame
+ */
+export function restoreKeyframe(state, frame) {
+  state.workers = new WorkerMap(frame.workers.map((w) => [w.id, { ...w, position: { ...w.position } }]));
+  state.stats = { ...frame.stats };
+  state.notes = new Map((frame.notes || []).map(([id, note]) => [id, { ...note, tags: note.tags.slice() }]));
+  state.files = new Map((frame.files || []).map(([id, files]) => [id, new Map(files.map((f) => [f.path, { ...f }]))]));
+  state.events = frame.events.map((e) => ({ ...e }));
+  state.history = historyFrom(state.events);
+  state.scout = frame.scout.slice();
+  state.startedAt = frame.startedAt;
+  state.lastCommandEvent = null;
+
+  const kept = Array.from(state.selected).filter((id) => state.workers.has(id));
+  if (kept.length !== state.selected.size) {
+    state.selected = new Set(kept);
+    state.selectionRevision += 1;
+  }
+
+  if (!sameLayout(frame.regions)) {
+    setRegions(frame.regions);
+    return;
+  }
+  frame.regions.forEach((saved, i) => Object.assign(REGIONS[i], saved, { bounds: { ...saved.bounds } }));
+}
+
+/**
+ * Per-worker history rebuilt from the shared log. Keyframes don't carry the
+ * full history; the session store and the replay stash keep it separately.
+ * @param {GameEvent[]} events - Newest first
+ * @returns {Map<string, GameEvent[]>}
+ */
+function historyFrom(events) {
+  const history = new Map();
+  for (let i = events.length - 1; i >= 0; i--) {
+    const evt = events[i];
+    if (!evt.workerId) continue;
+    if (!history.has(evt.workerId)) history.set(evt.workerId, []);
+    history.get(evt.workerId).push(evt);
+  }
+  return history;
+}
+
+/**
+ * @param {MapRegion[]} regions
+ */
+function sameLayout(regions) {
+  if (regions.length !== REGIONS.length) return false;
+  return regions.every((r, i) => {
+    const a = r.bounds;
+    const b = REGIONS[i].bounds;
+    return r.id === REGIONS[i].id && a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+  });
+}
+
+/** @param {number} v */
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/** @param {{x:number,y:number}} p */
+function positionKey(p) {
+  return `${round1(p.x)},${round1(p.y)}`;
+}
+
+/**
+ * The region a file_op's paths route to under the current rules, unless the
+ * action already names one.
+ * @param {StateRecord} entry
+ * @returns {{region?: string}}
+ */
+function routedRegion(entry) {
+  if (entry.kind !== 'action' || entry.action?.type !== 'file_op') return {};
+  const data = entry.action.data;
+  if (!data || data.region || !Array.isArray(data.paths) || !data.paths.length) return {};
+  return { region: routePaths(data.paths).id };
+}
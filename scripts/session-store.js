@@ -0,0 +1,237 @@
+import { captureKeyframe, restoreKeyframe } from './session-recorder.js';
+
+/**
+ * IndexedDB persistence for the console session: workers, events, stats,
+ * touched files, per-worker event history, selection, control groups, region
+ * upgrade levels, worker notes and guarded workers survive a reload.
+ *
+ * Snapshots carry `schemaVersion`. Older snapshots are upgraded through
+ * MIGRATIONS on load; snapshots from a newer console are ignored rather than
+ * misread.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./commands.js').CommandCenter} CommandCenter
+ * @typedef {{schemaVersion:number,savedAt:number,session:import('./session-recorder.js').Keyframe,selected:string[],groups?:[number,string[]][],guarded:string[],history?:[string,import('./game-state.js').GameEvent[]][],lastEventId?:number}} SessionSnapshot
+ */
+
+export const SNAPSHOT_SCHEMA_VERSION = 2;
+
+const DB_NAME = 'blazecraft';
+/** IndexedDB layout version (object stores), independent of the snapshot schema */
+const DB_VERSION = 1;
+const STORE_NAME = 'session';
+const SNAPSHOT_KEY = 'current';
+
+/** Changes are written at most this often */
+const SAVE_INTERVAL_MS = 1000;
+
+/** Newest events kept in a save; the live log can hold far more */
+const PERSISTED_EVENT_LIMIT = 500;
+
+/** Newest history entries kept per worker in a save */
+const PERSISTED_HISTORY_LIMIT = 200;
+
+/**
+ * Snapshot upgrades keyed by the schema version they upgrade from.
+ * @type {Record<number, (snapshot: any) => any>}
+ */
+const MIGRATIONS = {
+  // v1 kept notes beside the session as plain strings; v2 keeps them in the
+  // keyframe with tags and timestamps.
+  1(snapshot) {
+    const { notes = [], ...rest } = snapshot;
+    const at = Number(snapshot.savedAt) || Date.now();
+    return {
+      ...rest,
+      schemaVersion: 2,
+      session: {
+        ...snapshot.session,
+        notes: notes.map(([id, text]) => [id, { text, tags: [], createdAt: at, updatedAt: at }]),
+      },
+    };
+  },
+};
+
+export class SessionStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dbName]
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || DB_NAME;
+
+    /** @type {Promise<IDBDatabase>|null} */
+    this.db = null;
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    this.saveTimer = null;
+  }
+
+  /** @returns {Promise<IDBDatabase>} */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available.'));
+          return;
+        }
+        const req = indexedDB.open(this.dbName, DB_VERSION);
+        req.onupgradeneeded = () => {
+          if (!req.result.objectStoreNames.contains(STORE_NAME)) req.result.createObjectStore(STORE_NAME);
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * @returns {Promise<SessionSnapshot|null>}
+   */
+  async load() {
+    const db = await this.open();
+    const raw = await requestResult(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(SNAPSHOT_KEY));
+    return raw ? migrate(raw) : null;
+  }
+
+  /**
+   * @param {SessionSnapshot} snapshot
+   */
+  async save(snapshot) {
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put(snapshot, SNAPSHOT_KEY);
+    await transactionDone(tx);
+  }
+
+  async clear() {
+    this.cancel();
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).delete(SNAPSHOT_KEY);
+    await transactionDone(tx);
+  }
+
+  /**
+   * Save soon. Calls within SAVE_INTERVAL_MS share one write, so a steady
+   * stream of state changes saves about once a second.
+   * @param {() => SessionSnapshot} capture
+   */
+  schedule(capture) {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save(capture()).catch((err) => console.warn('[SessionStore] Save failed:', err));
+    }, SAVE_INTERVAL_MS);
+  }
+
+  /** Drop a scheduled save */
+  cancel() {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+  }
+}
+
+/**
+ * Only the newest events and history entries are kept, since a save runs
+ * about once a second while the session is live.
+ * @param {GameState} state
+ * @param {CommandCenter} commands
+ * @param {number} [lastEventId] - Last agent stream event applied, so a reload resumes after it
+ * @returns {SessionSnapshot}
+ */
+export function captureSession(state, commands, lastEventId = 0) {
+  return {
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    savedAt: Date.now(),
+    session: captureKeyframe(state, PERSISTED_EVENT_LIMIT),
+    selected: Array.from(state.selected),
+    groups: Array.from(state.controlGroups),
+    guarded: Array.from(commands.guardedWorkers),
+    history: Array.from(state.history, ([id, list]) => [id, list.slice(-PERSISTED_HISTORY_LIMIT)]),
+    lastEventId,
+  };
+}
+
+/**
+ * Put a saved session back. Terminated workers are dropped, and commands
+ * still pending at save time are rolled back since their timeouts are gone.
+ * @param {GameState} state
+ * @param {CommandCenter} commands
+ * @param {SessionSnapshot} snapshot
+ */
+export function restoreSession(state, commands, snapshot) {
+  restoreKeyframe(state, snapshot.session);
+  if (snapshot.history) state.history = new Map(snapshot.history);
+
+  for (const w of Array.from(state.workers.values())) {
+    if (w.status === 'terminated') {
+      state.workers.delete(w.id);
+      state.files.delete(w.id);
+      state.notes.delete(w.id);
+      state.history.delete(w.id);
+    } else if (w.pendingCommand) {
+      state.workers.set(w.id, { ...w, ...w.pendingCommand.previous, pendingCommand: null });
+    }
+  }
+
+  commands.guardedWorkers.clear();
+  for (const id of snapshot.guarded) {
+    if (state.workers.has(id)) commands.guardedWorkers.add(id);
+  }
+
+  state.controlGroups.clear();
+  for (const [group, ids] of snapshot.groups || []) {
+    const kept = ids.filter((id) => state.workers.has(id));
+    if (kept.length) state.controlGroups.set(group, kept);
+  }
+  state.controlGroupsRevision += 1;
+
+  state.setSelected(snapshot.selected.filter((id) => state.workers.has(id)));
+  state.notify();
+}
+
+/**
+ * @param {any} snapshot
+ * @returns {SessionSnapshot|null}
+ */
+function migrate(snapshot) {
+  let version = Number(snapshot.schemaVersion) || 0;
+  if (version > SNAPSHOT_SCHEMA_VERSION) {
+    console.warn(`[SessionStore] Ignoring snapshot schema v${version}; this console reads v${SNAPSHOT_SCHEMA_VERSION}.`);
+    return null;
+  }
+  while (version < SNAPSHOT_SCHEMA_VERSION) {
+    const upgrade = MIGRATIONS[version];
+    if (!upgrade) {
+      console.warn(`[SessionStore] No migration from snapshot schema v${version}; starting fresh.`);
+      return null;
+    }
+    snapshot = upgrade(snapshot);
+    version = snapshot.schemaVersion;
+  }
+  return snapshot;
+}
+
+/**
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,209 @@
+/**
+ * Uniform grid over world positions, so "what's near here" looks at a few
+ * cells instead of every worker. Used for click and hover hit testing, drag
+ * selection and separation steering.
+ *
+ * GameState keeps its workers in a WorkerMap, which files each worker into
+ * the grid as it's set and out as it's deleted. Reducers replace worker
+ * objects on every move, so the index never goes stale.
+ *
+ * @typedef {import('./game-state.js').Worker} Worker
+ */
+
+/** World units per cell; most queries (hover radius, separation) span one to four cells */
+export const CELL_SIZE = 64;
+
+// Cell coordinates packed into one number; keeps lookups off string keys
+const KEY_OFFSET = 32768;
+const KEY_STRIDE = 65536;
+
+/**
+ * @template T
+ */
+export class SpatialGrid {
+  /** @param {number} [cellSize] */
+  constructor(cellSize = CELL_SIZE) {
+    this.cellSize = cellSize;
+    /** @type {Map<number, Map<string, {x: number, y: number, item: T}>>} */
+    this.cells = new Map();
+    /** @type {Map<string, number>} Cell each id sits in */
+    this.cellOf = new Map();
+  }
+
+  get size() {
+    return this.cellOf.size;
+  }
+
+  /**
+   * Add or move an entry.
+   * @param {string} id
+   * @param {number} x
+   * @param {number} y
+   * @param {T} item
+   */
+  set(id, x, y, item) {
+    const key = this.keyAt(x, y);
+    const prev = this.cellOf.get(id);
+    if (prev !== undefined && prev !== key) this.delete(id);
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Map();
+      this.cells.set(key, cell);
+    }
+    cell.set(id, { x, y, item });
+    this.cellOf.set(id, key);
+  }
+
+  /** @param {string} id */
+  delete(id) {
+    const key = this.cellOf.get(id);
+    if (key === undefined) return false;
+    const cell = this.cells.get(key);
+    cell.delete(id);
+    if (!cell.size) this.cells.delete(key);
+    this.cellOf.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.cellOf.clear();
+  }
+
+  /**
+   * Entries within `radius` of a point.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @returns {T[]}
+   */
+  near(x, y, radius) {
+    const out = [];
+    const r2 = radius * radius;
+    this.scan(x - radius, y - radius, x + radius, y + radius, (e) => {
+      const dx = e.x - x;
+      const dy = e.y - y;
+      if (dx * dx + dy * dy < r2) out.push(e.item);
+    });
+    return out;
+  }
+
+  /**
+   * Entries inside a rectangle, edges included.
+   * @param {number} x0
+   * @param {number} y0
+   * @param {number} x1
+   * @param {number} y1
+   * @returns {T[]}
+   */
+  within(x0, y0, x1, y1) {
+    const out = [];
+    this.scan(x0, y0, x1, y1, (e) => {
+      if (e.x >= x0 && e.x <= x1 && e.y >= y0 && e.y <= y1) out.push(e.item);
+    });
+    return out;
+  }
+
+  /**
+   * Visit every entry in the cells a rectangle overlaps.
+   * @param {number} x0
+   * @param {number} y0
+   * @param {number} x1
+   * @param {number} y1
+   * @param {(entry: {x: number, y: number, item: T}) => void} fn
+   */
+  scan(x0, y0, x1, y1, fn) {
+    const size = this.cellSize;
+    const cx0 = Math.floor(x0 / size);
+    const cy0 = Math.floor(y0 / size);
+    const cx1 = Math.floor(x1 / size);
+    const cy1 = Math.floor(y1 / size);
+    // A huge box touches more cells than there are entries; walk the entries instead
+    if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) > this.cells.size) {
+      for (const cell of this.cells.values()) cell.forEach(fn);
+      return;
+    }
+    for (let cx = cx0; cx <= cx1; cx++) {
+      for (let cy = cy0; cy <= cy1; cy++) {
+        this.cells.get(packKey(cx, cy))?.forEach(fn);
+      }
+    }
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   */
+  keyAt(x, y) {
+    return packKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+  }
+}
+
+/**
+ * Map of workers by id that keeps a SpatialGrid of their positions in step.
+ * Works anywhere a Map<string, Worker> does.
+ * @extends {Map<string, Worker>}
+ */
+export class WorkerMap extends Map {
+  /** @param {Iterable<[string, Worker]>} [entries] */
+  constructor(entries) {
+    super();
+    /** @type {SpatialGrid<Worker>} */
+    this.grid = new SpatialGrid();
+    if (entries) for (const [id, w] of entries) this.set(id, w);
+  }
+
+  /**
+   * @param {string} id
+   * @param {Worker} worker
+   */
+  set(id, worker) {
+    super.set(id, worker);
+    if (worker.position) this.grid.set(id, worker.position.x, worker.position.y, worker);
+    else this.grid.delete(id);
+    return this;
+  }
+
+  /** @param {string} id */
+  delete(id) {
+    this.grid.delete(id);
+    return super.delete(id);
+  }
+
+  clear() {
+    this.grid.clear();
+    super.clear();
+  }
+
+  /**
+   * Workers within `radius` of a point.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @returns {Worker[]}
+   */
+  near(x, y, radius) {
+    return this.grid.near(x, y, radius);
+  }
+
+  /**
+   * Workers inside a rectangle, edges included.
+   * @param {number} x0
+   * @param {number} y0
+   * @param {number} x1
+   * @param {number} y1
+   * @returns {Worker[]}
+   */
+  within(x0, y0, x1, y1) {
+    return this.grid.within(x0, y0, x1, y1);
+  }
+}
+
+/**
+ * @param {number} cx
+ * @param {number} cy
+ */
+function packKey(cx, cy) {
+  return (cx + KEY_OFFSET) * KEY_STRIDE + (cy + KEY_OFFSET);
+}
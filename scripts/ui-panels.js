@@ -1,25 +1,6 @@
 import { formatDuration } from './game-state.js';
-
-const ICONS = {
-  spawn: '⚡',
-  task_start: '⛏',
-  task_complete: '✅',
-  error: '❗',
-  terminate: '✖',
-  command: '⌘',
-  status: '•',
-};
-
-// Worker avatar masks based on event type
-const AVATARS = {
-  spawn: { emoji: '🟢', class: 'log-avatar-spawn' },
-  task_start: { emoji: '🟡', class: 'log-avatar-working' },
-  task_complete: { emoji: '🟠', class: 'log-avatar-complete' },
-  error: { emoji: '🔴', class: 'log-avatar-error' },
-  terminate: { emoji: '⚪', class: 'log-avatar-default' },
-  command: { emoji: '🔵', class: 'log-avatar-working' },
-  status: { emoji: '🟤', class: 'log-avatar-default' },
-};
+import { noteIcon } from './notes.js';
+import { EventLog } from './event-log.js';
 
 const SELECTION_PANEL_PULSE_MS = 180;
 const COMMAND_FEEDBACK_MS = 1200;
@@ -67,6 +48,7 @@ export class UIPanels {
     this.$portraitAvatar = el('portraitAvatar');
     this.$portraitName = el('portraitName');
     this.$portraitTask = el('portraitTask');
+    this.$portraitNote = el('portraitNote');
     this.$portraitMeter = el('portraitMeter') || el('portraitHealth');
     this.$portraitProgress = el('portraitProgress');
     this.$portraitStatus = el('portraitStatus');
@@ -77,19 +59,18 @@ export class UIPanels {
     this.$selectionCount = el('selectionCount');
     this.$selectionLabel = el('selectionLabel');
     this.$selectionTypes = el('selectionTypes');
+    this.$selectionGroups = el('selectionGroups');
     this.$selectionAvgProgress = el('selectionAvgProgress');
     this.$selectionAvgTokens = el('selectionAvgTokens');
     this.$selectionFeedback = el('selectionFeedback');
     this.$selectionFeedbackIcon = el('selectionFeedbackIcon');
     this.$selectionFeedbackText = el('selectionFeedbackText');
 
-    this.$logFeed = el('logFeed');
-    this.$logStatus = el('logStatus');
+    this.log = new EventLog(state, renderer);
 
     this.$scoutReport = el('scoutReport');
 
     this._idleIndex = 0;
-    this._lastLogRenderKey = '';
     this._selectionRenderKey = '';
     this._lastSelectionRevision = -1;
     this._lastCommandEventTs = 0;
@@ -154,7 +135,19 @@ export class UIPanels {
       if (this.$portraitIcon) this.$portraitIcon.textContent = statusEmojis[w.status] || '🤖';
       if (this.$portraitName) this.$portraitName.textContent = w.name;
       if (this.$portraitTask) this.$portraitTask.textContent = w.currentTask || 'No current task';
-      if (this.$portraitStatus) this.$portraitStatus.textContent = w.status;
+      if (this.$portraitNote) {
+        const note = s.notes.get(w.id);
+        this.$portraitNote.hidden = !note;
+        this.$portraitNote.textContent = note
+          ? `${noteIcon(note)} ${[note.tags.join(', '), note.text.split('\n')[0]].filter(Boolean).join(' · ')}`
+          : '';
+        this.$portraitNote.title = note ? note.text : '';
+      }
+      if (this.$portraitStatus) {
+        this.$portraitStatus.textContent = w.pendingCommand
+          ? `${w.status} · ${w.pendingCommand.command} pending`
+          : w.status;
+      }
       if (this.$portraitElapsed) this.$portraitElapsed.textContent = formatDuration(Date.now() - w.spawnedAt);
       if (this.$portraitTokens) this.$portraitTokens.textContent = String(w.tokensUsed);
       const pct = (w.progress >= 0 && w.progress <= 100) ? w.progress : 0;
@@ -177,6 +170,7 @@ export class UIPanels {
       if (this.$portraitIcon) this.$portraitIcon.textContent = `${selected.length}`;
       if (this.$portraitName) this.$portraitName.textContent = `${selected.length} units selected`;
       if (this.$portraitTask) this.$portraitTask.textContent = 'Multiple tasks';
+      if (this.$portraitNote) this.$portraitNote.hidden = true;
       if (this.$portraitStatus) this.$portraitStatus.textContent = '-';
       if (this.$portraitElapsed) this.$portraitElapsed.textContent = '-';
       if (this.$portraitTokens) this.$portraitTokens.textContent = '-';
@@ -190,6 +184,7 @@ export class UIPanels {
       if (this.$portraitIcon) this.$portraitIcon.textContent = '❓';
       if (this.$portraitName) this.$portraitName.textContent = 'No selection';
       if (this.$portraitTask) this.$portraitTask.textContent = 'Select a worker on the map';
+      if (this.$portraitNote) this.$portraitNote.hidden = true;
       if (this.$portraitStatus) this.$portraitStatus.textContent = 'Select a worker';
       if (this.$portraitElapsed) this.$portraitElapsed.textContent = '-';
       if (this.$portraitTokens) this.$portraitTokens.textContent = '-';
@@ -210,71 +205,7 @@ export class UIPanels {
         .join('');
     }
 
-    // log
-    const key = `${s.events.length}:${s.selected.size}:${s.workers.size}:${s.stats.completed}:${s.stats.failed}`;
-    if (key !== this._lastLogRenderKey) {
-      this._lastLogRenderKey = key;
-      this.renderLog();
-    }
-  }
-
-  renderLog() {
-    const s = this.state;
-    const max = 80;
-    const items = s.events.slice(0, max);
-
-    this.$logStatus.textContent = s.workers.size ? 'Live' : 'Idle';
-
-    this.$logFeed.innerHTML = items.map(evt => {
-      const t = new Date(evt.timestamp);
-      const isValidDate = !isNaN(t.getTime());
-      const hh = isValidDate ? String(t.getHours()).padStart(2,'0') : '00';
-      const mm = isValidDate ? String(t.getMinutes()).padStart(2,'0') : '00';
-      const ss = isValidDate ? String(t.getSeconds()).padStart(2,'0') : '00';
-      const stamp = isValidDate ? `${hh}:${mm}:${ss}` : 'Now';
-      const cls = evt.type === 'error' ? 'err' : evt.type === 'task_complete' ? 'ok' : evt.type === 'spawn' ? 'spawn' : '';
-
-      // Get avatar info based on event type
-      const avatar = AVATARS[evt.type] || AVATARS.status;
-      const avatarClass = avatar.class;
-
-      // Worker avatar masks - colorful face icons like in reference
-      const avatarEmojis = {
-        spawn: '🟢',
-        task_start: '🟡',
-        task_complete: '🟠',
-        error: '🔴',
-        terminate: '⚪',
-        command: '🔵',
-        status: '🟤',
-      };
-      const avatarEmoji = avatarEmojis[evt.type] || '🟤';
-
-      // Format details text - remove "Error:" prefix for error type since CSS adds it
-      let detailsText = escapeHtml(evt.details);
-      if (evt.type === 'error') {
-        detailsText = detailsText.replace(/^Error:\s*/i, '');
-      }
-
-      return `<button class="log-item ${cls}" data-worker="${evt.workerId}">
-        <div class="log-avatar ${avatarClass}">${avatarEmoji}</div>
-        <span class="log-time">${stamp}</span>
-        <span class="log-text">${detailsText}</span>
-      </button>`;
-    }).join('');
-
-    // click handlers
-    this.$logFeed.querySelectorAll('button.log-item').forEach((b) => {
-      b.addEventListener('click', () => {
-        const wid = b.getAttribute('data-worker');
-        if (!wid) return;
-        const w = s.workers.get(wid);
-        if (!w) return;
-        s.setSelected([wid]);
-        this.renderer.camera.x = w.position.x;
-        this.renderer.camera.y = w.position.y;
-      });
-    });
+    this.log.render();
   }
 
   /**
@@ -287,7 +218,7 @@ export class UIPanels {
     const summary = summarizeSelection(selected);
     const commandTs = state.lastCommandEvent ? state.lastCommandEvent.timestamp : 0;
     const invalidTs = state.lastInvalidCommandAt || 0;
-    const key = `${state.selectionRevision}:${summary.signature}:${summary.avgProgress}:${summary.totalTokens}:${commandTs}:${invalidTs}`;
+    const key = `${state.selectionRevision}:${state.controlGroupsRevision}:${summary.signature}:${summary.avgProgress}:${summary.totalTokens}:${commandTs}:${invalidTs}`;
 
     if (state.selectionRevision !== this._lastSelectionRevision) {
       this._lastSelectionRevision = state.selectionRevision;
@@ -316,12 +247,14 @@ export class UIPanels {
           </div>`;
         }).join('');
       }
+      this.renderSelectionGroups(state);
     } else if (showInvalidOnly) {
       if (this.$selectionCount) this.$selectionCount.textContent = '0';
       if (this.$selectionLabel) this.$selectionLabel.textContent = 'No selection';
       if (this.$selectionAvgProgress) this.$selectionAvgProgress.textContent = '--';
       if (this.$selectionAvgTokens) this.$selectionAvgTokens.textContent = '--';
       if (this.$selectionTypes) this.$selectionTypes.innerHTML = '';
+      if (this.$selectionGroups) this.$selectionGroups.hidden = true;
     }
 
     if (commandTs && commandTs !== this._lastCommandEventTs) {
@@ -335,6 +268,28 @@ export class UIPanels {
     }
   }
 
+  /**
+   * Control groups holding any selected unit, as "group · selected/size"
+   * chips; a chip is highlighted when the selection is exactly that group.
+   * @param {import('./game-state.js').GameState} state
+   */
+  renderSelectionGroups(state) {
+    if (!this.$selectionGroups) return;
+    const chips = [];
+    for (let i = 1; i <= 10; i++) {
+      const group = i % 10;
+      const members = state.getControlGroup(group);
+      const picked = members.filter((id) => state.selected.has(id)).length;
+      if (!picked) continue;
+      const exact = picked === members.length && picked === state.selected.size;
+      chips.push(`<span class="wc3-selection-group${exact ? ' is-exact' : ''}" title="Group ${group}: press ${group} to recall">
+        <span class="wc3-selection-group-num">${group}</span>${exact ? '' : `<span class="wc3-selection-group-count">${picked}/${members.length}</span>`}
+      </span>`);
+    }
+    this.$selectionGroups.hidden = !chips.length;
+    this.$selectionGroups.innerHTML = chips.join('');
+  }
+
   pulseSelectionPanel() {
     if (!this.$selectionPanel) return;
     this.$selectionPanel.classList.remove('is-pulsing');
@@ -390,7 +345,7 @@ export class UIPanels {
   }
 }
 
-function escapeHtml(str) {
+export function escapeHtml(str) {
   return String(str)
     .replaceAll('&', '&amp;')
     .replaceAll('<', '&lt;')
@@ -1,14 +1,19 @@
 /**
  * WC3-style tooltip system initialization
- * Tooltips are already set up via inline script in index.html
- * This module provides programmatic control
+ * Hovering any [data-cmd] element shows its command's tooltip; content comes
+ * from the `describe` callback (the command registry) plus any update() overrides.
+ */
+
+/**
+ * @typedef {{ title?: string, desc?: string, hotkey?: string, cost?: string }} TooltipData
  */
 
 /**
  * Initialize the tooltip system and return control functions
- * @returns {{ show: (el: HTMLElement, data: object) => void, hide: () => void, update: (cmd: string, data: object) => void } | null}
+ * @param {{ describe?: (cmd: string) => TooltipData | null }} [options]
+ * @returns {{ show: (el: HTMLElement, data: TooltipData) => void, hide: () => void, update: (cmd: string, data: TooltipData) => void } | null}
  */
-export function initTooltipSystem() {
+export function initTooltipSystem(options = {}) {
   const tooltip = document.getElementById('wc3-tooltip');
   if (!tooltip) return null;
 
@@ -16,17 +21,33 @@ export function initTooltipSystem() {
   const descEl = tooltip.querySelector('.wc3-tooltip-desc');
   const costEl = tooltip.querySelector('.wc3-tooltip-cost');
 
-  return {
+  /** @type {Map<string, TooltipData>} */
+  const overrides = new Map();
+  /** @type {HTMLElement|null} Command element the tooltip is showing for */
+  let anchor = null;
+
+  /** @param {string} cmd */
+  const dataFor = (cmd) => {
+    const base = options.describe ? options.describe(cmd) : null;
+    const extra = overrides.get(cmd);
+    return base || extra ? { ...base, ...extra } : null;
+  };
+
+  const api = {
     /**
      * Show tooltip at element position
      * @param {HTMLElement} el
-     * @param {{ title?: string, desc?: string, hotkey?: string, cost?: string }} data
+     * @param {TooltipData} data
      */
     show: (el, data) => {
       if (titleEl && data.title) {
-        titleEl.innerHTML = data.hotkey
-          ? `${data.title} <span class="wc3-tooltip-hotkey">${data.hotkey}</span>`
-          : data.title;
+        titleEl.textContent = data.title;
+        if (data.hotkey) {
+          const key = document.createElement('span');
+          key.className = 'wc3-tooltip-hotkey';
+          key.textContent = data.hotkey;
+          titleEl.append(' ', key);
+        }
       }
       if (descEl) descEl.textContent = data.desc || '';
       if (costEl) costEl.textContent = data.cost || '';
@@ -39,17 +60,36 @@ export function initTooltipSystem() {
     },
 
     hide: () => {
+      anchor = null;
       tooltip.classList.remove('visible');
     },
 
     /**
-     * Update tooltip data for a command
+     * Override tooltip data for a command; a visible tooltip for it refreshes
      * @param {string} cmd
-     * @param {{ title?: string, desc?: string, hotkey?: string }} data
+     * @param {TooltipData} data
      */
     update: (cmd, data) => {
-      // Update would be used if we need to change tooltip content dynamically
-      // Currently tooltips are static in index.html
+      overrides.set(cmd, { ...overrides.get(cmd), ...data });
+      if (anchor && anchor.dataset.cmd === cmd) api.show(anchor, dataFor(cmd));
     },
   };
+
+  // Delegated so buttons built later (the command card) get tooltips too
+  document.addEventListener('mouseover', (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    const el = target.closest ? /** @type {HTMLElement|null} */ (target.closest('[data-cmd]')) : null;
+    if (!el || el === anchor) return;
+    const data = dataFor(el.dataset.cmd);
+    if (!data) return;
+    anchor = el;
+    api.show(el, data);
+  });
+  document.addEventListener('mouseout', (e) => {
+    if (!anchor) return;
+    const to = /** @type {Node|null} */ (e.relatedTarget);
+    if (!to || !anchor.contains(to)) api.hide();
+  });
+
+  return api;
 }
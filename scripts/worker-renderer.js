@@ -0,0 +1,281 @@
+import { REGIONS, clamp, regionAt, getLayoutRevision } from './map.js';
+import { measureView, connectEvents } from './renderer.js';
+import { serviceState } from '../src/service-map.js';
+
+/**
+ * Off-main-thread map rendering. The map and minimap canvases are handed to
+ * render-worker.js, which draws them with the same Renderer; this class stays
+ * on the page with Renderer's interface, so input mapping, hit testing and
+ * the camera keep working against the real canvases while every frame's
+ * worker and region snapshot is posted across.
+ *
+ * Opt in with `?renderer=worker`, or `blazecraft_renderer` = "worker" in
+ * localStorage. Browsers without OffscreenCanvas keep the main-thread
+ * Renderer.
+ *
+ * @typedef {import('./game-state.js').GameState} GameState
+ * @typedef {import('./renderer.js').ViewSize} ViewSize
+ */
+
+const MODE_KEY = 'blazecraft_renderer';
+
+/** @returns {boolean} Whether the page asked for the worker renderer */
+export function wantsWorkerRenderer() {
+  const param = new URLSearchParams(location.search).get('renderer');
+  if (param) return param === 'worker';
+  try {
+    return localStorage.getItem(MODE_KEY) === 'worker';
+  } catch {
+    return false;
+  }
+}
+
+/** @returns {boolean} Whether this browser can draw a canvas from a worker */
+export function canRenderInWorker() {
+  return typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && 'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+}
+
+export class WorkerRenderer {
+  /**
+   * Takes control of both canvases; they can't be drawn on from the page afterwards.
+   * @param {HTMLCanvasElement} mapCanvas
+   * @param {HTMLCanvasElement} minimapCanvas
+   */
+  constructor(mapCanvas, minimapCanvas) {
+    this.mapCanvas = mapCanvas;
+    this.minimapCanvas = minimapCanvas;
+
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.selection = { active: false, x0: 0, y0: 0, x1: 0, y1: 0 };
+    /** @type {string|null} */
+    this.hoveredWorkerId = null;
+    /** @type {string|null} */
+    this.hoveredRegionId = null;
+    /** @type {Map<string, number>} */
+    this.regionActivity = new Map();
+    /** @type {((workerId: string) => import('./commands.js').Waypoint[]|null)|null} */
+    this.waypoints = null;
+    this.showTerrain = true;
+    this.showUnits = true;
+    this.world = { w: 1280, h: 720 };
+
+    // Worker changes not yet posted; everything is sent until connect() says otherwise
+    /** @type {Set<string>} */
+    this.changed = new Set();
+    /** @type {Set<string>} */
+    this.removed = new Set();
+    this.resetPending = true;
+    /** A frame is still being drawn; skip posting until it's done */
+    this.busy = false;
+
+    /** @type {(() => void)|null} */
+    this.onReady = null;
+    this.ready = new Promise((resolve) => { this.onReady = resolve; });
+
+    this.worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => {
+      if (e.data.type === 'drawn') this.busy = false;
+      else if (e.data.type === 'ready') this.onReady?.();
+    };
+    this.worker.onerror = (e) => {
+      console.error('[WorkerRenderer] Render worker failed:', e.message);
+      // Don't leave startup waiting on textures that will never arrive
+      this.onReady?.();
+    };
+
+    /** @type {ViewSize} */
+    this.view = measureView(mapCanvas, minimapCanvas);
+    const map = mapCanvas.transferControlToOffscreen();
+    const minimap = minimapCanvas.transferControlToOffscreen();
+    this.worker.postMessage({ type: 'init', map, minimap, view: this.view, dpr: pixelRatio() }, [map, minimap]);
+
+    window.addEventListener('resize', () => this.resize());
+  }
+
+  /** Resolves once the worker has its textures */
+  loadTextures() {
+    return this.ready;
+  }
+
+  resize() {
+    this.view = measureView(this.mapCanvas, this.minimapCanvas);
+    this.worker.postMessage({ type: 'resize', view: this.view, dpr: pixelRatio() });
+  }
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  screenToWorld(clientX, clientY) {
+    const rect = this.mapCanvas.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left - rect.width / 2) / this.camera.zoom + this.camera.x,
+      y: (clientY - rect.top - rect.height / 2) / this.camera.zoom + this.camera.y,
+    };
+  }
+
+  worldToScreen(wx, wy) {
+    const rect = this.mapCanvas.getBoundingClientRect();
+    return {
+      x: (wx - this.camera.x) * this.camera.zoom + rect.width / 2,
+      y: (wy - this.camera.y) * this.camera.zoom + rect.height / 2,
+    };
+  }
+
+  /**
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  minimapToWorld(clientX, clientY) {
+    const rect = this.minimapCanvas.getBoundingClientRect();
+    return {
+      x: clamp((clientX - rect.left) / rect.width, 0, 1) * this.world.w,
+      y: clamp((clientY - rect.top) / rect.height, 0, 1) * this.world.h,
+    };
+  }
+
+  regionAt(wx, wy) {
+    return regionAt(wx, wy);
+  }
+
+  setSelection(active, x0, y0, x1, y1) {
+    Object.assign(this.selection, { active, x0, y0, x1, y1 });
+  }
+
+  /** @param {string|null} workerId */
+  setHoveredWorker(workerId) {
+    this.hoveredWorkerId = workerId;
+  }
+
+  /** @param {string|null} regionId */
+  setHoveredRegion(regionId) {
+    this.hoveredRegionId = regionId;
+  }
+
+  /**
+   * Track which workers to send, plus the same pings, effects and selection
+   * pulses Renderer.connect() sets up.
+   * @param {GameState} state
+   * @returns {() => void} Disconnect
+   */
+  connect(state) {
+    const offs = [
+      connectEvents(this, state),
+      state.subscribe((s, changes) => {
+        if (changes.reset) this.resetPending = true;
+        for (const id of changes.workers) this.changed.add(id);
+        for (const id of changes.removed) {
+          this.changed.delete(id);
+          this.removed.add(id);
+        }
+      }),
+    ];
+    return () => offs.forEach((off) => off());
+  }
+
+  addPing(x, y, kind) {
+    this.worker.postMessage({ type: 'ping', x, y, kind });
+  }
+
+  /**
+   * @param {import('./renderer.js').EffectKind} kind
+   * @param {number} x
+   * @param {number} y
+   */
+  addEffect(kind, x, y) {
+    this.worker.postMessage({ type: 'effect', kind, x, y });
+  }
+
+  /** @param {import('./particles.js').EffectsQuality} quality */
+  setEffectsQuality(quality) {
+    this.worker.postMessage({ type: 'quality', quality });
+  }
+
+  /** @param {string[]} ids */
+  applySelectionPulse(ids) {
+    this.worker.postMessage({ type: 'pulse', ids });
+  }
+
+  /**
+   * Post this frame's snapshot. Frames are dropped while the worker is still
+   * drawing the last one; worker changes keep piling up until one goes out.
+   * @param {GameState} state
+   */
+  render(state) {
+    this.postFrame(state, false);
+  }
+
+  /**
+   * Like render(), but the worker only redraws the minimap; for the 3D view,
+   * which draws the map itself.
+   * @param {GameState} state
+   */
+  drawMinimap(state) {
+    this.postFrame(state, true);
+  }
+
+  /**
+   * @param {GameState} state
+   * @param {boolean} minimapOnly
+   */
+  postFrame(state, minimapOnly) {
+    // Fog bookkeeping stays here so callers can still clear regionActivity
+    for (const w of state.workers.values()) {
+      const last = this.regionActivity.get(w.targetRegion) || 0;
+      this.regionActivity.set(w.targetRegion, Math.max(last, w.updatedAt));
+    }
+    if (this.busy) return;
+
+    const workers = this.resetPending
+      ? Array.from(state.workers.values())
+      : Array.from(this.changed, (id) => state.workers.get(id)).filter(Boolean);
+
+    /** @type {[string, number[]][]} */
+    const groups = [];
+    const grouped = new Set([...state.controlGroups.values()].flat());
+    for (const id of grouped) groups.push([id, state.getWorkerGroups(id)]);
+
+    const waypoints = [];
+    if (this.waypoints) {
+      for (const w of state.workers.values()) {
+        const points = this.waypoints(w.id);
+        if (points) waypoints.push([w.id, points]);
+      }
+    }
+
+    /** @type {import('./render-worker.js').FrameMessage} */
+    const frame = {
+      type: 'frame',
+      minimapOnly,
+      camera: { ...this.camera },
+      selection: { ...this.selection },
+      hoveredWorkerId: this.hoveredWorkerId,
+      hoveredRegionId: this.hoveredRegionId,
+      showTerrain: this.showTerrain,
+      showUnits: this.showUnits,
+      layout: getLayoutRevision(),
+      regions: REGIONS,
+      regionActivity: Array.from(this.regionActivity),
+      services: Array.from(serviceState.services),
+      reset: this.resetPending,
+      workers,
+      removed: Array.from(this.removed),
+      selected: Array.from(state.selected),
+      notes: Array.from(state.notes),
+      groups,
+      waypoints,
+    };
+    this.worker.postMessage(frame);
+
+    this.busy = true;
+    this.resetPending = false;
+    this.changed.clear();
+    this.removed.clear();
+  }
+}
+
+function pixelRatio() {
+  return Math.max(1, window.devicePixelRatio || 1);
+}
@@ -0,0 +1,315 @@
+/**
+ * Live Agent Bridge Client
+ *
+ * Subscribes to the bsi-agent-bridge Worker's SSE stream and turns real
+ * agent lifecycle events (spawn, task_start, task_complete, error, terminate)
+ * into workers on the map. File edits (file_op) walk the worker to the region
+ * the path rules pick for them. Exposes the same connect/disconnect/manualAssign
+ * surface as MockBridge so the console can swap between them.
+ */
+
+import { REGIONS, randomPointIn } from '../scripts/map.js';
+import { createSteeringBehaviors, getNearbyPositions } from '../scripts/ai/steering.js';
+
+/**
+ * @typedef {import('../scripts/game-state.js').GameState} GameState
+ * @typedef {import('../scripts/map.js').MapRegion} MapRegion
+ * @typedef {'spawn'|'task_start'|'task_complete'|'error'|'terminate'|'file_op'|'command_ack'|'command_nack'} AgentEventType
+ * @typedef {{type: AgentEventType, agentId: string, timestamp: string, data?: {name?: string, task?: string, tokens?: number, region?: string, message?: string, commandId?: string, paths?: string[], tool?: string}}} AgentEvent
+ */
+
+/** Delay before a terminated agent is removed from the map */
+const REMOVE_DELAY_MS = 900;
+
+const CONSOLE_TOKEN_KEY = 'blazecraft_console_token';
+
+/**
+ * Console token for a bridge that has BSI_CONSOLE_TOKEN set. Opening the
+ * console once with `?token=` stores it; the parameter is then dropped from
+ * the address bar.
+ * @returns {string|null}
+ */
+export function loadConsoleToken() {
+  const url = new URL(location.href);
+  const param = url.searchParams.get('token');
+  try {
+    if (param) {
+      localStorage.setItem(CONSOLE_TOKEN_KEY, param);
+      url.searchParams.delete('token');
+      history.replaceState(history.state, '', url);
+      return param;
+    }
+    return localStorage.getItem(CONSOLE_TOKEN_KEY);
+  } catch {
+    return param;
+  }
+}
+
+/**
+ * Live bridge for real agent sessions.
+ */
+export class LiveAgentBridge {
+  /**
+   * @param {GameState} state
+   * @param {object} options
+   * @param {string} [options.endpoint] - SSE stream endpoint
+   * @param {string} [options.commandsEndpoint] - Where console commands are POSTed
+   * @param {string|null} [options.consoleToken] - Sent with the stream and commands when the bridge requires one
+   * @param {(connected: boolean) => void} [options.onConnection] - Connection status callback
+   */
+  constructor(state, options = {}) {
+    this.state = state;
+    this.endpoint = options.endpoint || '/api/agents/stream';
+    this.commandsEndpoint = options.commandsEndpoint || '/api/agents/commands';
+    this.consoleToken = options.consoleToken || null;
+    this.onConnection = options.onConnection || (() => {});
+
+    /** manualAssign only moves the unit; agents are reached through sendCommand */
+    this.assignsAgents = false;
+
+    /** @type {EventSource|null} */
+    this.eventSource = null;
+
+    this.running = false;
+    this.connected = false;
+    this.timers = [];
+    this.reconnectAttempts = 0;
+    this.maxReconnectDelay = 30000;
+    this.reconnectDelay = 3000;
+
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    this.reconnectTimer = null;
+
+    /**
+     * Pending removals of terminated workers, cancelled on disconnect
+     * @type {Set<ReturnType<typeof setTimeout>>}
+     */
+    this.removeTimers = new Set();
+
+    /** Stream id of the last event applied; reconnects resume after it */
+    this.lastEventId = 0;
+    /** Skip the hub's buffer on the next connect (fresh session) */
+    this.fromHead = false;
+
+    /** @type {Map<string, {region:string,goal:{x:number,y:number},speed:number}>} */
+    this.motion = new Map();
+
+    this.steering = createSteeringBehaviors({
+      maxSpeed: 3.0,
+      maxForce: 0.3,
+      arriveRadius: 40,
+      separationRadius: 25,
+    });
+  }
+
+  async connect() {
+    if (this.running) return;
+    this.running = true;
+
+    this.connectSSE();
+    this.timers.push(setInterval(() => this.step(), 50));
+    this.timers.push(setInterval(() => this.state.tickStats(), 1000));
+  }
+
+  disconnect() {
+    this.running = false;
+    this.connected = false;
+
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    for (const t of this.timers) clearInterval(t);
+    this.timers = [];
+    for (const t of this.removeTimers) clearTimeout(t);
+    this.removeTimers.clear();
+    this.motion.clear();
+  }
+
+  connectSSE() {
+    if (this.eventSource) {
+      this.eventSource.close();
+    }
+
+    this.eventSource = new EventSource(this.streamUrl());
+
+    this.eventSource.onopen = () => {
+      this.connected = true;
+      this.reconnectAttempts = 0;
+      this.onConnection(true);
+    };
+
+    this.eventSource.onerror = () => {
+      if (!this.running) return;
+      this.connected = false;
+      this.onConnection(false);
+
+      // EventSource retries on its own unless the server closed for good
+      if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+        this.reconnectAttempts++;
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * this.reconnectAttempts);
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          if (this.running) this.connectSSE();
+        }, delay);
+      }
+    };
+
+    this.eventSource.addEventListener('head', (e) => {
+      try {
+        const { id } = JSON.parse(/** @type {MessageEvent} */ (e).data);
+        this.lastEventId = Math.max(this.lastEventId, Number(id) || 0);
+        this.fromHead = false;
+      } catch (err) {
+        console.error('[LiveAgentBridge] Failed to parse stream head:', err);
+      }
+    });
+
+    this.eventSource.onmessage = (e) => {
+      // The hub replays its buffer after the id we send; anything at or
+      // below it has already been applied
+      const id = Number(e.lastEventId) || 0;
+      if (id && id <= this.lastEventId) return;
+      if (id) this.lastEventId = id;
+
+      try {
+        this.handleAgentEvent(JSON.parse(e.data));
+      } catch (err) {
+        console.error('[LiveAgentBridge] Failed to parse event:', err);
+      }
+    };
+  }
+
+  /**
+   * Resume after a given stream id, e.g. the one saved with a restored session.
+   * @param {number} id
+   */
+  resumeFrom(id) {
+    this.lastEventId = id;
+    this.fromHead = false;
+  }
+
+  /**
+   * Ignore everything the hub has buffered so far and take only events that
+   * arrive from now on, as a fresh session should.
+   */
+  resumeFromHead() {
+    this.lastEventId = 0;
+    this.fromHead = true;
+  }
+
+  /**
+   * EventSource can't set headers and a new one sends no Last-Event-ID, so
+   * the console token and the resume point go in the query string.
+   * @returns {string}
+   */
+  streamUrl() {
+    const params = new URLSearchParams();
+    if (this.consoleToken) params.set('token', this.consoleToken);
+    if (this.fromHead) params.set('lastEventId', 'head');
+    else if (this.lastEventId) params.set('lastEventId', String(this.lastEventId));
+    const query = params.toString();
+    if (!query) return this.endpoint;
+    return `${this.endpoint}${this.endpoint.includes('?') ? '&' : '?'}${query}`;
+  }
+
+  /**
+   * Hand an AgentEvent to GameState.dispatch, which routes file paths to
+   * regions. Malformed events are rejected by dispatch and show up in the log.
+   * @param {AgentEvent} evt
+   */
+  handleAgentEvent(evt) {
+    const result = this.state.dispatch(evt);
+
+    if (result.ok && evt.type === 'terminate') {
+      const timer = setTimeout(() => {
+        this.removeTimers.delete(timer);
+        if (this.state.workers.has(evt.agentId)) this.state.dispatch({ type: 'remove', agentId: evt.agentId });
+      }, REMOVE_DELAY_MS);
+      this.removeTimers.add(timer);
+    }
+  }
+
+  /**
+   * Queue a command for the agent. The agent picks it up from the bridge and
+   * answers with a command_ack / command_nack event on the stream.
+   * @param {import('../scripts/commands.js').CommandRequest} request
+   */
+  async sendCommand(request) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.consoleToken) headers['X-BSI-Console-Token'] = this.consoleToken;
+
+    try {
+      const res = await fetch(this.commandsEndpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(request),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    } catch (err) {
+      console.warn('[LiveAgentBridge] Command delivery failed:', err);
+      const pending = this.state.workers.get(request.agentId)?.pendingCommand;
+      if (pending && pending.id === request.id) {
+        this.state.dispatch({
+          type: 'command_nack',
+          agentId: request.agentId,
+          data: { commandId: request.id, message: 'agent bridge unreachable.' },
+        });
+      }
+    }
+  }
+
+  /**
+   * Manual assignment from the command card. Moves the unit on the map;
+   * the agent itself is not told about it.
+   * @param {string[]} workerIds
+   * @param {MapRegion} region
+   * @param {string} [message] - Logged instead of "Assigned to …"
+   */
+  manualAssign(workerIds, region, message) {
+    for (const wid of workerIds) {
+      if (!this.state.workers.has(wid)) continue;
+
+      this.motion.set(wid, { region: region.id, goal: randomPointIn(region), speed: 1.7 + Math.random() * 1.8 });
+      this.state.dispatch({ type: 'assign', agentId: wid, source: 'command', data: { region: region.id, message } });
+    }
+  }
+
+  /**
+   * Walk moving workers toward their goals.
+   */
+  step() {
+    if (!this.running) return;
+
+    for (const w of Array.from(this.state.workers.values())) {
+      if (w.status !== 'moving') continue;
+
+      // A new file_op can retarget a worker mid-walk
+      let m = this.motion.get(w.id);
+      if (!m || m.region !== w.targetRegion) {
+        const region = REGIONS.find((r) => r.id === w.targetRegion) || REGIONS[0];
+        m = { region: w.targetRegion, goal: randomPointIn(region), speed: m ? m.speed : 1.6 + Math.random() * 1.6 };
+        this.motion.set(w.id, m);
+      }
+
+      const neighbors = getNearbyPositions(w, this.state.workers, this.steering.separationRadius);
+      const combined = this.steering.combine([
+        { behavior: this.steering.arrive(w.position, m.goal, m.speed), weight: 0.9 },
+        { behavior: this.steering.separation(w.position, neighbors), weight: 0.3 },
+      ]);
+
+      let position = { x: w.position.x + combined.x, y: w.position.y + combined.y };
+      if (Math.hypot(m.goal.x - position.x, m.goal.y - position.y) < 10) {
+        position = { x: m.goal.x, y: m.goal.y };
+        this.motion.delete(w.id);
+        this.state.dispatch({ type: 'arrive', agentId: w.id, data: { position } });
+      } else {
+        this.state.dispatch({ type: 'move', agentId: w.id, data: { position } });
+      }
+    }
+  }
+}
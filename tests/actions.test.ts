@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import { GameState } from '../scripts/game-state.js';
+import { validateAction } from '../scripts/actions.js';
+import { REGIONS, resetRegions } from '../scripts/map.js';
+
+// Rejected actions are logged as warnings; the assertions say everything needed
+console.warn = () => {};
+
+function rejection(state: GameState, action: unknown): string | undefined {
+  const result = state.dispatch(action as never);
+  return result.ok ? undefined : result.error.code;
+}
+
+// Shape checks
+{
+  const state = new GameState();
+  assert.equal(rejection(state, null), 'invalid_action');
+  assert.equal(rejection(state, { type: 'teleport', agentId: 'a' }), 'unknown_type');
+  assert.equal(rejection(state, { type: 'spawn' }), 'invalid_agent');
+  assert.equal(rejection(state, { type: 'spawn', agentId: 'a', timestamp: 'yesterday' }), 'invalid_field');
+  assert.equal(rejection(state, { type: 'spawn', agentId: 'a', data: [] }), 'invalid_field');
+  assert.equal(rejection(state, { type: 'spawn', agentId: 'a', data: { tokens: -1 } }), 'invalid_field');
+  assert.equal(rejection(state, { type: 'file_op', agentId: 'a', data: {} }), 'invalid_field');
+  assert.equal(rejection(state, { type: 'move', agentId: 'a', data: { position: { x: 1, y: 1 } } }), 'unknown_agent');
+
+  // Nothing rejected touches workers or stats, but each shows up in the log
+  assert.equal(state.workers.size, 0);
+  assert.deepEqual(state.stats, { completed: 0, files: 0, failed: 0, tokens: 0 });
+  assert.equal(state.events.length, 8);
+  assert.ok(state.events.every((e) => e.type === 'error' && e.error));
+}
+
+// Regions are checked the same way for every action that names one
+{
+  const state = new GameState();
+  assert.equal(rejection(state, { type: 'spawn', agentId: 'a', data: { region: 'atlantis' } }), 'unknown_region');
+  assert.equal(state.workers.size, 0);
+
+  assert.equal(rejection(state, { type: 'spawn', agentId: 'a', data: { region: 'tests' } }), undefined);
+  assert.equal(state.workers.get('a')?.targetRegion, 'tests');
+  assert.equal(rejection(state, { type: 'task_start', agentId: 'a', data: { task: 'x', region: 'atlantis' } }), 'unknown_region');
+  assert.equal(rejection(state, { type: 'assign', agentId: 'a', data: { region: 'atlantis' } }), 'unknown_region');
+  assert.equal(state.workers.get('a')?.targetRegion, 'tests');
+
+  // A building type resolves to the first region of that type
+  assert.equal(rejection(state, { type: 'task_start', agentId: 'a', data: { task: 'x', region: 'goldmine' } }), undefined);
+  assert.equal(state.workers.get('a')?.targetRegion, 'src_core');
+}
+
+// Lifecycle: implicit spawn, tasks, errors, terminate, remove
+{
+  resetRegions();
+  const state = new GameState();
+  assert.ok(state.dispatch({ type: 'task_start', agentId: 'a', data: { task: 'Write tests', tokens: 100 } }).ok);
+  const spawned = state.workers.get('a');
+  assert.equal(spawned?.status, 'working');
+  assert.equal(spawned?.currentTask, 'Write tests');
+  assert.equal(spawned?.tokensUsed, 100);
+
+  // Token counts are cumulative and never go down
+  state.dispatch({ type: 'progress', agentId: 'a', data: { progress: 40, tokens: 50 } });
+  assert.equal(state.workers.get('a')?.tokensUsed, 100);
+  assert.equal(state.workers.get('a')?.progress, 40);
+
+  state.dispatch({ type: 'task_complete', agentId: 'a', data: { files: 2 } });
+  assert.equal(state.workers.get('a')?.status, 'complete');
+  assert.equal(state.stats.completed, 1);
+  assert.equal(state.stats.files, 2);
+  assert.equal(REGIONS.find((r) => r.id === 'townhall')?.tasksCompleted, 1);
+
+  state.dispatch({ type: 'error', agentId: 'a', data: { message: 'npm install failed' } });
+  assert.equal(state.workers.get('a')?.status, 'blocked');
+  assert.equal(state.workers.get('a')?.errorMessage, 'npm install failed');
+  assert.equal(state.stats.failed, 1);
+
+  state.dispatch({ type: 'file_op', agentId: 'a', data: { paths: ['docs/guide.md'], tool: 'Edit', added: 3, removed: 1 } });
+  assert.equal(state.workers.get('a')?.targetRegion, 'docs');
+  assert.equal(state.workers.get('a')?.status, 'moving');
+  const touch = state.getWorkerFiles('a').find((f: { path: string }) => f.path === 'docs/guide.md');
+  assert.deepEqual([touch?.op, touch?.added, touch?.removed, touch?.region], ['edit', 3, 1, 'docs']);
+  assert.equal(state.stats.files, 3);
+
+  state.dispatch({ type: 'terminate', agentId: 'a' });
+  assert.equal(state.workers.get('a')?.status, 'terminated');
+
+  state.dispatch({ type: 'remove', agentId: 'a' });
+  assert.equal(state.workers.has('a'), false);
+  assert.equal(state.files.has('a'), false);
+  assert.equal(state.history.has('a'), false);
+  resetRegions();
+}
+
+// Removing a selected worker drops it from the selection and refreshes it
+{
+  const state = new GameState();
+  state.dispatch({ type: 'spawn', agentId: 'a' });
+  state.dispatch({ type: 'spawn', agentId: 'b' });
+  state.setSelected(['a', 'b']);
+  const revision = state.selectionRevision;
+
+  state.dispatch({ type: 'remove', agentId: 'a' });
+  assert.deepEqual(Array.from(state.selected), ['b']);
+  assert.equal(state.selectionRevision, revision + 1);
+
+  // An unselected removal leaves the selection revision alone
+  state.dispatch({ type: 'spawn', agentId: 'c' });
+  state.dispatch({ type: 'remove', agentId: 'c' });
+  assert.equal(state.selectionRevision, revision + 1);
+}
+
+// Commands: optimistic status, ack, nack rollback, one pending at a time
+{
+  const state = new GameState();
+  state.dispatch({ type: 'task_start', agentId: 'a', data: { task: 'Build', progress: 30 } });
+
+  assert.ok(state.dispatch({ type: 'command_issue', agentId: 'a', data: { commandId: 'c1', command: 'stop' } }).ok);
+  assert.equal(state.workers.get('a')?.status, 'idle');
+  assert.equal(state.workers.get('a')?.progress, 0);
+  assert.equal(rejection(state, { type: 'command_issue', agentId: 'a', data: { commandId: 'c2', command: 'hold' } }), 'command_pending');
+  assert.equal(rejection(state, { type: 'command_ack', agentId: 'a', data: { commandId: 'c9' } }), 'unknown_command');
+
+  state.dispatch({ type: 'command_nack', agentId: 'a', data: { commandId: 'c1', message: 'mid-write' } });
+  const rolledBack = state.workers.get('a');
+  assert.deepEqual([rolledBack?.status, rolledBack?.progress, rolledBack?.pendingCommand], ['working', 30, null]);
+  assert.equal(state.events[0].outcome, 'nack');
+  assert.equal(state.events[0].details, 'Stop rejected: mid-write');
+
+  state.dispatch({ type: 'command_issue', agentId: 'a', data: { commandId: 'c3', command: 'hold' } });
+  state.dispatch({ type: 'command_ack', agentId: 'a', data: { commandId: 'c3' } });
+  assert.equal(state.workers.get('a')?.status, 'hold');
+  assert.equal(state.workers.get('a')?.pendingCommand, null);
+  assert.equal(state.events[0].outcome, 'ack');
+}
+
+// clear_events needs no worker and empties the log
+{
+  const state = new GameState();
+  state.dispatch({ type: 'task_start', agentId: 'a', data: { task: 'Build' } });
+  assert.ok(state.events.length > 0);
+  assert.ok(state.dispatch({ type: 'clear_events' }).ok);
+  assert.equal(state.events.length, 0);
+  assert.equal(state.workers.has('a'), true);
+}
+
+// validateAction never mutates
+{
+  const state = new GameState();
+  assert.deepEqual(validateAction(state, { type: 'spawn', agentId: 'a' }), { ok: true });
+  assert.equal(state.workers.size, 0);
+  assert.equal(state.events.length, 0);
+}
+
+console.log('actions tests passed');
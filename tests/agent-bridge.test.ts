@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import worker, { AgentHub } from '../workers/bsi-agent-bridge/index';
+import type { AgentCommand, DurableObjectNamespace, DurableObjectState, Env } from '../workers/bsi-agent-bridge/types';
+
+/** One hub behind a stand-in Durable Object namespace */
+function createEnv(secrets: Partial<Env> = {}): Env {
+  let hub: AgentHub | null = null;
+  const namespace = {
+    idFromName: (name: string) => name,
+    get: () => ({
+      fetch: (input: string, init?: RequestInit) => {
+        hub ??= new AgentHub({} as DurableObjectState, env);
+        return hub.fetch(new Request(input, init));
+      },
+    }),
+  };
+  const env = { AGENT_HUB: namespace as unknown as DurableObjectNamespace, ENVIRONMENT: 'development', ...secrets } as Env;
+  return env;
+}
+
+function postCommand(env: Env, headers: Record<string, string> = {}, id = 'cmd-1'): Promise<Response> {
+  return worker.fetch(new Request('https://blazecraft.app/api/agents/commands', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify({ id, agentId: 'agent-1', command: 'stop' }),
+  }), env);
+}
+
+function collectCommands(env: Env, headers: Record<string, string> = {}): Promise<Response> {
+  return worker.fetch(new Request('https://blazecraft.app/api/agents/commands?agentId=agent-1', { headers }), env);
+}
+
+// No secrets: consoles and agents are both let through
+{
+  const env = createEnv();
+  assert.equal((await postCommand(env)).status, 202);
+  const queued = await (await collectCommands(env)).json() as AgentCommand[];
+  assert.deepEqual(queued.map((c) => [c.id, c.command]), [['cmd-1', 'stop']]);
+}
+
+// An agent that never polls keeps only its newest commands
+{
+  const env = createEnv();
+  for (let i = 1; i <= 25; i++) await postCommand(env, {}, `cmd-${i}`);
+  const queued = await (await collectCommands(env)).json() as AgentCommand[];
+  assert.equal(queued.length, 20);
+  assert.deepEqual([queued[0].id, queued[19].id], ['cmd-6', 'cmd-25']);
+}
+
+// Console token set: a console holding it queues the command
+{
+  const env = createEnv({ BSI_API_KEY: 'ingest', BSI_CONSOLE_TOKEN: 'console' });
+  const res = await postCommand(env, { 'X-BSI-Console-Token': 'console' });
+  assert.equal(res.status, 202);
+  assert.deepEqual(await res.json(), { queued: 'cmd-1' });
+
+  const queued = await (await collectCommands(env, { 'X-BSI-Key': 'ingest' })).json() as AgentCommand[];
+  assert.deepEqual(queued.map((c) => c.id), ['cmd-1']);
+}
+
+// Console token set: no token, a wrong one, or the ingest key is refused
+{
+  const env = createEnv({ BSI_API_KEY: 'ingest', BSI_CONSOLE_TOKEN: 'console' });
+  assert.equal((await postCommand(env)).status, 401);
+  assert.equal((await postCommand(env, { 'X-BSI-Console-Token': 'guess' })).status, 401);
+  assert.equal((await postCommand(env, { 'X-BSI-Key': 'ingest' })).status, 401);
+
+  // Agents collect with the ingest key, not the console token
+  assert.equal((await collectCommands(env, { 'X-BSI-Console-Token': 'console' })).status, 401);
+  assert.deepEqual(await (await collectCommands(env, { 'X-BSI-Key': 'ingest' })).json(), []);
+}
+
+// Console token set: the stream needs it too, as ?token= since EventSource can't send headers
+{
+  const env = createEnv({ BSI_API_KEY: 'ingest', BSI_CONSOLE_TOKEN: 'console' });
+  const open = (query: string) => worker.fetch(new Request(`https://blazecraft.app/api/agents/stream${query}`), env);
+  assert.equal((await open('')).status, 401);
+  assert.equal((await open('?token=guess')).status, 401);
+  assert.equal((await open('?token=ingest')).status, 401);
+}
+
+console.log('agent-bridge tests passed');
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+
+// A store with hand-edited clashes: X is Terminate's default, and two
+// overrides both claim Z. The registry reads it once, on import.
+const store = new Map<string, string>([
+  ['blazecraft_hotkeys', JSON.stringify({ stop: 'x', hold: 'z', resume: 'z', focus: 'ctrl', bogus: 'B' })],
+]);
+globalThis.localStorage = {
+  getItem: (key: string) => store.get(key) ?? null,
+  setItem: (key: string, value: string) => void store.set(key, value),
+  removeItem: (key: string) => void store.delete(key),
+} as Storage;
+
+const { COMMANDS, commandForKey, getHotkey, isAvailable, resetHotkeys, setHotkey } = await import('../scripts/command-registry.js');
+
+// Defaults never clash
+assert.equal(new Set(COMMANDS.map((c) => c.hotkey)).size, COMMANDS.length);
+
+// Loading drops overrides until every key is unique, and ignores junk
+assert.equal(getHotkey('stop'), 'S', 'stop: x clashed with terminate');
+assert.equal(getHotkey('terminate'), 'X');
+assert.equal(getHotkey('hold'), 'Z');
+assert.equal(getHotkey('resume'), 'R', 'resume: the second claim on z is dropped');
+assert.equal(getHotkey('focus'), 'C');
+assert.equal(new Set(COMMANDS.map((c) => getHotkey(c.id))).size, COMMANDS.length);
+
+// Remapping onto a taken key is refused and names the owner
+{
+  const result = setHotkey('stop', 'x');
+  assert.equal(result.ok, false);
+  assert.ok(!result.ok && result.conflict?.id === 'terminate');
+  assert.ok(!result.ok && result.reason === 'X is already Terminate.');
+  assert.equal(getHotkey('stop'), 'S');
+}
+
+// Rebinding to your own key, a free key, or back to the default
+assert.deepEqual(setHotkey('hold', 'Z'), { ok: true });
+assert.deepEqual(setHotkey('stop', 'k'), { ok: true });
+assert.equal(getHotkey('stop'), 'K');
+assert.equal(commandForKey('k')?.id, 'stop');
+assert.equal(commandForKey('S'), null, 'the old key is free');
+assert.deepEqual(JSON.parse(store.get('blazecraft_hotkeys') || '{}'), { hold: 'Z', stop: 'K' });
+
+// Freed keys can be taken by another command
+assert.deepEqual(setHotkey('scan', 's'), { ok: true });
+assert.equal(commandForKey('s')?.id, 'scan');
+
+assert.equal(setHotkey('stop', 'S').ok, false, "stop's default now belongs to scan");
+assert.equal(setHotkey('stop', '1').ok, false, 'digits stay with control groups');
+assert.equal(setHotkey('stop', 'Enter').ok, false);
+assert.equal(setHotkey('warp', 'W').ok, false);
+
+resetHotkeys();
+assert.equal(getHotkey('stop'), 'S');
+assert.equal(getHotkey('scan'), 'Q');
+assert.equal(store.has('blazecraft_hotkeys'), false);
+
+// Availability: replays only allow read-only commands
+{
+  const inspect = COMMANDS.find((c) => c.id === 'inspect')!;
+  const stop = COMMANDS.find((c) => c.id === 'stop')!;
+  const hold = COMMANDS.find((c) => c.id === 'hold')!;
+  const working = [{ status: 'working' }] as never[];
+  assert.equal(isAvailable(stop, { selected: [], disabled: false }), false);
+  assert.equal(isAvailable(stop, { selected: working, disabled: false }), true);
+  assert.equal(isAvailable(stop, { selected: working, disabled: true }), false);
+  assert.equal(isAvailable(inspect, { selected: working, disabled: true }), true);
+  assert.equal(isAvailable(hold, { selected: [{ status: 'idle' }] as never[], disabled: false }), false);
+}
+
+console.log('command-registry tests passed');
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { filterEvents } from '../scripts/event-log.js';
+
+type Filter = Parameters<typeof filterEvents>[1];
+
+const now = Date.parse('2025-01-10T12:00:00Z');
+const minute = 60 * 1000;
+
+const events = [
+  { type: 'error', workerId: 'a', details: 'Blocked: npm install failed', timestamp: now - 30 * 1000 },
+  { type: 'command', workerId: 'b', details: 'Stop rejected: mid-write', outcome: 'nack', timestamp: now - 2 * minute },
+  { type: 'command', workerId: 'a', details: 'Held.', outcome: 'ack', timestamp: now - 3 * minute },
+  { type: 'task_complete', workerId: 'b', details: 'Completed: Write docs', timestamp: now - 10 * minute },
+  { type: 'task_start', workerId: 'a', details: 'Started: Fix login', timestamp: now - 40 * minute },
+  { type: 'command', workerId: 'b', details: 'Hold timed out; no reply from agent.', outcome: 'timeout', timestamp: now - 2 * 60 * minute },
+] as Parameters<typeof filterEvents>[0];
+
+const workers = new Map([
+  ['a', { id: 'a', name: 'Scout-Alpha' }],
+  ['b', { id: 'b', name: 'Peon-Bravo' }],
+]) as unknown as Parameters<typeof filterEvents>[2];
+
+function filter(patch: Partial<Filter> = {}): Filter {
+  return { types: new Set(), workerId: '', query: '', range: 'all', ...patch };
+}
+
+function details(patch: Partial<Filter>): string[] {
+  return filterEvents(events, filter(patch), workers, now).map((e) => e.details);
+}
+
+// No filter keeps everything, in order
+assert.equal(filterEvents(events, filter(), workers, now).length, events.length);
+
+// Types: nacked and timed-out commands count as errors
+assert.deepEqual(details({ types: new Set(['error']) }), [
+  'Blocked: npm install failed',
+  'Stop rejected: mid-write',
+  'Hold timed out; no reply from agent.',
+]);
+assert.deepEqual(details({ types: new Set(['task_start', 'task_complete']) }), ['Completed: Write docs', 'Started: Fix login']);
+assert.equal(details({ types: new Set(['command']) }).length, 3);
+
+// Worker
+assert.deepEqual(details({ workerId: 'a' }), ['Blocked: npm install failed', 'Held.', 'Started: Fix login']);
+
+// Time range counts back from `now` (the playhead during a replay)
+assert.equal(details({ range: '1m' }).length, 1);
+assert.equal(details({ range: '5m' }).length, 3);
+assert.equal(details({ range: '1h' }).length, 5);
+
+// Text matches details or worker name, case-insensitively
+assert.deepEqual(details({ query: '  LOGIN ' }), ['Started: Fix login']);
+assert.equal(details({ query: 'bravo' }).length, 3);
+assert.deepEqual(details({ query: 'nothing like this' }), []);
+
+// Filters combine
+assert.deepEqual(details({ types: new Set(['error']), workerId: 'b', range: '15m' }), ['Stop rejected: mid-write']);
+
+console.log('event-log tests passed');
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { GameState } from '../scripts/game-state.js';
+import { CommandCenter } from '../scripts/commands.js';
+import { GuardPolicy, GUARD_THRESHOLDS_MS } from '../scripts/guard-policy.js';
+
+// Command timeouts run on setTimeout; fire them by hand
+let timers: (() => void)[] = [];
+globalThis.setTimeout = ((fn: () => void) => timers.push(fn)) as unknown as typeof setTimeout;
+function runTimers() {
+  const due = timers;
+  timers = [];
+  for (const fn of due) fn();
+}
+
+type Request = { id: string; agentId: string; command: string };
+
+const IDLE = GUARD_THRESHOLDS_MS.idle;
+
+function setup(bridge: object) {
+  const state = new GameState();
+  const commands = new CommandCenter(state, bridge);
+  const escalated: string[] = [];
+  const guard = new GuardPolicy(state, commands, { onEscalate: (_w, why) => escalated.push(why) });
+  state.dispatch({ type: 'spawn', agentId: 'a', data: { name: 'Scout-Alpha' } });
+  commands.guardedWorkers.add('a');
+  return { state, commands, guard, escalated };
+}
+
+function lastDetails(state: GameState): string {
+  return state.events[0].details;
+}
+
+// Demo bridge: manualAssign really re-tasks, so the guard uses it
+{
+  const assigned: string[] = [];
+  const { state, guard, escalated } = setup({
+    manualAssign: (ids: string[], region: { id: string }, message: string) => {
+      assigned.push(region.id);
+      state.dispatch({ type: 'assign', agentId: ids[0], source: 'command', data: { region: region.id, message } });
+    },
+  });
+
+  guard.check(0);
+  guard.check(IDLE - 1);
+  assert.equal(assigned.length, 0, 'not idle long enough yet');
+  guard.check(IDLE);
+  assert.equal(assigned.length, 1);
+  assert.match(lastDetails(state), /^Guard: idle for 8s; reassigned to /);
+  assert.equal(guard.watch.get('a')?.retasks, 1);
+  assert.deepEqual(escalated, []);
+}
+
+// Live bridge: the agent is asked to resume, and only an ack counts
+{
+  const sent: Request[] = [];
+  const { state, guard, escalated } = setup({
+    assignsAgents: false,
+    manualAssign: () => assert.fail('live re-tasks must not just move the unit'),
+    sendCommand: (req: Request) => sent.push(req),
+  });
+
+  guard.check(0);
+  guard.check(IDLE);
+  assert.deepEqual(sent.map((r) => [r.agentId, r.command]), [['a', 'resume']]);
+  assert.equal(lastDetails(state), 'Guard: idle for 8s; asked the agent to resume.');
+  assert.equal(guard.watch.get('a')?.retasks, 0, 'not counted before the agent answers');
+
+  guard.check(IDLE + 1000);
+  assert.equal(guard.watch.get('a')?.retasks, 0, 'still waiting');
+
+  state.dispatch({ type: 'command_ack', agentId: 'a', data: { commandId: sent[0].id } });
+  guard.check(IDLE + 2000);
+  assert.equal(guard.watch.get('a')?.retasks, 1);
+  assert.equal(state.workers.get('a')?.status, 'working');
+  assert.deepEqual(escalated, []);
+
+  // Agent goes idle again: another resume, this time declined
+  state.dispatch({ type: 'status', agentId: 'a', data: { status: 'idle' } });
+  guard.check(20000);
+  guard.check(20000 + IDLE);
+  assert.equal(sent.length, 2);
+  state.dispatch({ type: 'command_nack', agentId: 'a', data: { commandId: sent[1].id, message: 'busy' } });
+  guard.check(30000);
+  assert.equal(guard.watch.get('a')?.retasks, 1, 'a declined resume is not a re-task');
+  assert.deepEqual(escalated, ['resume declined']);
+  assert.equal(state.workers.get('a')?.status, 'idle');
+
+  // Each stall is acted on once
+  guard.check(60000);
+  assert.equal(sent.length, 2);
+}
+
+// Live bridge: an unanswered resume times out and is escalated
+{
+  const sent: Request[] = [];
+  const { guard, escalated } = setup({ assignsAgents: false, sendCommand: (req: Request) => sent.push(req) });
+
+  guard.check(0);
+  guard.check(IDLE);
+  assert.equal(sent.length, 1);
+  runTimers();
+  guard.check(IDLE + 9000);
+  assert.deepEqual(escalated, ['resume got no reply']);
+  assert.equal(guard.watch.get('a')?.retasks, 0);
+}
+
+// Blocked workers are escalated, never re-tasked
+{
+  const sent: Request[] = [];
+  const { state, guard, escalated } = setup({ assignsAgents: false, sendCommand: (req: Request) => sent.push(req) });
+  state.dispatch({ type: 'error', agentId: 'a', data: { message: 'tests failing' } });
+
+  guard.check(0);
+  guard.check(GUARD_THRESHOLDS_MS.blocked);
+  assert.deepEqual(sent, []);
+  assert.deepEqual(escalated, ['blocked for 15s']);
+}
+
+console.log('guard-policy tests passed');
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { groupPaths, layoutRegions, parseFileList, regionTypeForPath } from '../scripts/map-layout.js';
+
+type Bounds = { x: number; y: number; width: number; height: number };
+
+const world = { width: 1280, height: 720 };
+
+function overlaps(a: Bounds, b: Bounds): boolean {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function assertSound(paths: string[], label: string) {
+  const regions = layoutRegions(paths, { world });
+  for (const r of regions) {
+    const { x, y, width, height } = r.bounds;
+    assert.ok(x >= 0 && y >= 0 && x + width <= world.width && y + height <= world.height, `${label}: ${r.id} leaves the world`);
+  }
+  for (let i = 0; i < regions.length; i++) {
+    for (let j = i + 1; j < regions.length; j++) {
+      assert.ok(!overlaps(regions[i].bounds, regions[j].bounds), `${label}: ${regions[i].id} overlaps ${regions[j].id}`);
+    }
+  }
+  assert.equal(new Set(regions.map((r) => r.id)).size, regions.length, `${label}: duplicate region ids`);
+  return regions;
+}
+
+// Input formats
+assert.deepEqual(parseFileList('./src/a.js\n# comment\nsrc\\b.js\n\nsrc/a.js\n'), ['src/a.js', 'src/b.js']);
+assert.deepEqual(parseFileList('["docs/x.md", {"path": "src/y.ts"}]'), ['docs/x.md', 'src/y.ts']);
+assert.deepEqual(parseFileList('{"files": ["a/b.js"]}'), ['a/b.js']);
+assert.deepEqual(parseFileList('{"tree": [{"path": "a", "type": "tree"}, {"path": "a/b.js", "type": "blob"}]}'), ['a/b.js']);
+assert.throws(() => parseFileList('  \n# only a comment\n'), /No file paths/);
+assert.throws(() => parseFileList('{"nope": 1}'), /Expected a JSON array/);
+
+// Building types: directory name first, then file extensions
+assert.equal(regionTypeForPath('tests'), 'lumber');
+assert.equal(regionTypeForPath('docs'), 'ground');
+assert.equal(regionTypeForPath('packages/web'), 'goldmine');
+assert.equal(regionTypeForPath('misc', ['misc/a.yml', 'misc/b.yml', 'misc/c.py']), 'lumber');
+assert.equal(regionTypeForPath('misc', ['misc/README']), 'ground');
+
+// Many top-level directories: the smallest fold into "other", which can be the largest group
+{
+  const paths = Array.from({ length: 30 }, (_, i) => `dir${String(i).padStart(2, '0')}/file.js`);
+  const groups = groupPaths(paths);
+  assert.equal(groups.length, 8);
+  assert.equal(groups[7].dir, 'other');
+  assert.equal(groups[7].files.length, 23);
+
+  const regions = assertSound(paths, 'many dirs');
+  assert.equal(regions.length, 9);
+  assert.deepEqual(regions.find((r) => r.id === 'other')?.match?.slice(0, 2), ['dir07/**', 'dir08/**']);
+}
+
+// Monorepo: one dominant directory is split a level down
+{
+  const paths = [
+    ...Array.from({ length: 40 }, (_, i) => `packages/pkg${i % 12}/src/file${i}.ts`),
+    'packages/README.md',
+    'docs/intro.md',
+    'tests/a.test.ts',
+    '.github/workflows/ci.yml',
+    'package.json',
+  ];
+  const groups = groupPaths(paths);
+  assert.ok(groups.some((g) => g.dir === 'packages/pkg0'));
+  assert.ok(groups.some((g) => g.dir === 'other'));
+  assert.ok(!groups.some((g) => g.files.includes('package.json')), 'root files stay with the town hall');
+
+  assertSound(paths, 'monorepo');
+}
+
+// A handful of directories fill the cells next to the town hall
+{
+  const regions = assertSound(['src/a.js', 'src/b.js', 'docs/a.md', 'tests/a.test.js'], 'small repo');
+  assert.deepEqual(regions.map((r) => r.id), ['townhall', 'src', 'docs', 'tests']);
+  assert.deepEqual(regions[1].match, ['src/**']);
+}
+
+console.log('map-layout tests passed');
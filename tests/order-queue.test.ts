@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { GameState } from '../scripts/game-state.js';
+import { CommandCenter } from '../scripts/commands.js';
+import { REGIONS } from '../scripts/map.js';
+
+type Request = { id: string; agentId: string; command: string };
+
+// Command timeouts would keep the process alive; nothing here waits on them
+globalThis.setTimeout = (() => 0) as unknown as typeof setTimeout;
+
+const region = (id: string) => REGIONS.find((r) => r.id === id)!;
+
+function setup(bridge: Record<string, unknown>) {
+  const state = new GameState();
+  const commands = new CommandCenter(state, bridge);
+  state.dispatch({ type: 'spawn', agentId: 'a', data: { name: 'Scout-Alpha', position: { x: 640, y: 360 } } });
+  state.setSelected(['a']);
+  return { state, commands };
+}
+
+function arrive(state: GameState, commands: CommandCenter) {
+  state.dispatch({ type: 'arrive', agentId: 'a' });
+  commands.advanceOrders();
+}
+
+// Queued moves run one after another, then a queued hold
+{
+  const sent: Request[] = [];
+  const bridge = {
+    manualAssign: (ids: string[], r: { id: string }, message: string) =>
+      state.dispatch({ type: 'assign', agentId: ids[0], source: 'command', data: { region: r.id, message } }),
+    sendCommand: (req: Request) => sent.push(req),
+  };
+  const { state, commands } = setup(bridge);
+
+  commands.assignSelectedTo(region('tests'), { queue: true });
+  assert.equal(state.workers.get('a')?.targetRegion, 'tests', 'an idle worker starts right away');
+  assert.equal(state.events[0].details, 'Queued order: to tests.');
+
+  commands.assignSelectedTo(region('docs'), { queue: true });
+  commands.exec('hold', { queue: true });
+  assert.deepEqual(commands.getWaypoints('a')?.map((p) => p.kind), ['assign', 'assign', 'hold']);
+  assert.equal(state.events[0].details, 'Queued: hold (3 in queue).');
+
+  arrive(state, commands);
+  assert.equal(state.workers.get('a')?.targetRegion, 'docs');
+  assert.equal(state.events[0].details, 'Queued order: to docs (1 more queued).');
+
+  // Starting work there ends the move; the hold goes out next
+  state.dispatch({ type: 'task_start', agentId: 'a', data: { task: 'Write docs' } });
+  commands.advanceOrders();
+  assert.deepEqual(sent.map((r) => r.command), ['hold']);
+  assert.equal(commands.orderQueues.size, 0);
+
+  state.dispatch({ type: 'command_ack', agentId: 'a', data: { commandId: sent[0].id } });
+  commands.advanceOrders();
+  assert.equal(commands.activeOrders.size, 0);
+  assert.equal(commands.getWaypoints('a'), null);
+}
+
+// A direct order cancels the queue
+{
+  const bridge = {
+    manualAssign: (ids: string[], r: { id: string }) =>
+      state.dispatch({ type: 'assign', agentId: ids[0], source: 'command', data: { region: r.id } }),
+    sendCommand: () => {},
+  };
+  const { state, commands } = setup(bridge);
+  commands.assignSelectedTo(region('tests'), { queue: true });
+  commands.assignSelectedTo(region('docs'), { queue: true });
+
+  commands.exec('stop');
+  assert.equal(commands.getWaypoints('a'), null);
+  assert.ok(state.events.some((e) => e.details === 'Order queue cancelled (2).'));
+}
+
+// Queued moves that can't start say why
+{
+  const { state, commands } = setup({ sendCommand: () => {} });
+  commands.assignSelectedTo(region('tests'), { queue: true });
+  assert.equal(state.events[0].details, 'Queued move skipped: this bridge cannot move workers.');
+
+  const withBridge = setup({ manualAssign: () => {} });
+  withBridge.commands.queueOrder([withBridge.state.workers.get('a')!], { kind: 'assign', region: 'atlantis' });
+  assert.equal(withBridge.state.events[0].details, 'Queued move skipped: region "atlantis" is gone.');
+}
+
+console.log('order-queue tests passed');
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import {
+  formatRegionRules,
+  getRegionRules,
+  globToRegExp,
+  matchRegion,
+  parseRegionRules,
+  regionForPath,
+  routePaths,
+  setRegionRules,
+} from '../scripts/region-rules.js';
+
+function matches(glob: string, path: string): boolean {
+  return globToRegExp(glob).test(path);
+}
+
+// Glob compilation
+assert.ok(matches('tests/**', 'tests/unit/a.test.js'));
+assert.ok(!matches('tests/**', 'src/tests.js'));
+assert.ok(matches('**/*.md', 'README.md'), '**/ also matches no directories');
+assert.ok(matches('**/*.md', 'docs/guide/intro.md'));
+assert.ok(matches('src/*.js', 'src/a.js'));
+assert.ok(!matches('src/*.js', 'src/lib/a.js'), '* stays within a segment');
+assert.ok(matches('file?.ts', 'file1.ts'));
+assert.ok(!matches('file?.ts', 'file/.ts'), '? stays within a segment');
+assert.ok(matches('*.{json,toml}', 'wrangler.toml'));
+assert.ok(!matches('*.{json,toml}', 'a.yaml'));
+assert.ok(matches('{test,tests}/**', 'test/a.js'));
+assert.ok(matches('src/{*.ts,*.js}', 'src/a.ts'), 'brace alternatives are globs');
+assert.ok(!matches('src/{*.ts,*.js}', 'src/lib/a.js'));
+assert.ok(matches('src/{*.ts,*.js}', 'src/b.js'));
+assert.ok(matches('a.b+c(d)/x', 'a.b+c(d)/x'), 'regex metacharacters are literal');
+assert.ok(!matches('a.b', 'axb'));
+assert.ok(matches('weird{brace', 'weird{brace'), 'an unclosed brace is literal');
+assert.equal(globToRegExp('src/**'), globToRegExp('src/**'), 'compiled globs are cached');
+
+// Region matching against the default layout
+assert.equal(matchRegion('tests/a.js')?.id, 'tests');
+assert.equal(matchRegion('src/ui/button.css')?.id, 'src_ui');
+assert.equal(matchRegion('./docs/intro.md')?.id, 'docs');
+assert.equal(matchRegion('/home/me/repo/tests/a.js')?.id, 'tests', 'absolute paths match at a directory boundary');
+assert.equal(matchRegion('C:\\repo\\docs\\a.md')?.id, 'docs');
+assert.equal(matchRegion('Makefile'), null);
+assert.equal(matchRegion('   '), null);
+assert.equal(regionForPath('Makefile').id, 'townhall');
+
+// Several paths: the region most of them match wins, ties go to the earliest
+assert.equal(routePaths(['docs/a.md', 'tests/a.js', 'tests/b.js']).id, 'tests');
+assert.equal(routePaths(['docs/a.md', 'tests/a.js']).id, 'docs');
+assert.equal(routePaths([]).id, 'townhall');
+
+// Editor text
+{
+  const { rules, errors } = parseRegionRules('# comment\n\nvendor/** config\nbad line here\nlib/** atlantis\n  *.snap   tests  \n');
+  assert.deepEqual(rules, [{ glob: 'vendor/**', region: 'config' }, { glob: '*.snap', region: 'tests' }]);
+  assert.deepEqual(errors, ['Line 4: expected "<glob> <region>".', 'Line 5: unknown region "atlantis".']);
+  assert.equal(formatRegionRules(rules), 'vendor/** config\n*.snap tests');
+}
+
+// User rules come before the regions' own globs
+{
+  assert.equal(matchRegion('docs/api/index.md')?.id, 'docs');
+  setRegionRules([{ glob: 'docs/api/**', region: 'src_core' }, { glob: 'docs/**', region: 'gone' }]);
+  assert.equal(matchRegion('docs/api/index.md')?.id, 'src_core');
+  assert.equal(matchRegion('docs/intro.md')?.id, 'docs', 'rules naming a missing region are skipped');
+
+  const copy = getRegionRules();
+  copy[0].region = 'tests';
+  assert.equal(getRegionRules()[0].region, 'src_core', 'getRegionRules hands out copies');
+
+  setRegionRules([]);
+  assert.equal(matchRegion('docs/api/index.md')?.id, 'docs');
+}
+
+console.log('region-rules tests passed');
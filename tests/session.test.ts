@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { GameState } from '../scripts/game-state.js';
+import { resetRegions } from '../scripts/map.js';
+import { SessionRecorder, captureKeyframe } from '../scripts/session-recorder.js';
+import { SessionPlayer } from '../scripts/session-player.js';
+import { captureSession, restoreSession } from '../scripts/session-store.js';
+import { setRegionRules } from '../scripts/region-rules.js';
+
+// Records are stamped with Date.now(); drive it by hand
+let clock = Date.parse('2025-01-10T12:00:00Z');
+Date.now = () => clock;
+
+/** What a replay must reproduce; updatedAt is wall-clock bookkeeping */
+function comparable(state: GameState) {
+  const frame = captureKeyframe(state);
+  return {
+    workers: frame.workers.map(({ updatedAt, ...w }) => w),
+    stats: frame.stats,
+    regions: frame.regions.map((r) => [r.id, r.tasksCompleted, r.level, r.type]),
+    files: frame.files,
+    notes: frame.notes,
+    events: frame.events,
+    scout: frame.scout,
+  };
+}
+
+resetRegions();
+const live = new GameState();
+const recorder = new SessionRecorder(live);
+recorder.start();
+
+clock += 1000;
+live.dispatch({ type: 'spawn', agentId: 'a', data: { name: 'Scout-Alpha' } });
+live.dispatch({ type: 'spawn', agentId: 'b', data: { name: 'Peon-Bravo', region: 'tests', position: { x: 600.5, y: 320 } } });
+// Spawn points are random; the sampled positions put them back
+live.dispatch({ type: 'move', agentId: 'a', data: { position: { x: 610, y: 330.5 } } });
+recorder.samplePositions();
+
+clock += 1000;
+live.dispatch({ type: 'task_start', agentId: 'a', data: { task: 'Fix login', paths: ['src/ui/login.css'] } });
+live.dispatch({ type: 'move', agentId: 'a', data: { position: { x: 900, y: 200 } } });
+recorder.samplePositions();
+live.dispatch({ type: 'file_op', agentId: 'a', data: { paths: ['src/ui/login.css'], tool: 'Edit', added: 4, removed: 2 } });
+live.pushScoutLine('Agent stream connected.');
+const midpoint = comparable(live);
+
+clock += 1000;
+recorder.keyframe();
+clock += 1000;
+live.dispatch({ type: 'note', agentId: 'a', data: { text: 'Check the CSS', tags: ['ui'] } });
+live.dispatch({ type: 'task_complete', agentId: 'a' });
+live.dispatch({ type: 'error', agentId: 'b', data: { message: 'flaky test' } });
+live.pushEvent({ type: 'command', workerId: 'b', details: 'Scan complete.', timestamp: clock });
+live.dispatch({ type: 'terminate', agentId: 'b' });
+const final = comparable(live);
+recorder.pause();
+
+const ndjson = recorder.toNDJSON();
+assert.equal(JSON.parse(ndjson.split('\n')[0]).format, 'blazecraft-session');
+assert.ok(!ndjson.includes('"type":"move"'), 'move steps are sampled as positions, not recorded');
+
+// Replaying the recording reproduces the live session, forwards and backwards
+{
+  resetRegions();
+  const state = new GameState();
+  state.dispatch({ type: 'spawn', agentId: 'someone-else' });
+  const before = comparable(state);
+
+  const player = new SessionPlayer(state);
+  const loaded = player.load(`${ndjson}{"t": 1, "kind"\n`);
+  assert.equal(loaded.skipped, 1, 'a line cut off mid-write is skipped');
+  assert.equal(player.duration, 4000);
+
+  player.enter();
+  player.seek(player.duration);
+  assert.deepEqual(comparable(state), final);
+
+  player.seek(2000);
+  assert.deepEqual(comparable(state), midpoint);
+
+  player.seek(player.duration);
+  assert.deepEqual(comparable(state), final);
+
+  // Leaving puts the live state back
+  player.exit();
+  assert.deepEqual(comparable(state), before);
+}
+
+// A replayed file_op goes where it went live, whatever the rules say now
+{
+  assert.ok(ndjson.includes('"region":"'), 'file_ops record the region they routed to');
+  setRegionRules([{ glob: 'src/ui/**', region: 'docs' }]);
+  resetRegions();
+  const player = new SessionPlayer(new GameState());
+  player.load(ndjson);
+  player.enter();
+  player.seek(2000);
+  assert.deepEqual(comparable(player.state).workers, midpoint.workers);
+  player.exit();
+  setRegionRules([]);
+}
+
+assert.throws(() => new SessionPlayer(new GameState()).load('{"kind":"header","format":"other"}\n'), /Not a BlazeCraft session/);
+assert.throws(() => new SessionPlayer(new GameState()).load(ndjson.split('\n')[0].replace('"version":1', '"version":99')), /newer/);
+
+// Saved sessions round-trip, minus terminated workers and pending commands
+{
+  const commands = { guardedWorkers: new Set(['a', 'b']) };
+  live.dispatch({ type: 'spawn', agentId: 'c' });
+  live.dispatch({ type: 'task_start', agentId: 'c', data: { task: 'Build' } });
+  live.dispatch({ type: 'command_issue', agentId: 'c', data: { commandId: 'cmd-1', command: 'hold' } });
+  live.setControlGroup(1, ['a', 'b', 'c']);
+  live.setSelected(['b', 'c']);
+  const snapshot = JSON.parse(JSON.stringify(captureSession(live, commands as never, 42)));
+  assert.equal(snapshot.lastEventId, 42);
+
+  resetRegions();
+  const state = new GameState();
+  const restoredCommands = { guardedWorkers: new Set<string>() };
+  restoreSession(state, restoredCommands as never, snapshot);
+
+  assert.deepEqual(Array.from(state.workers.keys()).sort(), ['a', 'c']);
+  assert.equal(state.workers.get('c')?.status, 'working', 'the pending hold is rolled back');
+  assert.equal(state.workers.get('c')?.pendingCommand, null);
+  assert.deepEqual(state.notes.get('a'), live.notes.get('a'));
+  assert.deepEqual(state.getWorkerFiles('a'), live.getWorkerFiles('a'));
+  assert.deepEqual(state.stats, live.stats);
+  assert.deepEqual(Array.from(restoredCommands.guardedWorkers), ['a']);
+  assert.deepEqual(state.getControlGroup(1), ['a', 'c']);
+  assert.deepEqual(Array.from(state.selected), ['c']);
+  assert.equal(state.history.has('b'), false);
+}
+
+// Saves keep only the newest events and history entries
+{
+  const state = new GameState();
+  state.dispatch({ type: 'spawn', agentId: 'a' });
+  for (let i = 0; i < 600; i++) {
+    state.dispatch({ type: 'progress', agentId: 'a', data: { progress: i % 100 } });
+    state.dispatch({ type: 'note', agentId: 'a', data: { text: `note ${i}` } });
+  }
+  const snapshot = captureSession(state, { guardedWorkers: new Set() } as never);
+  assert.equal(snapshot.session.events.length, 500);
+  assert.deepEqual(snapshot.session.events[0], state.events[0]);
+  const [, history] = snapshot.history?.find(([id]) => id === 'a') ?? [];
+  assert.equal(history?.length, 200);
+  assert.deepEqual(history?.at(-1), state.getWorkerHistory('a').at(-1));
+}
+
+console.log('session tests passed');
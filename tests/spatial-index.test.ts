@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { CELL_SIZE, SpatialGrid, WorkerMap } from '../scripts/spatial-index.js';
+
+type Point = { id: string; x: number; y: number };
+
+// Deterministic points, some off the map's top-left
+let seed = 7;
+function random(): number {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+const points: Point[] = Array.from({ length: 300 }, (_, i) => ({ id: `p${i}`, x: random() * 1400 - 60, y: random() * 800 - 40 }));
+
+const grid = new SpatialGrid<Point>();
+for (const p of points) grid.set(p.id, p.x, p.y, p);
+assert.equal(grid.size, points.length);
+
+const ids = (list: Point[]) => list.map((p) => p.id).sort();
+
+// near() and within() agree with a brute-force scan, for small and huge queries
+for (const [x, y, r] of [[640, 360, 20], [0, 0, 100], [-50, -30, 64], [1200, 700, 250], [640, 360, 5000]]) {
+  const expected = points.filter((p) => (p.x - x) ** 2 + (p.y - y) ** 2 < r * r);
+  assert.deepEqual(ids(grid.near(x, y, r)), ids(expected), `near(${x}, ${y}, ${r})`);
+}
+for (const [x0, y0, x1, y1] of [[100, 100, 300, 200], [-60, -40, 10, 10], [0, 0, 1280, 720], [-1e6, -1e6, 1e6, 1e6]]) {
+  const expected = points.filter((p) => p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1);
+  assert.deepEqual(ids(grid.within(x0, y0, x1, y1)), ids(expected), `within(${x0}, ${y0}, ${x1}, ${y1})`);
+}
+
+// Edges: within() includes them, near() is strictly inside the radius
+{
+  const g = new SpatialGrid<string>();
+  g.set('edge', CELL_SIZE, CELL_SIZE, 'edge');
+  assert.deepEqual(g.within(0, 0, CELL_SIZE, CELL_SIZE), ['edge']);
+  assert.deepEqual(g.near(0, CELL_SIZE, CELL_SIZE), []);
+  assert.deepEqual(g.near(1, CELL_SIZE, CELL_SIZE), ['edge']);
+}
+
+// Moving an entry across cells leaves nothing behind
+{
+  const g = new SpatialGrid<string>();
+  g.set('a', 10, 10, 'a');
+  g.set('a', 500, 500, 'a');
+  assert.equal(g.size, 1);
+  assert.deepEqual(g.near(10, 10, 20), []);
+  assert.deepEqual(g.near(500, 500, 20), ['a']);
+  assert.equal(g.cells.size, 1, 'empty cells are dropped');
+  assert.ok(g.delete('a'));
+  assert.ok(!g.delete('a'));
+  assert.equal(g.cells.size, 0);
+}
+
+// WorkerMap keeps the grid in step with the map
+{
+  const worker = (id: string, x: number, y: number) => ({ id, position: { x, y } }) as never;
+  const workers = new WorkerMap([['a', worker('a', 100, 100)], ['b', worker('b', 110, 105)]]);
+  assert.deepEqual(workers.near(100, 100, 20).map((w) => w.id).sort(), ['a', 'b']);
+
+  workers.set('b', worker('b', 900, 600));
+  assert.deepEqual(workers.near(100, 100, 20).map((w) => w.id), ['a']);
+  assert.deepEqual(workers.within(800, 500, 1000, 700).map((w) => w.id), ['b']);
+
+  workers.delete('a');
+  assert.deepEqual(workers.near(100, 100, 20), []);
+  assert.equal(workers.grid.size, 1);
+
+  workers.clear();
+  assert.equal(workers.grid.size, 0);
+  assert.equal(workers.size, 0);
+}
+
+console.log('spatial-index tests passed');
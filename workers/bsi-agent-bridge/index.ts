@@ -0,0 +1,508 @@
+/**
+ * BSI Agent Bridge Worker
+ *
+ * Ingests agent lifecycle events (either AgentEvents or raw Claude Code hook
+ * payloads) and fans them out to every connected BlazeCraft console via SSE.
+ * Console commands are queued per agent until the agent collects them.
+ * A single Durable Object holds the open streams so POSTs landing on any
+ * isolate reach all browsers.
+ */
+
+import type {
+  Env,
+  AgentEvent,
+  AgentEventType,
+  AgentEventData,
+  AgentCommand,
+  FileOp,
+  AgentCommandType,
+  ClaudeHookPayload,
+  IngestResponse,
+  DurableObjectState,
+  DurableObjectStub,
+} from './types';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, X-BSI-Key, X-BSI-Console-Token',
+};
+
+/**
+ * No CORS headers: the console reads the stream from its own origin, and
+ * prompts and file paths shouldn't be readable from any other.
+ */
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+const AGENT_EVENT_TYPES: AgentEventType[] = [
+  'spawn', 'task_start', 'task_complete', 'error', 'terminate', 'file_op', 'command_ack', 'command_nack',
+];
+
+/** Hook tools whose tool_input names a file the agent read or changed */
+const FILE_TOOLS = ['Read', 'Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+const FILE_OPS: FileOp[] = ['read', 'edit', 'write', 'create', 'delete'];
+const MAX_PATHS = 20;
+
+const AGENT_COMMAND_TYPES: AgentCommandType[] = ['stop', 'hold', 'resume', 'terminate'];
+
+/** Commands nobody collected within this window are dropped; the console times out first */
+const COMMAND_TTL_MS = 60000;
+
+/** Commands held per agent; an agent that never polls loses the oldest */
+const MAX_QUEUED_COMMANDS = 20;
+
+/** Events replayed to a console that connects mid-session */
+const REPLAY_LIMIT = 200;
+
+/** Largest batch accepted by a single POST */
+const MAX_BATCH = 100;
+
+const KEEPALIVE_MS = 15000;
+
+function getChicagoTimestamp(): string {
+  return new Date().toLocaleString('en-US', {
+    timeZone: 'America/Chicago',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false,
+  }).replace(/(\d+)\/(\d+)\/(\d+),\s+(\d+):(\d+):(\d+)/, '$3-$1-$2T$4:$5:$6-06:00');
+}
+
+/**
+ * Agent events go out as unnamed SSE messages so consoles can use
+ * `EventSource.onmessage` directly.
+ */
+function formatSSE(event: AgentEvent, id: number): string {
+  return `data: ${JSON.stringify(event)}\nid: ${id}\n\n`;
+}
+
+function truncate(text: string, max = 80): string {
+  const firstLine = text.split('\n')[0].trim();
+  return firstLine.length > max ? `${firstLine.slice(0, max - 1)}…` : firstLine;
+}
+
+function basename(path: string): string {
+  const parts = path.split(/[\\/]/).filter(Boolean);
+  return parts[parts.length - 1] || path;
+}
+
+/**
+ * Validate an AgentEvent posted directly by a runner.
+ * Returns the normalized event or an error string.
+ */
+function validateAgentEvent(body: unknown): AgentEvent | string {
+  if (!body || typeof body !== 'object') return 'event must be an object';
+  const raw = body as Record<string, unknown>;
+
+  if (typeof raw.type !== 'string' || !AGENT_EVENT_TYPES.includes(raw.type as AgentEventType)) {
+    return `unknown event type: ${String(raw.type)}`;
+  }
+  if (typeof raw.agentId !== 'string' || !raw.agentId.trim()) {
+    return 'agentId is required';
+  }
+  if (raw.timestamp !== undefined && (typeof raw.timestamp !== 'string' || Number.isNaN(Date.parse(raw.timestamp)))) {
+    return 'timestamp must be an ISO 8601 string';
+  }
+  if (raw.data !== undefined && (typeof raw.data !== 'object' || raw.data === null || Array.isArray(raw.data))) {
+    return 'data must be an object';
+  }
+
+  const data = (raw.data || {}) as Record<string, unknown>;
+  const clean: AgentEventData = {};
+  if (typeof data.name === 'string') clean.name = truncate(data.name, 40);
+  if (typeof data.task === 'string') clean.task = truncate(data.task);
+  if (typeof data.region === 'string') clean.region = data.region;
+  if (typeof data.message === 'string') clean.message = truncate(data.message, 160);
+  if (typeof data.commandId === 'string') clean.commandId = data.commandId;
+  if ((raw.type === 'command_ack' || raw.type === 'command_nack') && !clean.commandId) {
+    return `${raw.type} requires data.commandId`;
+  }
+  if (typeof data.tool === 'string') clean.tool = truncate(data.tool, 40);
+  if (data.paths !== undefined) {
+    if (!Array.isArray(data.paths) || !data.paths.every((p) => typeof p === 'string')) {
+      return 'data.paths must be an array of strings';
+    }
+    clean.paths = (data.paths as string[]).slice(0, MAX_PATHS).map((p) => truncate(p, 300));
+  }
+  if (raw.type === 'file_op' && !clean.paths?.length) {
+    return 'file_op requires data.paths';
+  }
+  if (data.op !== undefined) {
+    if (!FILE_OPS.includes(data.op as FileOp)) return `data.op must be one of ${FILE_OPS.join(', ')}`;
+    clean.op = data.op as FileOp;
+  }
+  for (const field of ['added', 'removed'] as const) {
+    const value = data[field];
+    if (value === undefined) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return `data.${field} must be a non-negative number`;
+    }
+    clean[field] = Math.floor(value);
+  }
+  if (data.tokens !== undefined) {
+    if (typeof data.tokens !== 'number' || !Number.isFinite(data.tokens) || data.tokens < 0) {
+      return 'data.tokens must be a non-negative number';
+    }
+    clean.tokens = Math.floor(data.tokens);
+  }
+
+  return {
+    type: raw.type as AgentEventType,
+    agentId: raw.agentId.trim(),
+    timestamp: (raw.timestamp as string | undefined) || getChicagoTimestamp(),
+    data: clean,
+  };
+}
+
+/**
+ * Map a Claude Code hook payload onto an AgentEvent.
+ * Hooks that carry nothing the console can show return null.
+ */
+function fromHookPayload(hook: ClaudeHookPayload): AgentEvent | null {
+  const base = { agentId: hook.session_id, timestamp: getChicagoTimestamp() };
+
+  switch (hook.hook_event_name) {
+    case 'SessionStart':
+      return { ...base, type: 'spawn', data: { name: hook.cwd ? basename(hook.cwd) : undefined } };
+    case 'UserPromptSubmit':
+      return { ...base, type: 'task_start', data: { task: truncate(hook.prompt || 'New prompt') } };
+    case 'Stop':
+    case 'SubagentStop':
+      return { ...base, type: 'task_complete', data: {} };
+    case 'SessionEnd':
+      return { ...base, type: 'terminate', data: { message: hook.reason } };
+    case 'PostToolUse': {
+      if (!hook.tool_name || !FILE_TOOLS.includes(hook.tool_name)) return null;
+      const input = hook.tool_input || {};
+      const file = input.file_path ?? input.notebook_path;
+      if (typeof file !== 'string' || !file) return null;
+      return {
+        ...base,
+        type: 'file_op',
+        data: { paths: [relativeTo(hook.cwd, file)], tool: hook.tool_name, ...fileChange(hook.tool_name, input, hook.tool_response) },
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Operation and line counts from a file tool's input. Edits count the lines
+ * they replaced and the lines they wrote.
+ */
+function fileChange(
+  tool: string,
+  input: Record<string, unknown>,
+  response: Record<string, unknown> | undefined
+): Pick<AgentEventData, 'op' | 'added' | 'removed'> {
+  switch (tool) {
+    case 'Read':
+      return { op: 'read' };
+    case 'Write':
+      return { op: response?.type === 'create' ? 'create' : 'write', added: lineCount(input.content) };
+    case 'Edit':
+      return { op: 'edit', added: lineCount(input.new_string), removed: lineCount(input.old_string) };
+    case 'MultiEdit': {
+      const edits = Array.isArray(input.edits) ? (input.edits as Record<string, unknown>[]) : [];
+      return {
+        op: 'edit',
+        added: edits.reduce((sum, e) => sum + lineCount(e?.new_string), 0),
+        removed: edits.reduce((sum, e) => sum + lineCount(e?.old_string), 0),
+      };
+    }
+    case 'NotebookEdit':
+      // A deleted cell's source isn't in the input
+      return input.edit_mode === 'delete' ? { op: 'edit' } : { op: 'edit', added: lineCount(input.new_source) };
+    default:
+      return { op: 'edit' };
+  }
+}
+
+function lineCount(text: unknown): number {
+  return typeof text === 'string' && text ? text.split('\n').length : 0;
+}
+
+/**
+ * Hooks report absolute paths; the console's region rules expect
+ * repo-relative ones.
+ */
+function relativeTo(cwd: string | undefined, path: string): string {
+  if (!cwd) return path;
+  const root = cwd.endsWith('/') ? cwd : `${cwd}/`;
+  return path.startsWith(root) ? path.slice(root.length) : path;
+}
+
+function isHookPayload(body: unknown): body is ClaudeHookPayload {
+  return !!body && typeof body === 'object'
+    && typeof (body as ClaudeHookPayload).hook_event_name === 'string'
+    && typeof (body as ClaudeHookPayload).session_id === 'string';
+}
+
+function isAuthorized(request: Request, env: Env): boolean {
+  return !env.BSI_API_KEY || request.headers.get('X-BSI-Key') === env.BSI_API_KEY;
+}
+
+/**
+ * Consoles carry their own token rather than the ingest key, so a browser
+ * can read the stream and queue commands without being able to post agent
+ * events. EventSource can't set headers, so the stream passes it as ?token=.
+ */
+function isConsoleAuthorized(request: Request, env: Env): boolean {
+  if (!env.BSI_CONSOLE_TOKEN) return true;
+  const token = request.headers.get('X-BSI-Console-Token') ?? new URL(request.url).searchParams.get('token');
+  return token === env.BSI_CONSOLE_TOKEN;
+}
+
+function getHub(env: Env): DurableObjectStub {
+  return env.AGENT_HUB.get(env.AGENT_HUB.idFromName('global'));
+}
+
+async function handleIngest(request: Request, env: Env): Promise<Response> {
+  if (!isAuthorized(request, env)) {
+    return new Response('Unauthorized', { status: 401, headers: CORS_HEADERS });
+  }
+
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return new Response('Invalid JSON', { status: 400, headers: CORS_HEADERS });
+  }
+
+  const items = Array.isArray(body) ? body : [body];
+  if (items.length > MAX_BATCH) {
+    return new Response(`Batch too large (max ${MAX_BATCH})`, { status: 413, headers: CORS_HEADERS });
+  }
+
+  const result: IngestResponse = { accepted: 0, ignored: 0, errors: [] };
+  const events: AgentEvent[] = [];
+
+  for (const item of items) {
+    if (isHookPayload(item)) {
+      const event = fromHookPayload(item);
+      if (event) events.push(event);
+      else result.ignored++;
+      continue;
+    }
+
+    const validated = validateAgentEvent(item);
+    if (typeof validated === 'string') {
+      result.errors.push(validated);
+    } else {
+      events.push(validated);
+    }
+  }
+
+  if (events.length > 0) {
+    await getHub(env).fetch('https://hub/publish', { method: 'POST', body: JSON.stringify(events) });
+    result.accepted = events.length;
+  }
+
+  const status = events.length === 0 && result.errors.length > 0 ? 400 : 202;
+  return Response.json(result, { status, headers: CORS_HEADERS });
+}
+
+async function handleStream(request: Request, env: Env): Promise<Response> {
+  if (!isConsoleAuthorized(request, env)) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+
+  const { search } = new URL(request.url);
+  return getHub(env).fetch(`https://hub/stream${search}`, { headers: request.headers });
+}
+
+/**
+ * POST queues a console command; GET ?agentId= hands the agent its queued
+ * commands (and forgets them). The agent answers via command_ack/command_nack.
+ * Agents authenticate with the ingest key, consoles with the console token.
+ */
+async function handleCommands(request: Request, env: Env): Promise<Response> {
+  const authorized = request.method === 'GET' ? isAuthorized(request, env) : isConsoleAuthorized(request, env);
+  if (!authorized) {
+    return new Response('Unauthorized', { status: 401, headers: CORS_HEADERS });
+  }
+
+  if (request.method === 'GET') {
+    const agentId = new URL(request.url).searchParams.get('agentId');
+    if (!agentId) {
+      return new Response('agentId is required', { status: 400, headers: CORS_HEADERS });
+    }
+    const res = await getHub(env).fetch(`https://hub/commands?agentId=${encodeURIComponent(agentId)}`);
+    return new Response(res.body, { headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } });
+  }
+
+  if (request.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405, headers: CORS_HEADERS });
+  }
+
+  let body: Partial<AgentCommand>;
+  try {
+    body = await request.json() as Partial<AgentCommand>;
+  } catch {
+    return new Response('Invalid JSON', { status: 400, headers: CORS_HEADERS });
+  }
+
+  if (typeof body.id !== 'string' || typeof body.agentId !== 'string' || !AGENT_COMMAND_TYPES.includes(body.command as AgentCommandType)) {
+    return new Response('Expected {id, agentId, command}', { status: 400, headers: CORS_HEADERS });
+  }
+
+  const command: AgentCommand = {
+    id: body.id,
+    agentId: body.agentId,
+    command: body.command as AgentCommandType,
+    issuedAt: getChicagoTimestamp(),
+  };
+  await getHub(env).fetch('https://hub/commands', { method: 'POST', body: JSON.stringify(command) });
+  return Response.json({ queued: command.id }, { status: 202, headers: CORS_HEADERS });
+}
+
+async function handleHealth(): Promise<Response> {
+  return Response.json({
+    status: 'ok',
+    timestamp: getChicagoTimestamp(),
+    version: '1.0.0',
+  }, { headers: CORS_HEADERS });
+}
+
+/**
+ * Durable Object holding every open console stream plus a short replay
+ * buffer, so a console opened mid-session still sees running agents.
+ */
+export class AgentHub {
+  private clients = new Set<WritableStreamDefaultWriter<Uint8Array>>();
+  private commands = new Map<string, { command: AgentCommand; queuedAt: number }[]>();
+  private recent: { id: number; event: AgentEvent }[] = [];
+  // Ids start at the hub's start time so they keep rising when the object is
+  // evicted and recreated; consoles drop anything at or below their last id
+  private nextId = Date.now();
+  private keepalive: ReturnType<typeof setInterval> | null = null;
+  private encoder = new TextEncoder();
+
+  constructor(private readonly state: DurableObjectState, private readonly env: Env) {}
+
+  async fetch(request: Request): Promise<Response> {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/publish' && request.method === 'POST') {
+      const events = await request.json() as AgentEvent[];
+      for (const event of events) this.broadcast(event);
+      return new Response(null, { status: 204 });
+    }
+
+    if (url.pathname === '/stream') {
+      return this.openStream(request);
+    }
+
+    if (url.pathname === '/commands') {
+      return request.method === 'POST'
+        ? this.queueCommand(await request.json() as AgentCommand)
+        : this.takeCommands(url.searchParams.get('agentId') || '');
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  private openStream(request: Request): Response {
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    const writer = writable.getWriter();
+    this.clients.add(writer);
+
+    // Replay what the console missed (all of it on first connect). EventSource
+    // sends Last-Event-ID on its own retries; a console opening a new stream
+    // passes ?lastEventId= instead, or "head" to skip the buffer entirely.
+    const head = this.nextId - 1;
+    const resume = request.headers.get('Last-Event-ID') ?? new URL(request.url).searchParams.get('lastEventId');
+    const lastId = resume === 'head' ? head : Number(resume) || 0;
+    for (const { id, event } of this.recent) {
+      if (id > lastId) this.write(writer, formatSSE(event, id));
+    }
+    // Tells the console where it now stands, even when nothing was replayed
+    this.write(writer, `event: head\ndata: ${JSON.stringify({ id: head })}\n\n`);
+
+    if (!this.keepalive) {
+      this.keepalive = setInterval(() => {
+        for (const client of this.clients) this.write(client, ': keepalive\n\n');
+        if (this.clients.size === 0 && this.keepalive) {
+          clearInterval(this.keepalive);
+          this.keepalive = null;
+        }
+      }, KEEPALIVE_MS);
+    }
+
+    return new Response(readable, { headers: SSE_HEADERS });
+  }
+
+  private queueCommand(command: AgentCommand): Response {
+    const cutoff = Date.now() - COMMAND_TTL_MS;
+    const queue = (this.commands.get(command.agentId) || []).filter((entry) => entry.queuedAt >= cutoff);
+    queue.push({ command, queuedAt: Date.now() });
+    if (queue.length > MAX_QUEUED_COMMANDS) queue.splice(0, queue.length - MAX_QUEUED_COMMANDS);
+    this.commands.set(command.agentId, queue);
+    return new Response(null, { status: 204 });
+  }
+
+  private takeCommands(agentId: string): Response {
+    const cutoff = Date.now() - COMMAND_TTL_MS;
+    const queue = (this.commands.get(agentId) || []).filter((entry) => entry.queuedAt >= cutoff);
+    this.commands.delete(agentId);
+    return Response.json(queue.map((entry) => entry.command));
+  }
+
+  private broadcast(event: AgentEvent): void {
+    const id = this.nextId++;
+    this.recent.push({ id, event });
+    if (this.recent.length > REPLAY_LIMIT) this.recent.shift();
+
+    const frame = formatSSE(event, id);
+    for (const client of this.clients) this.write(client, frame);
+  }
+
+  private write(writer: WritableStreamDefaultWriter<Uint8Array>, text: string): void {
+    writer.write(this.encoder.encode(text)).catch(() => {
+      // Console went away; drop it
+      this.clients.delete(writer);
+      writer.abort().catch(() => {});
+    });
+  }
+}
+
+export default {
+  async fetch(request: Request, env: Env): Promise<Response> {
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { headers: CORS_HEADERS });
+    }
+
+    const url = new URL(request.url);
+    // Normalize path: strip /api/agents prefix if present
+    const rawPath = url.pathname;
+    const path = rawPath.startsWith('/api/agents')
+      ? rawPath.replace('/api/agents', '') || '/'
+      : rawPath;
+
+    switch (path) {
+      case '/events':
+        if (request.method === 'POST') {
+          return handleIngest(request, env);
+        }
+        return new Response('Method not allowed', { status: 405, headers: CORS_HEADERS });
+      case '/stream':
+        return handleStream(request, env);
+      case '/commands':
+        return handleCommands(request, env);
+      case '/health':
+        return handleHealth();
+      default:
+        return new Response('Not found', { status: 404, headers: CORS_HEADERS });
+    }
+  },
+};
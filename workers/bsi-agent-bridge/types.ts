@@ -0,0 +1,108 @@
+/**
+ * BSI Agent Bridge Worker Types
+ *
+ * Contract between agent sessions (Claude Code hooks, custom runners)
+ * and the BlazeCraft console.
+ */
+
+/**
+ * The slice of the Durable Objects runtime API the bridge uses, declared here
+ * so the Worker type-checks without @cloudflare/workers-types.
+ */
+export interface DurableObjectId {
+  toString(): string;
+}
+
+export interface DurableObjectStub {
+  fetch(input: RequestInfo | URL, init?: RequestInit): Promise<Response>;
+}
+
+export interface DurableObjectNamespace {
+  idFromName(name: string): DurableObjectId;
+  get(id: DurableObjectId): DurableObjectStub;
+}
+
+export interface DurableObjectState {
+  readonly id: DurableObjectId;
+}
+
+export interface Env {
+  // Durable Object that fans events out to connected consoles
+  AGENT_HUB: DurableObjectNamespace;
+
+  // Secrets
+  BSI_API_KEY?: string;       // Agents: posting events, collecting commands
+  BSI_CONSOLE_TOKEN?: string; // Consoles: reading the stream, queueing commands
+
+  // Config
+  ENVIRONMENT: 'development' | 'staging' | 'production';
+}
+
+export type AgentEventType =
+  | 'spawn'
+  | 'task_start'
+  | 'task_complete'
+  | 'error'
+  | 'terminate'
+  | 'file_op'       // Agent read or changed files (routes the worker by path)
+  | 'command_ack'   // Agent carried out a console command
+  | 'command_nack'; // Agent declined a console command
+
+/** What a file_op did to its files */
+export type FileOp = 'read' | 'edit' | 'write' | 'create' | 'delete';
+
+/** Base building types understood by the console map */
+export type AgentRegion = 'goldmine' | 'lumber' | 'townhall' | 'ground';
+
+export interface AgentEventData {
+  name?: string;
+  task?: string;
+  tokens?: number;
+  region?: AgentRegion | string;
+  message?: string;
+  commandId?: string;
+  paths?: string[]; // Repo-relative file paths (file_op)
+  tool?: string;    // Tool that touched them, e.g. 'Edit'
+  op?: FileOp;
+  added?: number;   // Lines added (single-file file_op)
+  removed?: number; // Lines removed (single-file file_op)
+}
+
+export interface AgentEvent {
+  type: AgentEventType;
+  agentId: string;
+  timestamp: string; // America/Chicago timezone
+  data: AgentEventData;
+}
+
+/**
+ * Subset of the JSON payload Claude Code passes to hook commands on stdin.
+ * Only the fields the bridge maps onto AgentEvents are listed.
+ */
+export interface ClaudeHookPayload {
+  hook_event_name: string;
+  session_id: string;
+  cwd?: string;
+  prompt?: string;
+  tool_name?: string;
+  tool_input?: Record<string, unknown>;
+  tool_response?: Record<string, unknown>;
+  message?: string;
+  reason?: string;
+}
+
+export type AgentCommandType = 'stop' | 'hold' | 'resume' | 'terminate';
+
+/** Command issued from the console, waiting for the agent to collect it */
+export interface AgentCommand {
+  id: string;
+  agentId: string;
+  command: AgentCommandType;
+  issuedAt: string; // America/Chicago timezone
+}
+
+export interface IngestResponse {
+  accepted: number;
+  ignored: number;
+  errors: string[];
+}